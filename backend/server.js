@@ -5,17 +5,22 @@ const cors = require('cors');
 const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const net = require('net');
+const readline = require('readline');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// keep the raw body around so webhook signatures can be verified
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // ─────────────────────────────────────────────────────────────
 // CONFIG — driven by env vars (set in GitHub Secrets / .env)
 // ─────────────────────────────────────────────────────────────
 const AZURE_REGIONS = ['East US','East US 2','West US','West US 2','West Europe','North Europe','Southeast Asia','Australia East','UK South','Canada Central','Japan East'];
 
+const DEMO_MODE = process.env.DEMO_MODE !== 'false'; // true unless explicitly disabled
+
 const CONFIG = {
   PORT: process.env.PORT || 3001,
   // Azure state backend
@@ -28,14 +33,76 @@ const CONFIG = {
   TF_STATE_STORAGE_ACCOUNT: process.env.TF_STATE_STORAGE_ACCOUNT || 'terraportalstate',
   TF_STATE_CONTAINER:       process.env.TF_STATE_CONTAINER       || 'tfstate',
   INVENTORY_CONTAINER:      process.env.INVENTORY_CONTAINER      || 'inventory',
+  // Inventory persistence: json = inventory.json in blob/local file, sqlite = local database
+  INVENTORY_STORE: process.env.INVENTORY_STORE || 'json',
+  SQLITE_PATH:     process.env.SQLITE_PATH     || path.join(__dirname, 'data', 'terraportal.db'),
   DEPLOYMENTS_DIR: path.join(__dirname, '../terraform/deployments'),
-  DEMO_MODE: process.env.DEMO_MODE !== 'false', // true unless explicitly disabled
+  PLANS_DIR:       path.join(__dirname, '../terraform/plans'),
+  PLAN_TTL_MS:     Number(process.env.PLAN_TTL_MINUTES || 60) * 60 * 1000,
+  HELD_PLAN_TTL_MS: Number(process.env.HELD_PLAN_TTL_HOURS || 72) * 60 * 60 * 1000, // from when the request was held
+  DRIFT_CHECK_MS:  Number(process.env.DRIFT_CHECK_MINUTES ?? 360) * 60 * 1000, // 0 disables
+  LEASE_CHECK_MS:  Number(process.env.LEASE_CHECK_MINUTES ?? 5) * 60 * 1000,    // 0 disables
+  // Lease length per environment in hours; environments not listed never expire
+  TTL_POLICY: JSON.parse(process.env.TTL_POLICY ||
+    '{"dev":{"defaultHours":168,"maxHours":720},"staging":{"defaultHours":336,"maxHours":1440}}'),
+  TTL_WARNING_HOURS: (process.env.TTL_WARNING_HOURS || '24,1').split(',').map(Number).filter(h => h > 0),
+  DEMO_MODE,
+  // demo = simulated, github = repository_dispatch, local = terraform child processes
+  EXECUTION_MODE: process.env.EXECUTION_MODE || (DEMO_MODE ? 'demo' : 'github'),
+  TERRAFORM_BIN:  process.env.TERRAFORM_BIN  || 'terraform',
+  TF_TIMEOUT_MS:  Number(process.env.TF_TIMEOUT_MINUTES || 60) * 60 * 1000,
+  // Terraform jobs running at once, overall and per environment (JSON object, e.g. {"prod":1})
+  JOB_CONCURRENCY:     Math.max(1, Number(process.env.JOB_CONCURRENCY || 4)),
+  JOB_ENV_CONCURRENCY: JSON.parse(process.env.JOB_ENV_CONCURRENCY || '{}'),
+  // GitHub mode: terraform-lifecycle.yml reports back with an HMAC-signed callback
+  CALLBACK_SECRET:     process.env.PORTAL_CALLBACK_SECRET || '',
+  CALLBACK_TIMEOUT_MS: Number(process.env.CALLBACK_TIMEOUT_MINUTES || 90) * 60 * 1000,
+  // Auth: oidc = bearer tokens from Entra ID (or any OIDC issuer), dev = local test issuer
+  AUTH_MODE:      process.env.AUTH_MODE      || (DEMO_MODE ? 'dev' : 'oidc'),
+  OIDC_ISSUER:    process.env.OIDC_ISSUER    || '', // e.g. https://login.microsoftonline.com/<tenant-id>/v2.0
+  OIDC_AUDIENCE:  process.env.OIDC_AUDIENCE  || '', // API app registration client id
+  OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID || '', // SPA app registration used by the React login flow
+  OIDC_SCOPE:     process.env.OIDC_SCOPE     || 'openid profile',
+  ROLES_CLAIM:    process.env.ROLES_CLAIM    || 'roles',
+  CORS_ORIGINS:   (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+  POLICY_FILE:    process.env.POLICY_FILE    || path.join(__dirname, 'policies.json'),
+  PRICE_CATALOG_FILE: process.env.PRICE_CATALOG_FILE || path.join(__dirname, 'pricing.json'),
+  // Optional monthly spend caps per environment, e.g. {"dev":500,"staging":2000}
+  BUDGET_CAPS: JSON.parse(process.env.BUDGET_CAPS || '{}'),
+
+  TICKET_CONNECTOR:  process.env.TICKET_CONNECTOR  || (DEMO_MODE ? 'stub' : 'none'), // none | stub | jira | servicenow
+  TICKET_ON_FAILURE: process.env.TICKET_ON_FAILURE || 'block',                       // block | warn
+  TICKET_APPROVED_STATUSES: (process.env.TICKET_APPROVED_STATUSES || '').split(',').map(s => s.trim()).filter(Boolean),
+  TICKET_STUB_STATES: JSON.parse(process.env.TICKET_STUB_STATES || '{}'), // e.g. {"CHG-2":"Draft","CHG-3":null}
+  JIRA_URL:          process.env.JIRA_URL          || '',
+  JIRA_USER:         process.env.JIRA_USER         || '',
+  JIRA_API_TOKEN:    process.env.JIRA_API_TOKEN    || '',
+  SERVICENOW_URL:      process.env.SERVICENOW_URL      || '',
+  SERVICENOW_USER:     process.env.SERVICENOW_USER     || '',
+  SERVICENOW_PASSWORD: process.env.SERVICENOW_PASSWORD || '',
+  SERVICENOW_TABLE:    process.env.SERVICENOW_TABLE    || 'change_request',
+  SERVICENOW_STATUS_FIELD: process.env.SERVICENOW_STATUS_FIELD || 'approval',
+  // Webhook / Slack / Teams subscribers for lifecycle events (JSON array, see NOTIFICATIONS)
+  NOTIFICATION_SUBSCRIBERS: JSON.parse(process.env.NOTIFICATION_SUBSCRIBERS || '[]'),
+  // Actions that need a second person's approval, per environment (JSON object of arrays)
+  APPROVAL_POLICY: JSON.parse(process.env.APPROVAL_POLICY ||
+    '{"prod":["provision","update","replace","rollback","decommission"],"dr":["provision","update","replace","rollback","decommission"]}'),
+  // Actions that may only apply a saved plan (planHash from the plan stage), per environment
+  PLAN_POLICY: JSON.parse(process.env.PLAN_POLICY ||
+    '{"prod":["provision","update","decommission"],"dr":["provision","update","decommission"]}'),
+  // VM SSH keys + SQL admin passwords: keyvault = Azure Key Vault, local = encrypted file
+  SECRETS_VAULT_URL:      process.env.SECRETS_VAULT_URL || '', // e.g. https://kv-terraportal.vault.azure.net
+  SECRET_STORE:           process.env.SECRET_STORE || (process.env.SECRETS_VAULT_URL ? 'keyvault' : 'local'),
+  SECRETS_FILE:           process.env.SECRETS_FILE || path.join(__dirname, 'data', 'secrets.json'),
+  SECRETS_ENCRYPTION_KEY: process.env.SECRETS_ENCRYPTION_KEY || '', // defaults to a key file next to SECRETS_FILE
 };
 
 // Local inventory fallback (used in demo mode or when Azure not configured)
 const LOCAL_INVENTORY = path.join(__dirname, 'inventory.json');
-if (!fs.existsSync(LOCAL_INVENTORY)) fs.writeFileSync(LOCAL_INVENTORY, JSON.stringify({ resources: [], history: [] }, null, 2));
-if (!fs.existsSync(CONFIG.DEPLOYMENTS_DIR)) fs.mkdirSync(CONFIG.DEPLOYMENTS_DIR, { recursive: true });
+
+// Bearer tokens mean CORS is not the security boundary, but outside demo mode
+// only the configured frontend origins may call the API from a browser
+app.use(cors({ origin: CONFIG.CORS_ORIGINS.length ? CONFIG.CORS_ORIGINS : CONFIG.DEMO_MODE }));
 
 // ─────────────────────────────────────────────────────────────
 // AZURE BLOB STORAGE — inventory + state persistence
@@ -57,7 +124,8 @@ async function azureBlobUpload(container, blobName, content) {
   }
 }
 
-async function azureBlobDownload(container, blobName) {
+// raw returns the Buffer (plan files are binary)
+async function azureBlobDownload(container, blobName, { raw = false } = {}) {
   if (CONFIG.DEMO_MODE || !CONFIG.ARM_CLIENT_ID) return null;
   try {
     const { BlobServiceClient } = require('@azure/storage-blob');
@@ -68,31 +136,561 @@ async function azureBlobDownload(container, blobName) {
     const dl = await bc.download(0);
     const chunks = [];
     for await (const chunk of dl.readableStreamBody) chunks.push(chunk);
-    return Buffer.concat(chunks).toString();
+    return raw ? Buffer.concat(chunks) : Buffer.concat(chunks).toString();
   } catch (e) {
     return null; // blob doesn't exist yet
   }
 }
 
+// Versions of a blob in a container with versioning enabled, newest first;
+// null when Azure Blob is not configured
+async function azureBlobVersions(container, blobName) {
+  if (CONFIG.DEMO_MODE || !CONFIG.ARM_CLIENT_ID) return null;
+  const { BlobServiceClient } = require('@azure/storage-blob');
+  const client = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+  const versions = [];
+  for await (const blob of client.getContainerClient(container).listBlobsFlat({ prefix: blobName, includeVersions: true })) {
+    if (blob.name !== blobName) continue;
+    versions.push({ versionId: blob.versionId, lastModified: blob.properties.lastModified.toISOString(), size: blob.properties.contentLength, current: Boolean(blob.isCurrentVersion) });
+  }
+  return versions.sort((a, b) => b.versionId.localeCompare(a.versionId));
+}
+
+// Breaks a lease left behind by a Terraform run that never released its state
+// lock; null when Azure Blob is not configured
+async function azureBlobBreakLease(container, blobName) {
+  if (CONFIG.DEMO_MODE || !CONFIG.ARM_CLIENT_ID) return null;
+  const { BlobServiceClient } = require('@azure/storage-blob');
+  const client = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+  const bc = client.getContainerClient(container).getBlobClient(blobName);
+  const { leaseState } = await bc.getProperties();
+  if (leaseState !== 'leased') return { leaseState, broken: false };
+  await bc.getBlobLeaseClient().breakLease(0);
+  return { leaseState, broken: true };
+}
+
+// Copies an earlier version over the current blob (the previous current
+// version stays available as a version of its own)
+async function azureBlobRestoreVersion(container, blobName, versionId) {
+  const { BlobServiceClient } = require('@azure/storage-blob');
+  const client = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+  const bc = client.getContainerClient(container).getBlobClient(blobName);
+  const poller = await bc.beginCopyFromURL(bc.withVersion(versionId).url);
+  await poller.pollUntilDone();
+}
+
 // ─────────────────────────────────────────────────────────────
-// INVENTORY — read/write with Azure Blob + local fallback
+// INVENTORY STORE — pluggable persistence (json | sqlite)
 // ─────────────────────────────────────────────────────────────
-async function readInventory() {
-  const blob = await azureBlobDownload(CONFIG.INVENTORY_CONTAINER, 'inventory.json');
-  if (blob) return JSON.parse(blob);
-  return JSON.parse(fs.readFileSync(LOCAL_INVENTORY, 'utf8'));
+// Both stores implement the same interface:
+//   init()                                      prepare storage, run migrations/imports
+//   listResources({ status, environment, resourceType, limit, offset }) → { resources, total }
+//   getResource(id)                             full document incl. changeHistory + logs
+//   insertResource(resource)
+//   updateResource(id, apply, { ifUpdatedAt })  atomic apply(resource); null if missing or stale
+//   appendAudit(event)
+//   listHistory({ deploymentId, action, limit, offset }) → { history, total }
+//   listJobs({ status, deploymentId, environment, limit, offset }) → { jobs, total }, newest first
+//   getJob(id)
+//   insertJob(job)
+//   updateJob(id, apply, { ifStatus })          atomic apply(job); null if missing or not in ifStatus
+// Resource lists leave out changeHistory and only carry the tail of the logs —
+// fetch a single resource for the full document.
+const LIST_LOG_TAIL = 20;
+
+function summarizeResource(resource) {
+  const { changeHistory, logs, ...summary } = resource;
+  return { ...summary, logs: (logs || []).slice(-LIST_LOG_TAIL) };
+}
+
+function resourceMatches(resource, { status, environment, resourceType }) {
+  return (!status || resource.status === status) &&
+    (!environment || resource.environment === environment) &&
+    (!resourceType || resource.resourceType === resourceType);
+}
+
+function jobMatches(job, { status, deploymentId, environment }) {
+  return (!status || job.status === status) &&
+    (!deploymentId || job.deploymentId === deploymentId) &&
+    (!environment || job.environment === environment);
+}
+
+function pageOf(items, { limit, offset = 0 }) {
+  return limit ? items.slice(offset, offset + limit) : items.slice(offset);
+}
+
+// JSON store: everything in one inventory.json document, in Azure Blob with a
+// local copy. Writes are serialised in-process and use the blob ETag
+// (If-Match) to detect writers in other processes; the local file is
+// replaced atomically via rename so readers never see a partial write.
+const INVENTORY_BLOB = 'inventory.json';
+const INVENTORY_MAX_ATTEMPTS = 8;
+
+function inventoryContainerClient() {
+  if (CONFIG.DEMO_MODE || !CONFIG.ARM_CLIENT_ID) return null;
+  const { BlobServiceClient } = require('@azure/storage-blob');
+  const client = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+  return client.getContainerClient(CONFIG.INVENTORY_CONTAINER);
+}
+
+// file and containerClient are only overridden by the tests
+function createJsonInventoryStore({ file = LOCAL_INVENTORY, containerClient = inventoryContainerClient } = {}) {
+  let lock = Promise.resolve();
+
+  function withLock(fn) {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  function readLocal() {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function writeLocal(str) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, str);
+    fs.renameSync(tmp, file);
+  }
+
+  // Returns { data, etag }. etag is undefined when the blob is not in use,
+  // null when the blob does not exist yet (first write must create it).
+  // Any other blob error is thrown: falling back to the local copy would let
+  // the blob silently fall behind.
+  async function load() {
+    const cc = containerClient();
+    if (!cc) return { data: readLocal(), etag: undefined };
+    try {
+      const dl = await cc.getBlockBlobClient(INVENTORY_BLOB).download(0);
+      const chunks = [];
+      for await (const chunk of dl.readableStreamBody) chunks.push(chunk);
+      return { data: JSON.parse(Buffer.concat(chunks).toString()), etag: dl.etag };
+    } catch (e) {
+      if (e.statusCode === 404) return { data: readLocal(), etag: null };
+      throw new Error(`Inventory blob read failed: ${e.message}`);
+    }
+  }
+
+  async function save(str, etag) {
+    if (etag !== undefined) {
+      const cc = containerClient();
+      if (etag === null) await cc.createIfNotExists();
+      await cc.getBlockBlobClient(INVENTORY_BLOB).upload(str, Buffer.byteLength(str), {
+        blobHTTPHeaders: { blobContentType: 'application/json' },
+        conditions: etag ? { ifMatch: etag } : { ifNoneMatch: '*' },
+      });
+    }
+    writeLocal(str);
+  }
+
+  // Applies mutate(inv) atomically and returns its result. mutate may run
+  // more than once when another process wins the race, so it must only
+  // touch the inventory object it is given.
+  function update(mutate) {
+    return withLock(async () => {
+      for (let attempt = 1; ; attempt++) {
+        const { data, etag } = await load();
+        const before = JSON.stringify(data, null, 2);
+        const result = mutate(data);
+        const after = JSON.stringify(data, null, 2);
+        if (after === before) return result;
+        try {
+          await save(after, etag);
+          return result;
+        } catch (e) {
+          const conflict = e.statusCode === 412 || e.statusCode === 409;
+          if (!conflict || attempt >= INVENTORY_MAX_ATTEMPTS) throw e;
+          await new Promise(r => setTimeout(r, 50 * attempt + Math.random() * 100));
+        }
+      }
+    });
+  }
+
+  return {
+    name: 'json',
+
+    async init() {
+      if (!fs.existsSync(file)) writeLocal(JSON.stringify({ resources: [], history: [] }, null, 2));
+    },
+
+    async listResources(filter = {}) {
+      const { data } = await load();
+      const matching = data.resources.filter(r => resourceMatches(r, filter));
+      return { resources: pageOf(matching, filter).map(summarizeResource), total: matching.length };
+    },
+
+    async getResource(id) {
+      const { data } = await load();
+      return data.resources.find(r => r.id === id) || null;
+    },
+
+    insertResource(resource) {
+      return update(inv => { inv.resources.push(resource); });
+    },
+
+    updateResource(id, apply, { ifUpdatedAt } = {}) {
+      return update(inv => {
+        const resource = inv.resources.find(r => r.id === id);
+        if (!resource) return null;
+        if (ifUpdatedAt !== undefined && resource.updatedAt !== ifUpdatedAt) return null;
+        apply(resource);
+        return resource;
+      });
+    },
+
+    appendAudit(event) {
+      return update(inv => {
+        if (!inv.history) inv.history = [];
+        inv.history.unshift(event);
+      });
+    },
+
+    async listHistory(filter = {}) {
+      const { data } = await load();
+      const matching = (data.history || []).filter(h =>
+        (!filter.deploymentId || h.deploymentId === filter.deploymentId) &&
+        (!filter.action || h.action === filter.action));
+      return { history: pageOf(matching, filter), total: matching.length };
+    },
+
+    async listJobs(filter = {}) {
+      const { data } = await load();
+      const matching = (data.jobs || []).filter(j => jobMatches(j, filter));
+      return { jobs: pageOf(matching, filter), total: matching.length };
+    },
+
+    async getJob(id) {
+      const { data } = await load();
+      return (data.jobs || []).find(j => j.id === id) || null;
+    },
+
+    insertJob(job) {
+      return update(inv => {
+        if (!inv.jobs) inv.jobs = [];
+        inv.jobs.unshift(job);
+      });
+    },
+
+    updateJob(id, apply, { ifStatus } = {}) {
+      return update(inv => {
+        const job = (inv.jobs || []).find(j => j.id === id);
+        if (!job) return null;
+        if (ifStatus && ![].concat(ifStatus).includes(job.status)) return null;
+        apply(job);
+        return job;
+      });
+    },
+  };
+}
+
+// SQLite store: resources, change history, logs and audit events in their own
+// tables, so filters and pagination run in the database instead of on one
+// ever-growing document. better-sqlite3 is synchronous, so each write is a
+// single transaction and needs no further locking within this process.
+const SQLITE_MIGRATIONS = [
+  `CREATE TABLE resources (
+     id            TEXT PRIMARY KEY,
+     resource_type TEXT,
+     resource_name TEXT,
+     environment   TEXT,
+     status        TEXT NOT NULL,
+     ticket_number TEXT,
+     requested_by  TEXT,
+     created_at    TEXT NOT NULL,
+     updated_at    TEXT NOT NULL,
+     document      TEXT NOT NULL -- remaining fields as JSON
+   );
+   CREATE INDEX resources_status ON resources (status);
+   CREATE INDEX resources_environment ON resources (environment);
+
+   CREATE TABLE change_history (
+     resource_id TEXT    NOT NULL,
+     seq         INTEGER NOT NULL,
+     action      TEXT,
+     actor       TEXT,
+     timestamp   TEXT,
+     entry       TEXT    NOT NULL,
+     PRIMARY KEY (resource_id, seq)
+   );
+
+   CREATE TABLE resource_logs (
+     resource_id TEXT    NOT NULL,
+     seq         INTEGER NOT NULL,
+     line        TEXT    NOT NULL,
+     PRIMARY KEY (resource_id, seq)
+   );
+
+   CREATE TABLE audit_events (
+     id            TEXT PRIMARY KEY,
+     deployment_id TEXT,
+     action        TEXT NOT NULL,
+     actor         TEXT,
+     result        TEXT,
+     timestamp     TEXT NOT NULL,
+     changes       TEXT
+   );
+   CREATE INDEX audit_events_timestamp ON audit_events (timestamp);
+   CREATE INDEX audit_events_deployment ON audit_events (deployment_id, timestamp);
+
+   CREATE TABLE store_meta (
+     key   TEXT PRIMARY KEY,
+     value TEXT NOT NULL
+   );`,
+  `CREATE TABLE jobs (
+     id            TEXT PRIMARY KEY,
+     deployment_id TEXT NOT NULL,
+     environment   TEXT,
+     action        TEXT NOT NULL,
+     status        TEXT NOT NULL,
+     created_at    TEXT NOT NULL,
+     document      TEXT NOT NULL -- the whole job as JSON
+   );
+   CREATE INDEX jobs_status ON jobs (status, created_at);
+   CREATE INDEX jobs_deployment ON jobs (deployment_id, created_at);`,
+];
+
+function createSqliteInventoryStore(file) {
+  let db, stmt;
+
+  function migrate() {
+    const version = db.pragma('user_version', { simple: true });
+    SQLITE_MIGRATIONS.slice(version).forEach((sql, i) => {
+      db.transaction(() => {
+        db.exec(sql);
+        db.pragma(`user_version = ${version + i + 1}`);
+      })();
+    });
+  }
+
+  function prepare() {
+    stmt = {
+      getResource:  db.prepare('SELECT * FROM resources WHERE id = ?'),
+      upsertResource: db.prepare(`
+        INSERT INTO resources (id, resource_type, resource_name, environment, status, ticket_number, requested_by, created_at, updated_at, document)
+        VALUES (@id, @resource_type, @resource_name, @environment, @status, @ticket_number, @requested_by, @created_at, @updated_at, @document)
+        ON CONFLICT (id) DO UPDATE SET
+          resource_type = excluded.resource_type, resource_name = excluded.resource_name,
+          environment = excluded.environment, status = excluded.status,
+          ticket_number = excluded.ticket_number, requested_by = excluded.requested_by,
+          created_at = excluded.created_at, updated_at = excluded.updated_at, document = excluded.document`),
+      historyFor:   db.prepare('SELECT entry FROM change_history WHERE resource_id = ? ORDER BY seq'),
+      historyCount: db.prepare('SELECT COUNT(*) AS n FROM change_history WHERE resource_id = ?'),
+      clearHistory: db.prepare('DELETE FROM change_history WHERE resource_id = ?'),
+      insertHistory: db.prepare('INSERT INTO change_history (resource_id, seq, action, actor, timestamp, entry) VALUES (?, ?, ?, ?, ?, ?)'),
+      logsFor:      db.prepare('SELECT line FROM resource_logs WHERE resource_id = ? ORDER BY seq'),
+      logTail:      db.prepare('SELECT line FROM resource_logs WHERE resource_id = ? ORDER BY seq DESC LIMIT ?'),
+      logCount:     db.prepare('SELECT COUNT(*) AS n FROM resource_logs WHERE resource_id = ?'),
+      clearLogs:    db.prepare('DELETE FROM resource_logs WHERE resource_id = ?'),
+      insertLog:    db.prepare('INSERT INTO resource_logs (resource_id, seq, line) VALUES (?, ?, ?)'),
+      insertAudit:  db.prepare(`
+        INSERT OR IGNORE INTO audit_events (id, deployment_id, action, actor, result, timestamp, changes)
+        VALUES (@id, @deploymentId, @action, @actor, @result, @timestamp, @changes)`),
+      getJob:       db.prepare('SELECT document FROM jobs WHERE id = ?'),
+      upsertJob:    db.prepare(`
+        INSERT INTO jobs (id, deployment_id, environment, action, status, created_at, document)
+        VALUES (@id, @deployment_id, @environment, @action, @status, @created_at, @document)
+        ON CONFLICT (id) DO UPDATE SET status = excluded.status, document = excluded.document`),
+      getMeta:      db.prepare('SELECT value FROM store_meta WHERE key = ?'),
+      setMeta:      db.prepare('INSERT OR REPLACE INTO store_meta (key, value) VALUES (?, ?)'),
+    };
+  }
+
+  function hydrate(row, { full = true } = {}) {
+    const resource = JSON.parse(row.document);
+    if (full) {
+      resource.changeHistory = stmt.historyFor.all(row.id).map(h => JSON.parse(h.entry));
+      resource.logs = stmt.logsFor.all(row.id).map(l => l.line);
+    } else {
+      resource.logs = stmt.logTail.all(row.id, LIST_LOG_TAIL).map(l => l.line).reverse();
+    }
+    return resource;
+  }
+
+  // changeHistory and logs are append-only, so only rows past the stored
+  // count are inserted; a shorter array means it was rewritten wholesale.
+  function syncRows(countStmt, clearStmt, id, items, insert) {
+    let stored = countStmt.get(id).n;
+    if (stored > items.length) { clearStmt.run(id); stored = 0; }
+    items.slice(stored).forEach((item, i) => insert(stored + i, item));
+  }
+
+  function writeResource(resource) {
+    const { changeHistory = [], logs = [], ...doc } = resource;
+    const now = new Date().toISOString();
+    stmt.upsertResource.run({
+      id:            doc.id,
+      resource_type: doc.resourceType || null,
+      resource_name: doc.resourceName || null,
+      environment:   doc.environment || null,
+      status:        doc.status || 'unknown',
+      ticket_number: doc.ticketNumber || null,
+      requested_by:  doc.requestedBy || null,
+      created_at:    doc.createdAt || doc.updatedAt || now,
+      updated_at:    doc.updatedAt || doc.createdAt || now,
+      document:      JSON.stringify(doc),
+    });
+    syncRows(stmt.historyCount, stmt.clearHistory, doc.id, changeHistory, (seq, h) =>
+      stmt.insertHistory.run(doc.id, seq, h.action || null, h.actor || null, h.timestamp || null, JSON.stringify(h)));
+    syncRows(stmt.logCount, stmt.clearLogs, doc.id, logs, (seq, line) =>
+      stmt.insertLog.run(doc.id, seq, String(line)));
+  }
+
+  function writeAudit(event) {
+    stmt.insertAudit.run({
+      id:           event.id || uuidv4(),
+      deploymentId: event.deploymentId || null,
+      action:       event.action || 'unknown',
+      actor:        event.actor || null,
+      result:       event.result || null,
+      timestamp:    event.timestamp || new Date().toISOString(),
+      changes:      event.changes === undefined ? null : JSON.stringify(event.changes),
+    });
+  }
+
+  function writeJob(job) {
+    stmt.upsertJob.run({
+      id:            job.id,
+      deployment_id: job.deploymentId,
+      environment:   job.environment || null,
+      action:        job.action,
+      status:        job.status,
+      created_at:    job.createdAt,
+      document:      JSON.stringify(job),
+    });
+  }
+
+  function whereClause(conditions) {
+    const parts = conditions.filter(([, value]) => value);
+    return {
+      sql: parts.length ? `WHERE ${parts.map(([column]) => `${column} = ?`).join(' AND ')}` : '',
+      params: parts.map(([, value]) => value),
+    };
+  }
+
+  // One-time import of an existing inventory.json (the blob copy if Azure is
+  // configured, else the local file). Recorded in store_meta so it never
+  // runs twice, even if the source file is left in place.
+  async function importJsonInventory() {
+    if (stmt.getMeta.get('inventory_json_import')) return;
+    const raw = await azureBlobDownload(CONFIG.INVENTORY_CONTAINER, INVENTORY_BLOB)
+      || (fs.existsSync(LOCAL_INVENTORY) ? fs.readFileSync(LOCAL_INVENTORY, 'utf8') : null);
+    const inv = raw ? JSON.parse(raw) : {};
+    const resources = inv.resources || [];
+    const history = inv.history || [];
+    db.transaction(() => {
+      resources.forEach(writeResource);
+      history.forEach(writeAudit);
+      stmt.setMeta.run('inventory_json_import', JSON.stringify({
+        importedAt: new Date().toISOString(), resources: resources.length, history: history.length,
+      }));
+    })();
+    if (raw) console.log(`Imported ${resources.length} resources and ${history.length} audit events from inventory.json`);
+  }
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      const Database = require('better-sqlite3');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      migrate();
+      prepare();
+      await importJsonInventory();
+    },
+
+    async listResources(filter = {}) {
+      const where = whereClause([['status', filter.status], ['environment', filter.environment], ['resource_type', filter.resourceType]]);
+      const total = db.prepare(`SELECT COUNT(*) AS n FROM resources ${where.sql}`).get(...where.params).n;
+      const rows = db.prepare(`SELECT * FROM resources ${where.sql} ORDER BY created_at, rowid LIMIT ? OFFSET ?`)
+        .all(...where.params, filter.limit || -1, filter.offset || 0);
+      return { resources: rows.map(row => hydrate(row, { full: false })), total };
+    },
+
+    async getResource(id) {
+      const row = stmt.getResource.get(id);
+      return row ? hydrate(row) : null;
+    },
+
+    async insertResource(resource) {
+      db.transaction(() => writeResource(resource))();
+    },
+
+    async updateResource(id, apply, { ifUpdatedAt } = {}) {
+      return db.transaction(() => {
+        const row = stmt.getResource.get(id);
+        if (!row) return null;
+        const resource = hydrate(row);
+        if (ifUpdatedAt !== undefined && resource.updatedAt !== ifUpdatedAt) return null;
+        apply(resource);
+        writeResource(resource);
+        return resource;
+      })();
+    },
+
+    async appendAudit(event) {
+      writeAudit(event);
+    },
+
+    async listHistory(filter = {}) {
+      const where = whereClause([['deployment_id', filter.deploymentId], ['action', filter.action]]);
+      const total = db.prepare(`SELECT COUNT(*) AS n FROM audit_events ${where.sql}`).get(...where.params).n;
+      const rows = db.prepare(`SELECT * FROM audit_events ${where.sql} ORDER BY timestamp DESC, rowid DESC LIMIT ? OFFSET ?`)
+        .all(...where.params, filter.limit || -1, filter.offset || 0);
+      const history = rows.map(row => ({
+        id:           row.id,
+        deploymentId: row.deployment_id,
+        action:       row.action,
+        actor:        row.actor,
+        changes:      row.changes === null ? undefined : JSON.parse(row.changes),
+        result:       row.result,
+        timestamp:    row.timestamp,
+      }));
+      return { history, total };
+    },
+
+    async listJobs(filter = {}) {
+      const where = whereClause([['status', filter.status], ['deployment_id', filter.deploymentId], ['environment', filter.environment]]);
+      const total = db.prepare(`SELECT COUNT(*) AS n FROM jobs ${where.sql}`).get(...where.params).n;
+      const rows = db.prepare(`SELECT document FROM jobs ${where.sql} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`)
+        .all(...where.params, filter.limit || -1, filter.offset || 0);
+      return { jobs: rows.map(row => JSON.parse(row.document)), total };
+    },
+
+    async getJob(id) {
+      const row = stmt.getJob.get(id);
+      return row ? JSON.parse(row.document) : null;
+    },
+
+    async insertJob(job) {
+      writeJob(job);
+    },
+
+    async updateJob(id, apply, { ifStatus } = {}) {
+      return db.transaction(() => {
+        const row = stmt.getJob.get(id);
+        if (!row) return null;
+        const job = JSON.parse(row.document);
+        if (ifStatus && ![].concat(ifStatus).includes(job.status)) return null;
+        apply(job);
+        writeJob(job);
+        return job;
+      })();
+    },
+  };
 }
 
-async function writeInventory(data) {
-  const str = JSON.stringify(data, null, 2);
-  fs.writeFileSync(LOCAL_INVENTORY, str);
-  await azureBlobUpload(CONFIG.INVENTORY_CONTAINER, 'inventory.json', str);
+const inventory = CONFIG.INVENTORY_STORE === 'sqlite'
+  ? createSqliteInventoryStore(CONFIG.SQLITE_PATH)
+  : createJsonInventoryStore();
+
+function sendConcurrentModification(res) {
+  return res.status(409).json({ error: 'Resource was modified by another request — reload and try again' });
 }
 
 async function appendAuditHistory(deploymentId, action, actor, changes, result) {
-  const inv = await readInventory();
-  if (!inv.history) inv.history = [];
-  inv.history.unshift({
+  await inventory.appendAudit({
     id: uuidv4(),
     deploymentId,
     action,   // provision | update | decommission
@@ -101,7 +699,245 @@ async function appendAuditHistory(deploymentId, action, actor, changes, result)
     result,   // success | failure
     timestamp: new Date().toISOString()
   });
-  await writeInventory(inv);
+}
+
+// ─────────────────────────────────────────────────────────────
+// DEPLOYMENT SECRETS — SSH keys + SQL passwords, passed as TF_VAR_*
+// ─────────────────────────────────────────────────────────────
+// Terraform variables a resource type needs that must never be written into
+// the workspace files. `input` is the field a request may set to supply the
+// value instead of having one generated.
+const RESOURCE_SECRETS = {
+  vm: [{
+    name: 'ssh-key', variable: 'ssh_public_key', input: 'sshPublicKey', label: 'SSH key pair',
+    generate: generateSshKeyPair,
+    check: v => /^ssh-(rsa|ed25519) AAAA[0-9A-Za-z+/]+={0,3}( \S.*)?$/.test(v) || 'must be an OpenSSH public key (ssh-rsa or ssh-ed25519)',
+  }],
+  sql: [{
+    name: 'sql-admin-password', variable: 'sql_admin_password', input: 'sqlAdminPassword', label: 'SQL admin password',
+    generate: async () => ({ value: generatePassword(32) }),
+    check: checkSqlPassword,
+  }],
+};
+
+const SECRET_TIMEOUT_MS = 10000;
+
+// RSA because Azure accepts it for every Linux image; the public half is
+// what Terraform gets, the private half is only ever handed to users
+async function generateSshKeyPair() {
+  const { publicKey, privateKey } = await new Promise((resolve, reject) =>
+    crypto.generateKeyPair('rsa', { modulusLength: 3072 }, (err, pub, priv) => err ? reject(err) : resolve({ publicKey: pub, privateKey: priv })));
+  const { n, e } = publicKey.export({ format: 'jwk' });
+  const field = buf => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(buf.length);
+    return Buffer.concat([len, buf]);
+  };
+  // mpints get a leading zero byte when the high bit is set
+  const mpint = b64 => {
+    const buf = Buffer.from(b64, 'base64url');
+    return field(buf[0] & 0x80 ? Buffer.concat([Buffer.alloc(1), buf]) : buf);
+  };
+  const blob = Buffer.concat([field(Buffer.from('ssh-rsa')), mpint(e), mpint(n)]);
+  return {
+    value: `ssh-rsa ${blob.toString('base64')} terraportal`,
+    privateKey: privateKey.export({ type: 'pkcs1', format: 'pem' }),
+  };
+}
+
+const PASSWORD_SETS = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!#%*+-=?@^_'];
+
+// At least one of each set (SQL Server wants three of the four), shuffled
+function generatePassword(length) {
+  const all = PASSWORD_SETS.join('');
+  const chars = PASSWORD_SETS.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) chars.push(all[crypto.randomInt(all.length)]);
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
+
+function checkSqlPassword(v) {
+  if (v.length < 12 || v.length > 128) return 'must be 12-128 characters';
+  const classes = [/[A-Z]/, /[a-z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(v)).length;
+  return classes >= 3 || 'must contain three of: uppercase, lowercase, digits, symbols';
+}
+
+// { input: [message] } for supplied secrets the resource type can't take
+function secretInputErrors(resourceType, secrets = {}) {
+  const errors = {};
+  const defs = RESOURCE_SECRETS[resourceType] || [];
+  for (const [input, value] of Object.entries(secrets || {})) {
+    const def = defs.find(d => d.input === input);
+    if (!def) errors[input] = [`${resourceType} deployments take no ${input}`];
+    else if (typeof value !== 'string' || def.check(value) !== true) errors[input] = [`${def.label} ${typeof value === 'string' ? def.check(value) : 'must be a string'}`];
+  }
+  return errors;
+}
+
+// Each store keeps versioned records { value, privateKey?, generated }:
+// get(key) → { record, version, createdAt } | null, put(key, record) →
+// { version, createdAt }, remove(key)
+function createKeyVaultSecretStore() {
+  const vault = CONFIG.SECRETS_VAULT_URL.replace(/\/$/, '');
+  let token = null;
+
+  async function accessToken() {
+    if (token && token.expiresAt > Date.now() + 60000) return token.value;
+    const r = await fetch(`https://login.microsoftonline.com/${CONFIG.ARM_TENANT_ID}/oauth2/v2.0/token`, {
+      method: 'POST',
+      body: new URLSearchParams({ grant_type: 'client_credentials', client_id: CONFIG.ARM_CLIENT_ID, client_secret: CONFIG.ARM_CLIENT_SECRET, scope: 'https://vault.azure.net/.default' }),
+      signal: AbortSignal.timeout(SECRET_TIMEOUT_MS),
+    });
+    if (!r.ok) throw new Error(`Key Vault token request returned ${r.status}`);
+    const body = await r.json();
+    token = { value: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+    return token.value;
+  }
+
+  async function request(key, options = {}) {
+    const r = await fetch(`${vault}/secrets/${key}?api-version=7.4`, {
+      ...options,
+      headers: { Authorization: `Bearer ${await accessToken()}`, 'Content-Type': 'application/json' },
+      signal: AbortSignal.timeout(SECRET_TIMEOUT_MS),
+    });
+    if (r.status === 404) return null;
+    if (!r.ok) throw new Error(`Key Vault ${options.method || 'GET'} ${key} returned ${r.status}`);
+    return r.json();
+  }
+
+  const versionOf = secret => ({ version: secret.id.split('/').pop(), createdAt: new Date(secret.attributes.created * 1000).toISOString() });
+  return {
+    name: 'keyvault',
+    vaultName: new URL(vault).hostname.split('.')[0],
+    async get(key) {
+      const secret = await request(key);
+      return secret && { record: JSON.parse(secret.value), ...versionOf(secret) };
+    },
+    async put(key, record) {
+      return versionOf(await request(key, { method: 'PUT', body: JSON.stringify({ value: JSON.stringify(record), contentType: 'application/json' }) }));
+    },
+    async remove(key) {
+      await request(key, { method: 'DELETE' });
+    },
+  };
+}
+
+// Offline / demo store: AES-256-GCM per version in a 0600 JSON file. The key
+// is SECRETS_ENCRYPTION_KEY, or a random one generated into <file>.key.
+function createLocalSecretStore(file) {
+  let key = null;
+  function encryptionKey() {
+    if (key) return key;
+    if (CONFIG.SECRETS_ENCRYPTION_KEY) return key = crypto.createHash('sha256').update(CONFIG.SECRETS_ENCRYPTION_KEY).digest();
+    const keyFile = `${file}.key`;
+    if (!fs.existsSync(keyFile)) {
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+      fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    }
+    return key = Buffer.from(fs.readFileSync(keyFile, 'utf8'), 'base64');
+  }
+  const read = () => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const write = data => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+  };
+  return {
+    name: 'local',
+    async get(name) {
+      const latest = read()[name]?.at(-1);
+      if (!latest) return null;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(latest.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(latest.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(latest.data, 'base64')), decipher.final()]);
+      return { record: JSON.parse(plain), version: latest.version, createdAt: latest.createdAt };
+    },
+    async put(name, record) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+      const data = Buffer.concat([cipher.update(JSON.stringify(record)), cipher.final()]);
+      const version = { version: crypto.randomBytes(16).toString('hex'), createdAt: new Date().toISOString() };
+      const all = read();
+      all[name] = [...(all[name] || []), { ...version, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') }];
+      write(all);
+      return version;
+    },
+    async remove(name) {
+      const all = read();
+      delete all[name];
+      write(all);
+    },
+  };
+}
+
+const secretStore = CONFIG.SECRET_STORE === 'keyvault'
+  ? createKeyVaultSecretStore()
+  : createLocalSecretStore(CONFIG.SECRETS_FILE);
+
+function secretKey(deploymentId, def) {
+  return `tp-${deploymentId}-${def.name}`;
+}
+
+// A rotation's new version waits here until its job starts; only then is it
+// copied to secretKey. Overwritten, never deleted — Key Vault soft-deletes.
+function stagedSecretKey(deploymentId, def) {
+  return `${secretKey(deploymentId, def)}-next`;
+}
+
+// Creates the secrets a deployment doesn't have yet, from `provided` (a
+// request's secrets, keyed by input) or generated
+async function ensureDeploymentSecrets(deploymentId, resourceType, provided = {}, actor = 'system') {
+  for (const def of RESOURCE_SECRETS[resourceType] || []) {
+    const key = secretKey(deploymentId, def);
+    if (await secretStore.get(key)) continue;
+    const record = provided?.[def.input]
+      ? { value: provided[def.input], generated: false }
+      : { ...(await def.generate()), generated: true };
+    const { version } = await secretStore.put(key, record);
+    await appendAuditHistory(deploymentId, 'secret-create', actor, { secret: def.name, store: secretStore.name, version, generated: record.generated }, 'success');
+  }
+}
+
+// { TF_VAR_<variable>: value } for a local or demo Terraform run. keys maps
+// secret names to another key to read, e.g. a staged rotation.
+async function terraformSecretEnv(deploymentId, resourceType, keys = {}) {
+  await ensureDeploymentSecrets(deploymentId, resourceType);
+  const env = {};
+  for (const def of RESOURCE_SECRETS[resourceType] || []) {
+    env[`TF_VAR_${def.variable}`] = (await secretStore.get(keys[def.name] || secretKey(deploymentId, def))).record.value;
+  }
+  return env;
+}
+
+// The rotate job's first step: the staged version becomes the deployment's
+// secret — unless a later rotation staged another one since
+async function promoteStagedSecret(deploymentId, { name, version, actor }, onLog) {
+  const resource = await inventory.getResource(deploymentId);
+  const def = (RESOURCE_SECRETS[resource?.resourceType] || []).find(d => d.name === name);
+  const staged = def && await secretStore.get(stagedSecretKey(deploymentId, def));
+  if (!staged || staged.version !== version) throw new Error(`The staged ${def?.label || name} was replaced by a later rotation — rotate again`);
+  const previous = await secretStore.get(secretKey(deploymentId, def));
+  const stored = await secretStore.put(secretKey(deploymentId, def), staged.record);
+  await appendAuditHistory(deploymentId, 'secret-rotate', actor,
+    { secret: name, store: secretStore.name, version: stored.version, previousVersion: previous?.version || null, generated: staged.record.generated }, 'success');
+  onLog(`✓ New ${def.label} stored as version ${stored.version}`);
+}
+
+// Once the resource is gone (Key Vault soft-deletes, so they stay recoverable there)
+async function deleteDeploymentSecrets(deploymentId, resourceType, actor = 'system') {
+  for (const def of RESOURCE_SECRETS[resourceType] || []) {
+    try {
+      const key = secretKey(deploymentId, def);
+      if (await secretStore.get(stagedSecretKey(deploymentId, def))) await secretStore.remove(stagedSecretKey(deploymentId, def));
+      if (!(await secretStore.get(key))) continue;
+      await secretStore.remove(key);
+      await appendAuditHistory(deploymentId, 'secret-delete', actor, { secret: def.name, store: secretStore.name }, 'success');
+    } catch (e) {
+      console.error(`Could not delete secret ${def.name} of ${deploymentId}:`, e.message);
+    }
+  }
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -116,22 +952,40 @@ function getTfBackendConfig(deploymentId) {
   };
 }
 
-async function runTerraform(deploymentId, workspaceDir, action, onLog) {
-  // DEMO MODE: simulate Terraform steps
-  if (CONFIG.DEMO_MODE) {
-    return simulateTerraform(deploymentId, action, onLog);
-  }
+// options.planId applies a plan saved by the plan stage (createSavedPlan)
+async function runTerraform(deploymentId, workspaceDir, action, onLog, options = {}) {
+  if (options.planId) onLog(`→ Applying saved plan ${options.planId}${options.planHash ? ` (sha256 ${options.planHash})` : ''}`);
+  const resource = await inventory.getResource(deploymentId);
+  const secretDefs = RESOURCE_SECRETS[resource?.resourceType] || [];
 
-  const githubToken = process.env.GITHUB_TOKEN;
-  const githubRepo  = process.env.GITHUB_REPO;
+  if (CONFIG.EXECUTION_MODE === 'demo' || CONFIG.EXECUTION_MODE === 'local') {
+    const env = await terraformSecretEnv(deploymentId, resource?.resourceType);
+    if (secretDefs.length) onLog(`→ Passing ${Object.keys(env).join(', ')} from the ${secretStore.name} secret store`);
 
-  if (!githubToken || !githubRepo) {
-    throw new Error('GITHUB_TOKEN and GITHUB_REPO env vars are required');
+    // DEMO MODE: simulate Terraform steps
+    if (CONFIG.EXECUTION_MODE === 'demo') {
+      return simulateTerraform(deploymentId, action, onLog);
+    }
+
+    // LOCAL MODE: run the terraform CLI against the workspace dir
+    if (options.planId) {
+      return runTerraformLocal(deploymentId, savedPlanDir(deploymentId, options.planId), action, onLog, { planFile: 'tfplan', env });
+    }
+    return runTerraformLocal(deploymentId, workspaceDir, action, onLog, { env });
   }
 
+  const secrets = await workflowSecrets(deploymentId, resource?.resourceType, onLog);
+
+  // Remember which dispatch we are waiting for, so a callback that arrives
+  // after a backend restart can still be matched to this job
+  const dispatchId = uuidv4();
+  await inventory.updateResource(deploymentId, r => {
+    r.dispatch = { id: dispatchId, action, dispatchedAt: new Date().toISOString() };
+  });
+
   // Upload terraform files to Azure Blob so GitHub Actions can download them
   onLog('→ Uploading Terraform workspace to Azure Blob...');
-  const files = ['main.tf', 'variables.tf', 'outputs.tf'];
+  const files = ['main.tf', 'variables.tf', 'outputs.tf', 'imports.tf'];
   for (const file of files) {
     const filePath = path.join(workspaceDir, file);
     if (fs.existsSync(filePath)) {
@@ -140,29 +994,61 @@ async function runTerraform(deploymentId, workspaceDir, action, onLog) {
       onLog(`✓ Uploaded ${file}`);
     }
   }
+  // The workflow applies the plan uploaded at the plan stage as-is instead of planning again
+  if (options.planId) onLog(`✓ Saved plan is in blob storage at ${deploymentId}/plans/${options.planId}/`);
 
   // Trigger GitHub Actions via repository_dispatch
   onLog('→ Triggering GitHub Actions workflow...');
-  const https = require('https');
-  const [owner, repo] = githubRepo.split('/');
-  const body = JSON.stringify({
-    event_type: `terraform-${action}`,
-    client_payload: {
-      action,
-      deployment_id: deploymentId,
-      resource_type: 'unknown',
-      environment:   'prod',
-      ticket_number: 'PORTAL',
-    }
+  await dispatchWorkflow(`terraform-${action}`, {
+    action,
+    deployment_id: deploymentId,
+    dispatch_id:   dispatchId,
+    resource_type: resource?.resourceType || 'unknown',
+    environment:   resource?.environment  || 'dev',
+    ticket_number: resource?.ticketNumber || 'PORTAL',
+    plan_id:       options.planId || '',
+    plan_hash:     options.planHash || '',
+    config:        { name: resource?.resourceName },
+    secrets,
   });
 
-  await new Promise((resolve, reject) => {
+  onLog('✓ GitHub Actions triggered — Terraform running in CI');
+  onLog('ℹ️  Check GitHub Actions tab for live progress');
+  onLog('→ Waiting for completion callback...');
+  return waitForWorkflowCallback(deploymentId, dispatchId, onLog);
+}
+
+// Checks the GitHub settings a workflow run needs and returns the payload
+// naming its Key Vault secrets — the workflow reads them into TF_VAR_*
+async function workflowSecrets(deploymentId, resourceType, onLog, keys = {}) {
+  if (!process.env.GITHUB_TOKEN || !process.env.GITHUB_REPO) {
+    throw new Error('GITHUB_TOKEN and GITHUB_REPO env vars are required');
+  }
+  if (!CONFIG.CALLBACK_SECRET) {
+    throw new Error('PORTAL_CALLBACK_SECRET env var is required to receive completion callbacks');
+  }
+  const secretDefs = RESOURCE_SECRETS[resourceType] || [];
+  if (secretDefs.length) {
+    if (secretStore.name !== 'keyvault') throw new Error(`SECRETS_VAULT_URL is required to run ${resourceType} deployments in GitHub Actions`);
+    await ensureDeploymentSecrets(deploymentId, resourceType);
+    onLog(`✓ Secrets in Key Vault ${secretStore.vaultName}: ${secretDefs.map(d => d.name).join(', ')}`);
+  }
+  return { vault: secretStore.vaultName || '', names: secretDefs.map(d => ({ variable: d.variable, name: keys[d.name] || secretKey(deploymentId, d) })) };
+}
+
+// repository_dispatch allows at most 10 top-level client_payload properties
+function dispatchWorkflow(eventType, clientPayload) {
+  const https = require('https');
+  const [owner, repo] = process.env.GITHUB_REPO.split('/');
+  const body = JSON.stringify({ event_type: eventType, client_payload: clientPayload });
+
+  return new Promise((resolve, reject) => {
     const req = https.request({
       hostname: 'api.github.com',
       path: `/repos/${owner}/${repo}/dispatches`,
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${githubToken}`,
+        'Authorization': `Bearer ${process.env.GITHUB_TOKEN}`,
         'Accept': 'application/vnd.github+json',
         'Content-Type': 'application/json',
         'User-Agent': 'TerraPortal/2.0',
@@ -181,22 +1067,27 @@ async function runTerraform(deploymentId, workspaceDir, action, onLog) {
     req.write(body);
     req.end();
   });
-
-  onLog('✓ GitHub Actions triggered — Terraform running in CI');
-  onLog('ℹ️  Check GitHub Actions tab for live progress');
-  return {}
 }
 
 async function simulateTerraform(deploymentId, action, onLog) {
   const steps = action === 'provision'
     ? ['Initializing provider plugins...', 'Terraform initialized', 'Configuration valid', `Plan: 1 to add, 0 to change, 0 to destroy`, `Apply complete! Resources: 1 added, 0 changed, 0 destroyed.`]
-    : action === 'update'
+    : action === 'update' || action === 'reconcile' || action === 'rollback'
     ? ['Initializing provider plugins...', 'Terraform initialized', 'Configuration valid', `Plan: 0 to add, 2 to change, 0 to destroy`, `Apply complete! Resources: 0 added, 2 changed, 0 destroyed.`]
+    : action === 'adopt'
+    ? ['Initializing provider plugins...', 'Terraform initialized', 'Configuration valid', `Plan: 2 to import, 1 to add, 2 to change, 0 to destroy`, `Apply complete! Resources: 2 imported, 1 added, 2 changed, 0 destroyed.`]
+    : action === 'replace'
+    ? ['Initializing provider plugins...', 'Terraform initialized', 'Configuration valid', `Plan: 1 to add, 0 to change, 1 to destroy`, `Destroy complete! Resources: 1 destroyed.`, `Apply complete! Resources: 1 added, 0 changed, 0 destroyed.`]
     : ['Initializing provider plugins...', 'Terraform initialized', `Plan: 0 to add, 0 to change, 1 to destroy`, `Destroy complete! Resources: 1 destroyed.`];
 
-  for (const step of steps) {
-    await delay(1200 + Math.random() * 1000);
-    onLog(step);
+  try {
+    for (const step of steps) {
+      await delay(1200 + Math.random() * 1000);
+      if (cancelledSimulations.has(deploymentId)) throw new Error('Terraform run cancelled');
+      onLog(step);
+    }
+  } finally {
+    cancelledSimulations.delete(deploymentId);
   }
   return {};
 }
@@ -204,86 +1095,649 @@ async function simulateTerraform(deploymentId, action, onLog) {
 function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 // ─────────────────────────────────────────────────────────────
-// TERRAFORM TEMPLATE GENERATION
+// LOCAL TERRAFORM ENGINE — child processes in the workspace dir
 // ─────────────────────────────────────────────────────────────
-function buildBackendBlock(deploymentId) {
-  if (CONFIG.DEMO_MODE) return '  # backend configured via -backend-config flags at init time';
-  return `  backend "azurerm" {
-    resource_group_name  = "${CONFIG.TF_STATE_RG}"
-    storage_account_name = "${CONFIG.TF_STATE_STORAGE_ACCOUNT}"
-    container_name       = "${CONFIG.TF_STATE_CONTAINER}"
-    key                  = "${deploymentId}/terraform.tfstate"
-  }`;
-}
+const localRuns = new Map(); // deploymentId -> Set of { child, cancelled, timedOut, env }
 
-function buildProviderBlock() {
-  return `terraform {
-  required_version = ">= 1.6.0"
-  required_providers {
-    azurerm = {
-      source  = "hashicorp/azurerm"
-      version = "~> 3.80"
-    }
+// Registers a run for the duration of fn(run), so cancel and
+// TF_TIMEOUT_MINUTES reach it — apply jobs and plan stages alike
+async function withLocalRun(deploymentId, env, fn) {
+  const run = { child: null, cancelled: false, timedOut: false, env };
+  if (!localRuns.has(deploymentId)) localRuns.set(deploymentId, new Set());
+  localRuns.get(deploymentId).add(run);
+  const timer = setTimeout(() => {
+    run.timedOut = true;
+    stopLocalRun(run);
+  }, CONFIG.TF_TIMEOUT_MS);
+  try {
+    return await fn(run);
+  } finally {
+    clearTimeout(timer);
+    const runs = localRuns.get(deploymentId);
+    runs.delete(run);
+    if (!runs.size) localRuns.delete(deploymentId);
   }
-BACKEND_BLOCK
 }
 
-provider "azurerm" {
-  features {
-    resource_group { prevent_deletion_if_contains_resources = false }
-    key_vault      { purge_soft_delete_on_destroy = true }
-  }
-}`;
+function runTerraformLocal(deploymentId, workspaceDir, action, onLog, { planFile, env } = {}) {
+  return withLocalRun(deploymentId, env, async run => {
+    const tf = (args, opts) => runTerraformCommand(run, workspaceDir, args, onLog, opts);
+    await terraformInit(tf, deploymentId);
+
+    if (planFile) {
+      // a saved decommission plan is a destroy plan, applied the same way
+      await tf(['apply', '-input=false', '-no-color', '-auto-approve', planFile]);
+      if (action === 'decommission') return {};
+    } else if (action === 'decommission') {
+      await tf(['destroy', '-input=false', '-no-color', '-auto-approve']);
+      return {};
+    } else {
+      if (action === 'replace') {
+        await tf(['destroy', '-input=false', '-no-color', '-auto-approve']);
+      }
+      await tf(['plan', '-input=false', '-no-color', '-out=tfplan']);
+      await tf(['apply', '-input=false', '-no-color', '-auto-approve', 'tfplan']);
+    }
+
+    const raw = await tf(['output', '-json', '-no-color'], { capture: true });
+    return parseTerraformOutputs(raw);
+  });
 }
 
-function tagsBlock(tags, indent = '  ') {
-  return Object.entries(tags).map(([k, v]) => `${indent}  ${k} = "${v}"`).join('\n');
+function terraformInit(tf, deploymentId) {
+  const backendArgs = Object.entries(getTfBackendConfig(deploymentId)).map(([k, v]) => `-backend-config=${k}=${v}`);
+  return tf(['init', '-input=false', '-no-color', ...backendArgs]);
 }
 
-function generateMainTf(resourceType, config, allTags, deploymentId, environment) {
-  const backend  = buildBackendBlock(deploymentId);
-  const provider = buildProviderBlock().replace('BACKEND_BLOCK', backend);
-  const tags     = tagsBlock(allTags);
-  const rg       = `rg-${config.name}-${environment}`;
-  const loc      = config.location || 'East US';
+// Resolves with stdout when capture is set; otherwise every line goes to onLog.
+// run.env holds the deployment's TF_VAR_* secrets.
+function runTerraformCommand(run, cwd, args, onLog, { capture = false } = {}) {
+  if (run.cancelled) return Promise.reject(new Error('Terraform run cancelled'));
+  if (run.timedOut) return Promise.reject(new Error('Terraform run timed out'));
 
-  const resourceBlocks = {
-    vm: `
-resource "azurerm_resource_group" "rg" {
-  name     = "${rg}"
-  location = "${loc}"
-  tags = {
-${tags}
-  }
+  onLog(`$ terraform ${args.join(' ')}`);
+  return new Promise((resolve, reject) => {
+    const child = spawn(CONFIG.TERRAFORM_BIN, args, {
+      cwd,
+      env: { ...process.env, ...run.env, TF_IN_AUTOMATION: '1', TF_INPUT: '0' },
+    });
+    run.child = child;
+
+    let stdout = '';
+    if (capture) child.stdout.on('data', d => stdout += d);
+    else readline.createInterface({ input: child.stdout }).on('line', onLog);
+    readline.createInterface({ input: child.stderr }).on('line', line => onLog(`stderr: ${line}`));
+
+    const stopped = () => {
+      if (run.cancelled) return new Error('Terraform run cancelled');
+      if (run.timedOut) return new Error(`Terraform run timed out after ${CONFIG.TF_TIMEOUT_MS / 60000} minutes`);
+    };
+    child.on('error', err => reject(new Error(`Could not start ${CONFIG.TERRAFORM_BIN}: ${err.message}`)));
+    // a stopped run settles on exit — grandchildren may keep the pipes open
+    child.on('exit', () => { if (stopped()) reject(stopped()); });
+    child.on('close', (code, signal) => {
+      run.child = null;
+      if (stopped()) return reject(stopped());
+      if (code !== 0) return reject(new Error(`terraform ${args[0]} exited with ${signal || `code ${code}`}`));
+      resolve(stdout);
+    });
+  });
 }
 
-resource "azurerm_virtual_network" "vnet" {
-  name                = "vnet-${config.name}"
-  address_space       = ["10.0.0.0/16"]
-  location            = azurerm_resource_group.rg.location
-  resource_group_name = azurerm_resource_group.rg.name
-  tags = {
-${tags}
-  }
+// SIGINT lets terraform stop gracefully and release the state lock;
+// SIGKILL follows if it is still running after the grace period
+function stopLocalRun(run) {
+  const { child } = run;
+  if (!child) return;
+  child.kill('SIGINT');
+  setTimeout(() => { if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL'); }, 30000).unref();
 }
 
-resource "azurerm_subnet" "subnet" {
-  name                 = "snet-${config.name}"
-  resource_group_name  = azurerm_resource_group.rg.name
-  virtual_network_name = azurerm_virtual_network.vnet.name
-  address_prefixes     = ["10.0.1.0/24"]
+function cancelLocalRun(deploymentId) {
+  const runs = localRuns.get(deploymentId);
+  if (!runs) return false;
+  for (const run of runs) {
+    run.cancelled = true;
+    stopLocalRun(run);
+  }
+  return true;
 }
 
-resource "azurerm_network_interface" "nic" {
-  name                = "nic-${config.name}"
-  location            = azurerm_resource_group.rg.location
-  resource_group_name = azurerm_resource_group.rg.name
-  ip_configuration {
-    name                          = "internal"
-    subnet_id                     = azurerm_subnet.subnet.id
-    private_ip_address_allocation = "Dynamic"
+// `terraform output -json` → { name: value }, masking sensitive outputs
+function parseTerraformOutputs(raw) {
+  const outputs = {};
+  for (const [name, out] of Object.entries(JSON.parse(raw || '{}'))) {
+    outputs[name] = out.sensitive ? '(sensitive)' : out.value;
   }
-  tags = {
+  return outputs;
+}
+
+// ─────────────────────────────────────────────────────────────
+// TERRAFORM PLANS — saved plans + structured change summaries
+// ─────────────────────────────────────────────────────────────
+// Where each config field lands in the generated Terraform, used to build a
+// synthetic plan in demo mode: field -> [resource address, attribute]
+const PLAN_ATTRIBUTES = {
+  vm: {
+    name: ['azurerm_linux_virtual_machine.vm', 'name'], location: ['azurerm_linux_virtual_machine.vm', 'location'],
+    vmSize: ['azurerm_linux_virtual_machine.vm', 'size'], adminUsername: ['azurerm_linux_virtual_machine.vm', 'admin_username'],
+    diskType: ['azurerm_linux_virtual_machine.vm', 'os_disk.storage_account_type'], osDiskSizeGb: ['azurerm_linux_virtual_machine.vm', 'os_disk.disk_size_gb'],
+  },
+  storage: {
+    name: ['azurerm_storage_account.storage', 'name'], location: ['azurerm_storage_account.storage', 'location'],
+    tier: ['azurerm_storage_account.storage', 'account_tier'], replication: ['azurerm_storage_account.storage', 'account_replication_type'],
+    versioning: ['azurerm_storage_account.storage', 'blob_properties.versioning_enabled'], retentionDays: ['azurerm_storage_account.storage', 'blob_properties.delete_retention_policy.days'],
+  },
+  aks: {
+    name: ['azurerm_kubernetes_cluster.aks', 'name'], location: ['azurerm_kubernetes_cluster.aks', 'location'],
+    nodeCount: ['azurerm_kubernetes_cluster.aks', 'default_node_pool.node_count'], vmSize: ['azurerm_kubernetes_cluster.aks', 'default_node_pool.vm_size'],
+    k8sVersion: ['azurerm_kubernetes_cluster.aks', 'kubernetes_version'], autoScaling: ['azurerm_kubernetes_cluster.aks', 'default_node_pool.enable_auto_scaling'],
+    minNodes: ['azurerm_kubernetes_cluster.aks', 'default_node_pool.min_count'], maxNodes: ['azurerm_kubernetes_cluster.aks', 'default_node_pool.max_count'],
+  },
+  sql: {
+    name: ['azurerm_mssql_database.db', 'name'], location: ['azurerm_mssql_server.sql', 'location'],
+    adminLogin: ['azurerm_mssql_server.sql', 'administrator_login'], sku: ['azurerm_mssql_database.db', 'sku_name'],
+    maxSizeGb: ['azurerm_mssql_database.db', 'max_size_gb'],
+  },
+  keyvault: {
+    name: ['azurerm_key_vault.kv', 'name'], location: ['azurerm_key_vault.kv', 'location'], sku: ['azurerm_key_vault.kv', 'sku_name'],
+    softDeleteRetention: ['azurerm_key_vault.kv', 'soft_delete_retention_days'], purgeProtection: ['azurerm_key_vault.kv', 'purge_protection_enabled'],
+    networkDefaultAction: ['azurerm_key_vault.kv', 'network_acls.default_action'],
+  },
+  vnet: {
+    name: ['azurerm_virtual_network.vnet', 'name'], location: ['azurerm_virtual_network.vnet', 'location'],
+    addressSpace: ['azurerm_virtual_network.vnet', 'address_space'], dnsServers: ['azurerm_virtual_network.vnet', 'dns_servers'],
+  },
+};
+
+// Side effects Terraform itself does not spell out, keyed by resource type + attribute
+const PLAN_IMPACT_NOTES = {
+  azurerm_linux_virtual_machine: { size: 'The VM is stopped and restarted to apply the new size' },
+  azurerm_kubernetes_cluster: {
+    kubernetes_version: 'Control plane and node pool are upgraded; nodes are drained and reimaged one at a time',
+    'default_node_pool.vm_size': 'Changing the default node pool size rotates every node',
+  },
+  azurerm_mssql_database: { sku_name: 'Connections are dropped briefly while the database switches tier' },
+  azurerm_storage_account: { account_tier: 'Changing the tier recreates the storage account and its data' },
+};
+
+function savedPlanDir(deploymentId, planId) {
+  return path.join(CONFIG.PLANS_DIR, deploymentId, planId);
+}
+
+function hashWorkspaceFiles(files) {
+  const hash = crypto.createHash('sha256');
+  for (const name of Object.keys(files).sort()) hash.update(`${name}\0${files[name]}\0`);
+  return hash.digest('hex');
+}
+
+// `terraform show -json` → [{ address, type, action, attributes, notes }]
+function summarizeTerraformPlan(planJson) {
+  const changes = [];
+  for (const rc of planJson.resource_changes || []) {
+    const { actions, before, after, after_unknown: unknown, before_sensitive, after_sensitive, replace_paths } = rc.change;
+    const action = actions.includes('delete') && actions.includes('create') ? 'replace' : actions[0];
+    if (action === 'no-op' || action === 'read') continue;
+
+    const attributes = {};
+    for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+      const from = before?.[key] ?? null;
+      const to = unknown?.[key] ? '(known after apply)' : after?.[key] ?? null;
+      if (JSON.stringify(from) === JSON.stringify(to)) continue;
+      const sensitive = before_sensitive?.[key] || after_sensitive?.[key];
+      attributes[key] = {
+        from: sensitive ? '(sensitive)' : from,
+        to: sensitive ? '(sensitive)' : to,
+        forcesReplacement: (replace_paths || []).some(p => p[0] === key),
+      };
+    }
+    changes.push({ address: rc.address, type: rc.type, action, attributes, notes: planImpactNotes(rc.type, Object.keys(attributes)) });
+  }
+  return changes;
+}
+
+// Synthetic equivalent of summarizeTerraformPlan, built from the config diff
+// (from {} for a provision, to {} for a decommission)
+function synthesizePlan(resourceType, diff, action = 'update') {
+  if (action === 'provision' || action === 'decommission') {
+    const planned = action === 'provision' ? 'create' : 'delete';
+    const byAddress = { 'azurerm_resource_group.rg': { address: 'azurerm_resource_group.rg', type: 'azurerm_resource_group', action: planned, attributes: {} } };
+    for (const [field, change] of Object.entries(diff)) {
+      const [address, attribute] = PLAN_ATTRIBUTES[resourceType]?.[field] || [];
+      if (!address) continue;
+      const entry = byAddress[address] = byAddress[address] || { address, type: address.split('.')[0], action: planned, attributes: {} };
+      entry.attributes[attribute] = { from: change.from ?? null, to: change.to ?? null, forcesReplacement: false };
+    }
+    return Object.values(byAddress).map(c => ({ ...c, notes: [] }));
+  }
+
+  const byAddress = {};
+  const renamesGroup = diff.name || diff.location;
+  if (renamesGroup) {
+    byAddress['azurerm_resource_group.rg'] = { address: 'azurerm_resource_group.rg', type: 'azurerm_resource_group', action: 'replace', attributes: {} };
+    if (diff.location) byAddress['azurerm_resource_group.rg'].attributes.location = { from: diff.location.from, to: diff.location.to, forcesReplacement: true };
+    if (diff.name) byAddress['azurerm_resource_group.rg'].attributes.name = { from: '(derived from name)', to: '(derived from name)', forcesReplacement: true };
+  }
+  for (const [field, change] of Object.entries(diff)) {
+    const [address, attribute] = PLAN_ATTRIBUTES[resourceType]?.[field] || [];
+    if (!address) continue;
+    const entry = byAddress[address] = byAddress[address] || { address, type: address.split('.')[0], action: 'update', attributes: {} };
+    const forcesReplacement = classifyChange(resourceType, field) === 'replace';
+    if (forcesReplacement || renamesGroup) entry.action = 'replace';
+    entry.attributes[attribute] = { from: change.from ?? null, to: change.to ?? null, forcesReplacement };
+  }
+  return Object.values(byAddress).map(c => ({ ...c, notes: planImpactNotes(c.type, Object.keys(c.attributes)) }));
+}
+
+function planImpactNotes(type, attributes) {
+  const notes = PLAN_IMPACT_NOTES[type] || {};
+  return attributes.filter(a => notes[a]).map(a => notes[a]);
+}
+
+// Where each deployment secret lands: name -> [resource address, attribute, forces replacement]
+const SECRET_PLAN_ATTRIBUTES = {
+  'ssh-key': ['azurerm_linux_virtual_machine.vm', 'admin_ssh_key.public_key', true],
+  'sql-admin-password': ['azurerm_mssql_server.sql', 'administrator_login_password', false],
+};
+
+// Synthetic plan of a secret rotation — the values never show up in a plan
+function synthesizeSecretPlan(secretName) {
+  const [address, attribute, forcesReplacement] = SECRET_PLAN_ATTRIBUTES[secretName];
+  const type = address.split('.')[0];
+  return [{
+    address, type, action: forcesReplacement ? 'replace' : 'update',
+    attributes: { [attribute]: { from: '(sensitive)', to: '(sensitive)', forcesReplacement } },
+    notes: planImpactNotes(type, [attribute]),
+  }];
+}
+
+function countPlanActions(changes) {
+  const counts = { create: 0, update: 0, replace: 0, delete: 0 };
+  for (const c of changes) if (counts[c.action] !== undefined) counts[c.action]++;
+  return counts;
+}
+
+const PLAN_MODE_FLAGS = { plan: [], destroy: ['-destroy'], 'refresh-only': ['-refresh-only'] };
+
+// Plans the workspace in dir for a plan stage (saved plans, drift checks,
+// import plans): locally as a registered run, or in github mode as a
+// plan-only workflow run. Either way dir ends up with tfplan and its lock
+// file. Returns the `terraform show` output as { planJson, shown }.
+async function planWorkspace(target, dir, { mode = 'plan', stageId = uuidv4(), secretKeys = {}, onLog }) {
+  if (CONFIG.EXECUTION_MODE === 'github') return planWorkspaceInWorkflow(target, dir, { mode, stageId, secretKeys, onLog });
+
+  return withLocalRun(target.id, await terraformSecretEnv(target.id, target.resourceType, secretKeys), async run => {
+    const tf = (args, opts) => runTerraformCommand(run, dir, args, onLog, opts);
+    await terraformInit(tf, target.id);
+    await tf(['plan', ...PLAN_MODE_FLAGS[mode], '-input=false', '-no-color', '-out=tfplan']);
+    const planJson = JSON.parse(await tf(['show', '-json', 'tfplan'], { capture: true }));
+    const shown = await tf(['show', '-no-color', 'tfplan'], { capture: true });
+    return { planJson, shown };
+  });
+}
+
+// deployments/<id>/plans/<stageId>/ takes the .tf files to the runner and
+// brings tfplan, .terraform.lock.hcl, show.json and show.txt back
+async function planWorkspaceInWorkflow(target, dir, { mode, stageId, secretKeys, onLog }) {
+  const prefix = `${target.id}/plans/${stageId}`;
+  const secrets = await workflowSecrets(target.id, target.resourceType, onLog, secretKeys);
+  for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.tf'))) {
+    if (!await azureBlobUpload('deployments', `${prefix}/${name}`, fs.readFileSync(path.join(dir, name), 'utf8')))
+      throw new Error(`Could not upload ${name} of plan ${stageId} to blob storage`);
+  }
+
+  const dispatchId = uuidv4();
+  onLog(`→ Triggering GitHub Actions ${mode} plan ${stageId}...`);
+  await dispatchWorkflow('terraform-plan', {
+    action:        'plan',
+    deployment_id: target.id,
+    dispatch_id:   dispatchId,
+    resource_type: target.resourceType,
+    environment:   target.environment  || 'dev',
+    ticket_number: target.ticketNumber || 'PORTAL',
+    plan_id:       stageId,
+    plan_mode:     mode,
+    config:        { name: target.resourceName },
+    secrets,
+  });
+  await waitForWorkflowCallback(target.id, dispatchId, onLog);
+
+  for (const name of ['tfplan', '.terraform.lock.hcl']) {
+    const content = await azureBlobDownload('deployments', `${prefix}/${name}`, { raw: true });
+    if (!content) throw new Error(`Plan ${stageId} has no ${name} in blob storage`);
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  const planJson = await azureBlobDownload('deployments', `${prefix}/show.json`);
+  if (!planJson) throw new Error(`Plan ${stageId} has no show.json in blob storage`);
+  return { planJson: JSON.parse(planJson), shown: await azureBlobDownload('deployments', `${prefix}/show.txt`) };
+}
+
+// Deployments with a plan stage running; a second one would remove its plan
+const plansInFlight = new Set();
+
+// Refuses a plan stage while something is still going to apply the current
+// saved plan: a held request, a queued or running job, or a request in
+// progress. Returns the error message, or null.
+async function planStageConflict(resource) {
+  if (resource.status === 'pending-approval') return 'A request for this resource is awaiting approval — approve or reject it first';
+  const job = await activeJob(resource.id);
+  if (job) return `A ${job.action} job for this resource is ${job.status} — wait for it to finish or cancel it first`;
+  if (resource.status === 'waiting' || Object.values(IN_PROGRESS_STATUS).includes(resource.status))
+    return `This resource is ${resource.status} — wait for it to finish first`;
+  return null;
+}
+
+function sendPlanFailed(res, e) {
+  if (e.status === 409) return res.status(409).json({ error: e.message });
+  return res.status(502).json({ error: `terraform plan failed: ${e.message}`, logs: (e.logs || []).slice(-30) });
+}
+
+// Removes the deployment's saved plans, except those a queued or running job,
+// a held request or a waiting provision is still going to apply
+async function removeSavedPlans(deploymentId) {
+  const dir = path.join(CONFIG.PLANS_DIR, path.basename(deploymentId));
+  if (!fs.existsSync(dir)) return;
+  const { jobs } = await inventory.listJobs({ deploymentId });
+  const resource = await inventory.getResource(deploymentId);
+  const referenced = new Set([
+    ...jobs.filter(j => ['queued', 'running'].includes(j.status)).map(j => j.options?.planId),
+    resource?.pendingRequest?.planId,
+    resource?.status === 'waiting' && provisionPlan(resource).planId,
+  ].filter(Boolean));
+  for (const planId of fs.readdirSync(dir)) {
+    if (!referenced.has(planId)) fs.rmSync(path.join(dir, planId), { recursive: true, force: true });
+  }
+  if (!fs.readdirSync(dir).length) fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// A provision plan stage stores the secrets of a deployment that does not
+// exist yet (the plan carries them). Once its plans have expired without a
+// provision, the plans and the secrets go.
+async function removeAbandonedProvisionPlans() {
+  if (!fs.existsSync(CONFIG.PLANS_DIR)) return;
+  for (const deploymentId of fs.readdirSync(CONFIG.PLANS_DIR)) {
+    const plans = savedPlans(deploymentId);
+    if (!plans.length || plans.some(({ plan }) => plan.action !== 'provision' || Date.parse(plan.expiresAt) > Date.now())) continue;
+    if (await inventory.getResource(deploymentId)) continue;
+    fs.rmSync(path.join(CONFIG.PLANS_DIR, deploymentId), { recursive: true, force: true });
+    await deleteDeploymentSecrets(deploymentId, plans[0].plan.resourceType);
+  }
+}
+
+// Plan stage of a two-stage provision/update/decommission (and of rollback
+// previews): generates the workspace into a scratch dir, plans the action and
+// keeps the plan file, a readable summary and a content hash. Earlier plans
+// of the deployment are removed unless something still applies them; the
+// apply stage names the plan by its hash. A secret rotation plans with the
+// staged version ({ name, key, version }). Throws with status 409 while
+// another plan stage of the deployment is running.
+async function createSavedPlan(resource, files, options = {}) {
+  if (plansInFlight.has(resource.id))
+    throw Object.assign(new Error('Another plan stage for this resource is still running — wait for it to finish'), { status: 409 });
+  plansInFlight.add(resource.id);
+  try {
+    return await planAndSave(resource, files, options);
+  } finally {
+    plansInFlight.delete(resource.id);
+  }
+}
+
+async function planAndSave(resource, files, { action = 'update', diff = {}, secret, actor } = {}) {
+  const planId = uuidv4();
+  const planDir = savedPlanDir(resource.id, planId);
+  await removeSavedPlans(resource.id);
+  fs.mkdirSync(planDir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(planDir, name), content);
+
+  const logs = [];
+  let changes, shown = null;
+  if (CONFIG.EXECUTION_MODE === 'demo') {
+    changes = secret ? synthesizeSecretPlan(secret.name) : synthesizePlan(resource.resourceType, diff, action);
+  } else {
+    try {
+      const planned = await planWorkspace(resource, planDir, {
+        mode: action === 'decommission' ? 'destroy' : 'plan',
+        stageId: planId,
+        secretKeys: secret ? { [secret.name]: secret.key } : {},
+        onLog: line => logs.push(line),
+      });
+      changes = summarizeTerraformPlan(planned.planJson);
+      shown = planned.shown;
+    } catch (err) {
+      err.logs = logs;
+      throw err;
+    }
+  }
+
+  const createdAt = new Date();
+  const plan = {
+    id: planId,
+    deploymentId: resource.id,
+    action,
+    source: CONFIG.EXECUTION_MODE === 'demo' ? 'synthetic' : 'terraform',
+    workspaceHash: hashWorkspaceFiles(files),
+    basedOn: resource.updatedAt || null,
+    // a provision's tags carry a timestamp, so the apply stage reuses these
+    ...(action === 'provision' && { tags: resource.tags, resourceType: resource.resourceType }),
+    ...(secret && { secret: { name: secret.name, version: secret.version } }),
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + CONFIG.PLAN_TTL_MS).toISOString(),
+    summary: countPlanActions(changes),
+    changes,
+  };
+  plan.hash = planContentHash(plan, planDir);
+  fs.writeFileSync(path.join(planDir, 'plan.json'), JSON.stringify(plan, null, 2));
+  fs.writeFileSync(path.join(planDir, 'summary.txt'), planSummaryText(resource, plan, shown));
+  await uploadSavedPlan(plan, planDir);
+  await appendAuditHistory(resource.id, 'plan', actor,
+    { action, planId, planHash: plan.hash, summary: plan.summary, expiresAt: plan.expiresAt }, 'success');
+  return plan;
+}
+
+// sha256 over what the apply stage acts on: the action, the resource version
+// and workspace it was planned from, the staged secret version, and the plan
+// file (the synthetic changes in demo mode). Recomputed before applying, so
+// edited artifacts are refused.
+function planContentHash(plan, planDir) {
+  const planFile = path.join(planDir, 'tfplan');
+  return crypto.createHash('sha256')
+    .update(`${plan.action}\0${plan.deploymentId}\0${plan.basedOn || ''}\0${plan.workspaceHash}\0`)
+    .update(plan.secret ? `${plan.secret.name}\0${plan.secret.version}\0` : '')
+    .update(fs.existsSync(planFile) ? fs.readFileSync(planFile) : JSON.stringify(plan.changes))
+    .digest('hex');
+}
+
+// What a reviewer reads: `terraform show` output when there is a real plan
+function planSummaryText(resource, plan, shown) {
+  const lines = [
+    `${plan.action} ${resource.resourceName || resource.id} (${resource.resourceType}) — deployment ${plan.deploymentId}`,
+    `plan ${plan.id} · ${plan.source} · sha256 ${plan.hash}`,
+    `created ${plan.createdAt} · expires ${plan.expiresAt}`,
+    '',
+  ];
+  if (shown) return [...lines, shown].join('\n');
+  for (const c of plan.changes) {
+    lines.push(`${c.action} ${c.address}`);
+    for (const [attr, a] of Object.entries(c.attributes))
+      lines.push(`    ${attr}: ${JSON.stringify(a.from)} → ${JSON.stringify(a.to)}${a.forcesReplacement ? '  # forces replacement' : ''}`);
+    for (const note of c.notes || []) lines.push(`    ! ${note}`);
+  }
+  lines.push('', `Plan: ${Object.entries(plan.summary).map(([a, n]) => `${n} to ${a}`).join(', ')}.`);
+  return lines.join('\n') + '\n';
+}
+
+// deployments/<id>/plans/<planId>/ — the GitHub Actions runner applies the
+// tfplan from there, with the provider lock file it was made with
+async function uploadSavedPlan(plan, planDir) {
+  for (const name of ['tfplan', '.terraform.lock.hcl', 'summary.txt', 'plan.json']) {
+    const file = path.join(planDir, name);
+    if (!fs.existsSync(file)) continue;
+    const uploaded = await azureBlobUpload('deployments', `${plan.deploymentId}/plans/${plan.id}/${name}`, fs.readFileSync(file));
+    if (!uploaded && CONFIG.EXECUTION_MODE === 'github') throw new Error(`Could not upload ${name} of plan ${plan.id} to blob storage`);
+  }
+  if (plan.hash) await azureBlobUpload('deployments', `${plan.deploymentId}/plans/${plan.id}/plan.sha256`, `${plan.hash}\n`);
+}
+
+// Newest first; older ones are only kept while something still applies them
+function savedPlans(deploymentId) {
+  const dir = path.join(CONFIG.PLANS_DIR, path.basename(deploymentId));
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(planId => path.join(dir, planId, 'plan.json'))
+    .filter(metaPath => fs.existsSync(metaPath))
+    .map(metaPath => ({ plan: JSON.parse(fs.readFileSync(metaPath, 'utf8')), metaPath }))
+    .sort((a, b) => b.plan.createdAt.localeCompare(a.plan.createdAt));
+}
+
+function latestSavedPlan(deploymentId) {
+  return savedPlans(deploymentId)[0] || null;
+}
+
+// Returns the saved plan planHash names, or { error } when it can no longer
+// be applied as-is — any change since the plan stage needs a new plan
+function loadSavedPlan(resource, planHash, files, action) {
+  const saved = latestSavedPlan(resource.id);
+  if (!saved || saved.plan.hash !== planHash) return { error: 'No saved plan with that hash — run the plan again' };
+  const { plan, metaPath } = saved;
+  if (plan.action !== action) return { error: `That plan is for ${plan.action}, not ${action} — run the plan again` };
+  if (plan.consumedAt) return { error: 'Plan was already applied — run the plan again' };
+  if (Date.parse(plan.expiresAt) < Date.now()) return { error: 'Plan has expired — run the plan again' };
+  if (plan.basedOn !== (resource.updatedAt || null)) return { error: 'Resource changed since the plan was made — run the plan again' };
+  if (plan.workspaceHash !== hashWorkspaceFiles(files)) return { error: 'Requested changes differ from the saved plan — run the plan again' };
+  if (planContentHash(plan, path.dirname(metaPath)) !== plan.hash) return { error: 'Saved plan artifacts no longer match their hash — run the plan again' };
+  return { plan, metaPath };
+}
+
+function markPlanConsumed({ plan, metaPath }) {
+  fs.writeFileSync(metaPath, JSON.stringify({ ...plan, consumedAt: new Date().toISOString() }, null, 2));
+}
+
+// ─────────────────────────────────────────────────────────────
+// GITHUB ACTIONS CALLBACKS — completion reports from terraform-lifecycle.yml
+// ─────────────────────────────────────────────────────────────
+const pendingDispatches = new Map(); // dispatchId -> { deploymentId, onLog, timer, resolve, reject }
+
+function waitForWorkflowCallback(deploymentId, dispatchId, onLog) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingDispatches.delete(dispatchId);
+      reject(new Error(`No completion callback from GitHub Actions within ${CONFIG.CALLBACK_TIMEOUT_MS / 60000} minutes`));
+    }, CONFIG.CALLBACK_TIMEOUT_MS);
+    pendingDispatches.set(dispatchId, { deploymentId, onLog, timer, resolve, reject });
+  });
+}
+
+// Signature is HMAC-SHA256 over "<timestamp>.<raw body>"; stale timestamps
+// are rejected so a captured callback cannot be replayed later
+function verifyCallbackSignature(req) {
+  if (!CONFIG.CALLBACK_SECRET) return false;
+  const timestamp = req.get('X-TerraPortal-Timestamp');
+  const signature = req.get('X-TerraPortal-Signature') || '';
+  if (!timestamp || !(Math.abs(Date.now() / 1000 - Number(timestamp)) <= 300)) return false;
+  const expected = 'sha256=' + crypto.createHmac('sha256', CONFIG.CALLBACK_SECRET)
+    .update(`${timestamp}.`).update(req.rawBody || '').digest('hex');
+  return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// ─────────────────────────────────────────────────────────────
+// TERRAFORM TEMPLATE GENERATION
+// ─────────────────────────────────────────────────────────────
+function buildBackendBlock(deploymentId) {
+  if (CONFIG.EXECUTION_MODE === 'local') return '  backend "azurerm" {} # values passed as -backend-config flags at init time';
+  if (CONFIG.DEMO_MODE) return '  # backend configured via -backend-config flags at init time';
+  return `  backend "azurerm" {
+    resource_group_name  = "${CONFIG.TF_STATE_RG}"
+    storage_account_name = "${CONFIG.TF_STATE_STORAGE_ACCOUNT}"
+    container_name       = "${CONFIG.TF_STATE_CONTAINER}"
+    key                  = "${deploymentId}/terraform.tfstate"
+  }`;
+}
+
+function buildProviderBlock() {
+  return `terraform {
+  required_version = ">= 1.6.0"
+  required_providers {
+    azurerm = {
+      source  = "hashicorp/azurerm"
+      version = "~> 3.80"
+    }
+  }
+BACKEND_BLOCK
+}
+
+provider "azurerm" {
+  features {
+    resource_group { prevent_deletion_if_contains_resources = false }
+    key_vault      { purge_soft_delete_on_destroy = true }
+  }
+}`;
+}
+
+function tagsBlock(tags, indent = '  ') {
+  return Object.entries(tags).map(([k, v]) => `${indent}  ${k} = "${v}"`).join('\n');
+}
+
+// Outputs of another portal deployment, read from its state blob
+function remoteStateBlock(name, deploymentId) {
+  const backend = getTfBackendConfig(deploymentId);
+  return `
+data "terraform_remote_state" "${name}" {
+  backend = "azurerm"
+  config = {
+${Object.entries(backend).map(([k, v]) => `    ${k.padEnd(20)} = "${v}"`).join('\n')}
+  }
+}
+`;
+}
+
+// options.resourceGroup keeps an adopted resource in the group it already lives in
+function generateMainTf(resourceType, config, allTags, deploymentId, environment, options = {}) {
+  const backend  = buildBackendBlock(deploymentId);
+  const provider = buildProviderBlock().replace('BACKEND_BLOCK', backend);
+  const tags     = tagsBlock(allTags);
+  const rg       = options.resourceGroup || `rg-${config.name}-${environment}`;
+  const loc      = config.location || 'East US';
+  const subnetId = config.subnetRef && `data.terraform_remote_state.vnet.outputs.subnet_ids["${config.subnetName || 'snet-app'}"]`;
+  const refs     = (config.subnetRef ? remoteStateBlock('vnet', config.subnetRef) : '') +
+                   (config.keyVaultRef ? remoteStateBlock('key_vault', config.keyVaultRef) : '');
+
+  const resourceBlocks = {
+    vm: `
+resource "azurerm_resource_group" "rg" {
+  name     = "${rg}"
+  location = "${loc}"
+  tags = {
+${tags}
+  }
+}
+${subnetId ? '' : `
+resource "azurerm_virtual_network" "vnet" {
+  name                = "vnet-${config.name}"
+  address_space       = ["10.0.0.0/16"]
+  location            = azurerm_resource_group.rg.location
+  resource_group_name = azurerm_resource_group.rg.name
+  tags = {
+${tags}
+  }
+}
+
+resource "azurerm_subnet" "subnet" {
+  name                 = "snet-${config.name}"
+  resource_group_name  = azurerm_resource_group.rg.name
+  virtual_network_name = azurerm_virtual_network.vnet.name
+  address_prefixes     = ["10.0.1.0/24"]
+}
+`}
+resource "azurerm_network_interface" "nic" {
+  name                = "nic-${config.name}"
+  location            = azurerm_resource_group.rg.location
+  resource_group_name = azurerm_resource_group.rg.name
+  ip_configuration {
+    name                          = "internal"
+    subnet_id                     = ${subnetId || 'azurerm_subnet.subnet.id'}
+    private_ip_address_allocation = "Dynamic"
+  }
+  tags = {
 ${tags}
   }
 }
@@ -373,20 +1827,34 @@ resource "azurerm_kubernetes_cluster" "aks" {
     os_disk_size_gb     = 50
     enable_auto_scaling = ${config.autoScaling === 'true' ? 'true' : 'false'}
     min_count           = ${config.autoScaling === 'true' ? (config.minNodes || 1) : 'null'}
-    max_count           = ${config.autoScaling === 'true' ? (config.maxNodes || 5) : 'null'}
+    max_count           = ${config.autoScaling === 'true' ? (config.maxNodes || 5) : 'null'}${subnetId ? `
+    vnet_subnet_id      = ${subnetId}` : ''}
   }
 
   identity { type = "SystemAssigned" }
 
   network_profile {
     network_plugin = "azure"
-    load_balancer_sku = "standard"
+    load_balancer_sku = "standard"${subnetId ? `
+    # kept clear of the portal's default 10.0.0.0/16 address spaces
+    service_cidr   = "172.16.0.0/16"
+    dns_service_ip = "172.16.0.10"` : ''}
   }
-
+${config.keyVaultRef ? `
+  key_vault_secrets_provider {
+    secret_rotation_enabled = true
+  }
+` : ''}
   tags = {
 ${tags}
   }
-}`,
+}${config.keyVaultRef ? `
+
+resource "azurerm_role_assignment" "key_vault_secrets" {
+  scope                = data.terraform_remote_state.key_vault.outputs.vault_id
+  role_definition_name = "Key Vault Secrets User"
+  principal_id         = azurerm_kubernetes_cluster.aks.key_vault_secrets_provider[0].secret_identity[0].object_id
+}` : ''}`,
 
     sql: `
 resource "azurerm_resource_group" "rg" {
@@ -498,22 +1966,21 @@ ${tags}
   };
 
   const resourceBlock = resourceBlocks[resourceType] || resourceBlocks.vm;
-  return `${provider}\n${resourceBlock}`;
+  return `${provider}\n${refs}${resourceBlock}`;
 }
 
+// Secrets have no defaults: they arrive as TF_VAR_* (see DEPLOYMENT SECRETS)
 function generateVariablesTf(resourceType) {
   const vars = {
     vm: `variable "ssh_public_key" {
   description = "SSH public key for VM admin access"
   type        = string
   sensitive   = true
-  default     = "ssh-rsa PLACEHOLDER"
 }`,
     sql: `variable "sql_admin_password" {
   description = "SQL Server administrator password"
   type        = string
   sensitive   = true
-  default     = "P@ssw0rd123!ChangeMe"
 }`,
     vnet: `variable "subnets" {
   type = list(object({ name = string, prefix = string }))
@@ -534,272 +2001,3021 @@ function generateOutputsTf(resourceType) {
     aks:      `output "cluster_id"   { value = azurerm_kubernetes_cluster.aks.id }\noutput "kube_config"  { value = azurerm_kubernetes_cluster.aks.kube_config_raw\n  sensitive = true }`,
     sql:      `output "server_fqdn"  { value = azurerm_mssql_server.sql.fully_qualified_domain_name }\noutput "db_id"        { value = azurerm_mssql_database.db.id }`,
     keyvault: `output "vault_uri"    { value = azurerm_key_vault.kv.vault_uri }\noutput "vault_id"     { value = azurerm_key_vault.kv.id }`,
-    vnet:     `output "vnet_id"      { value = azurerm_virtual_network.vnet.id }\noutput "address_space" { value = azurerm_virtual_network.vnet.address_space }`,
+    vnet:     `output "vnet_id"      { value = azurerm_virtual_network.vnet.id }\noutput "address_space" { value = azurerm_virtual_network.vnet.address_space }\noutput "subnet_ids"   { value = { for name, s in azurerm_subnet.subnets : name => s.id } }`,
   };
   return outs[resourceType] || '# No outputs defined';
 }
 
-// ─────────────────────────────────────────────────────────────
-// BACKGROUND JOB RUNNER
-// ─────────────────────────────────────────────────────────────
-async function runDeploymentJob(deploymentId, workspaceDir, action, changes) {
-  const logs = [];
-  const onLog = (line) => {
-    const entry = `[${new Date().toISOString()}] ${line}`;
-    logs.push(entry);
-    // Flush to inventory every few lines
-    if (logs.length % 3 === 0) flushLogs(deploymentId, logs);
+function generateWorkspaceFiles(resourceType, config, allTags, deploymentId, environment, options = {}) {
+  return {
+    'main.tf':      generateMainTf(resourceType, config, allTags, deploymentId, environment, options),
+    'variables.tf': generateVariablesTf(resourceType),
+    'outputs.tf':   generateOutputsTf(resourceType),
   };
+}
 
-  try {
-    onLog(`→ Action: ${action.toUpperCase()}`);
-    const outputs = await runTerraform(deploymentId, workspaceDir, action, onLog);
-
-    const inv = await readInventory();
-    const resource = inv.resources.find(r => r.id === deploymentId);
-    if (resource) {
-      if (action === 'provision') {
-        resource.status = 'deployed';
-        resource.outputs = outputs;
-      } else if (action === 'update') {
-        resource.status = 'deployed';
-        resource.outputs = outputs;
-        resource.lastUpdatedAt = new Date().toISOString();
-      } else if (action === 'decommission') {
-        resource.status = 'decommissioned';
-        resource.decommissionedAt = new Date().toISOString();
-      }
-      resource.logs = [...(resource.logs || []), ...logs];
-      resource.updatedAt = new Date().toISOString();
-      await writeInventory(inv);
-    }
-    await appendAuditHistory(deploymentId, action, 'system', changes, 'success');
-    onLog(`✓ ${action} complete`);
-  } catch (err) {
-    const inv = await readInventory();
-    const resource = inv.resources.find(r => r.id === deploymentId);
-    if (resource) {
-      resource.status = action === 'provision' ? 'failed' : 'update-failed';
-      resource.logs = [...(resource.logs || []), ...logs, `[${new Date().toISOString()}] ✗ Error: ${err.message}`];
-      resource.updatedAt = new Date().toISOString();
-      await writeInventory(inv);
-    }
-    await appendAuditHistory(deploymentId, action, 'system', changes, 'failure');
-  }
+function templateOptions(resource) {
+  return { resourceGroup: resource.adopted?.resourceGroup };
 }
 
-async function flushLogs(deploymentId, logs) {
-  try {
-    const inv = await readInventory();
-    const resource = inv.resources.find(r => r.id === deploymentId);
-    if (resource) {
-      resource.logs = logs;
-      await writeInventory(inv);
-    }
-  } catch (_) {}
+function writeWorkspace(workspaceDir, files) {
+  fs.mkdirSync(workspaceDir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(workspaceDir, name), content);
 }
 
 // ─────────────────────────────────────────────────────────────
-// API ROUTES
+// LIVE LOG STREAMS — per-deployment fan-out to SSE clients
 // ─────────────────────────────────────────────────────────────
+// Lines of the running job stay in memory and are written to the
+// inventory once, when the job finishes.
+const logStreams = new Map(); // deploymentId -> { lines, clients }
 
-// GET all inventory
-app.get('/api/inventory', async (req, res) => {
-  try { res.json(await readInventory()); }
-  catch (e) { res.status(500).json({ error: e.message }); }
-});
-
-// GET single resource
-app.get('/api/inventory/:id', async (req, res) => {
-  try {
-    const inv = await readInventory();
-    const resource = inv.resources.find(r => r.id === req.params.id);
-    if (!resource) return res.status(404).json({ error: 'Not found' });
-    res.json(resource);
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
+// A queued job opens its stream early; the run then carries on in it
+function openLogStream(deploymentId) {
+  const stream = logStreams.get(deploymentId) || { lines: [], clients: new Set() };
+  logStreams.set(deploymentId, stream);
+  return stream;
+}
 
-// GET audit history
-app.get('/api/history', async (req, res) => {
-  try {
-    const inv = await readInventory();
-    res.json({ history: inv.history || [] });
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
+function publishLog(deploymentId, entry) {
+  const stream = logStreams.get(deploymentId);
+  if (!stream) return;
+  stream.lines.push(entry);
+  for (const client of stream.clients) client.send('log', { line: entry });
+}
 
-// GET resource types
-app.get('/api/resource-types', (req, res) => res.json(RESOURCE_TYPES));
+function closeLogStream(deploymentId, status) {
+  const stream = logStreams.get(deploymentId);
+  if (!stream) return;
+  logStreams.delete(deploymentId);
+  for (const client of stream.clients) client.end(status);
+}
 
-// GET terraform preview for a config
-app.post('/api/preview', async (req, res) => {
-  const { resourceType, config, ticketNumber, environment, tags, deploymentId } = req.body;
-  const allTags = buildTags(ticketNumber, environment, deploymentId || 'preview', tags);
-  const tf = generateMainTf(resourceType, config || {}, allTags, deploymentId || 'preview', environment || 'dev');
-  res.json({ terraform: tf });
-});
+// Lines persisted in the inventory plus those of a job still running
+function currentLogs(resource) {
+  return [...(resource.logs || []), ...(logStreams.get(resource.id)?.lines || [])];
+}
 
 // ─────────────────────────────────────────────────────────────
-// PROVISION — create new resource
+// JOB QUEUE — durable Terraform jobs with concurrency limits
 // ─────────────────────────────────────────────────────────────
-app.post('/api/provision', async (req, res) => {
-  const { resourceType, config, ticketNumber, environment, tags, requestedBy } = req.body;
-  if (!resourceType || !config || !ticketNumber)
-    return res.status(400).json({ error: 'resourceType, config, and ticketNumber are required' });
+// Every Terraform run is a job in the inventory store: queued → running →
+// succeeded | failed | cancelled. Jobs of one deployment run one at a time in
+// the order they were queued; at most CONFIG.JOB_CONCURRENCY run at once and
+// CONFIG.JOB_ENV_CONCURRENCY caps single environments. Queued jobs survive a
+// restart and start once the backend is back.
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+let jobPump = Promise.resolve();
+const cancelledSimulations = new Set(); // deploymentIds of demo runs to stop
 
-  const deploymentId = uuidv4();
-  const timestamp = new Date().toISOString();
-  const allTags = buildTags(ticketNumber, environment, deploymentId, tags);
+async function queueDeploymentJob(resource, workspaceDir, action, changes, options = {}, requestedBy = 'system') {
+  const job = {
+    id: uuidv4(),
+    deploymentId: resource.id,
+    resourceName: resource.resourceName,
+    resourceType: resource.resourceType,
+    environment:  resource.environment,
+    action,
+    status: 'queued',
+    requestedBy,
+    workspaceDir,
+    changes,
+    options,
+    createdAt: new Date().toISOString(),
+  };
+  await inventory.insertJob(job);
+  openLogStream(resource.id);
+  publishLog(resource.id, `[${job.createdAt}] → Queued as job ${job.id}`);
+  pumpJobQueue();
+  return job;
+}
 
-  // Write Terraform files
-  const workspaceDir = path.join(CONFIG.DEPLOYMENTS_DIR, deploymentId);
-  fs.mkdirSync(workspaceDir, { recursive: true });
-  fs.writeFileSync(path.join(workspaceDir, 'main.tf'),      generateMainTf(resourceType, config, allTags, deploymentId, environment || 'dev'));
-  fs.writeFileSync(path.join(workspaceDir, 'variables.tf'), generateVariablesTf(resourceType));
-  fs.writeFileSync(path.join(workspaceDir, 'outputs.tf'),   generateOutputsTf(resourceType));
+// Pumps run one after another, so two of them never start the same job
+function pumpJobQueue() {
+  jobPump = jobPump.then(startQueuedJobs).catch(e => console.error(`Job queue: ${e.message}`));
+  return jobPump;
+}
 
-  const inventoryEntry = {
-    id: deploymentId,
-    ticketNumber,
-    resourceType,
-    resourceName: config.name,
-    environment:  environment || 'dev',
-    config,
-    tags: allTags,
-    status: 'provisioning',
-    requestedBy: requestedBy || 'unknown',
+function environmentFull(running, environment) {
+  const limit = CONFIG.JOB_ENV_CONCURRENCY[environment];
+  return limit !== undefined && running.filter(j => j.environment === environment).length >= limit;
+}
+
+async function startQueuedJobs() {
+  const { jobs: running } = await inventory.listJobs({ status: 'running' });
+  const { jobs: queued } = await inventory.listJobs({ status: 'queued' });
+  const busy = new Set(running.map(j => j.deploymentId));
+  for (const job of queued.reverse()) {
+    if (running.length >= CONFIG.JOB_CONCURRENCY) break;
+    const blocked = busy.has(job.deploymentId) || environmentFull(running, job.environment);
+    busy.add(job.deploymentId); // later jobs of this deployment wait behind this one
+    if (blocked) continue;
+    const started = await inventory.updateJob(job.id, j => {
+      j.status = 'running';
+      j.startedAt = new Date().toISOString();
+    }, { ifStatus: 'queued' });
+    if (!started) continue;
+    running.push(started);
+    executeJob(started);
+  }
+}
+
+async function executeJob(job) {
+  let outcome;
+  try {
+    outcome = await runDeploymentJob(job.deploymentId, job.workspaceDir, job.action, job.changes, job.options);
+  } catch (e) {
+    outcome = { error: e };
+  }
+  await settleJob(job.id, outcome.error).catch(e => console.error(`Job ${job.id}: ${e.message}`));
+  pumpJobQueue();
+}
+
+// A run that fails after someone asked to cancel it counts as cancelled
+function settleJob(id, error, extra = {}) {
+  return inventory.updateJob(id, j => {
+    j.status = !error ? 'succeeded' : j.cancelRequestedBy ? 'cancelled' : 'failed';
+    j.finishedAt = new Date().toISOString();
+    if (error) j.error = error.message;
+    Object.assign(j, extra);
+  }, { ifStatus: 'running' });
+}
+
+// For runs finished outside executeJob: late GitHub callbacks and recovery
+async function settleDeploymentJobs(deploymentId, error, extra) {
+  const { jobs } = await inventory.listJobs({ deploymentId, status: 'running' });
+  for (const job of jobs) await settleJob(job.id, error, extra);
+}
+
+// The running job of a deployment, else its oldest queued one
+async function activeJob(deploymentId) {
+  const { jobs } = await inventory.listJobs({ deploymentId });
+  return jobs.find(j => j.status === 'running') || jobs.filter(j => j.status === 'queued').pop() || null;
+}
+
+function canStopRun(deploymentId) {
+  return localRuns.has(deploymentId) || (CONFIG.EXECUTION_MODE === 'demo' && logStreams.has(deploymentId));
+}
+
+function stopRun(deploymentId) {
+  if (cancelLocalRun(deploymentId)) return;
+  if (CONFIG.EXECUTION_MODE === 'demo') cancelledSimulations.add(deploymentId);
+}
+
+// Returns { job } or { error }. A queued job is dropped and ends as
+// cancelled; another job of the deployment that is still queued or running
+// settles the resource. Only when none is left would the resource stay in
+// progress for good, so then it fails the way a failed run would. A running
+// job is stopped where the execution mode allows it and settles as cancelled
+// when it exits.
+async function cancelJob(job, actor) {
+  if (job.status === 'queued') {
+    const cancelled = await inventory.updateJob(job.id, j => {
+      j.status = 'cancelled';
+      j.finishedAt = new Date().toISOString();
+      j.cancelRequestedBy = actor;
+      j.error = 'Cancelled before it started';
+    }, { ifStatus: 'queued' });
+    if (cancelled) {
+      const error = `Job ${job.id} cancelled by ${actor} before it started`;
+      if (await activeJob(job.deploymentId)) {
+        publishLog(job.deploymentId, `[${cancelled.finishedAt}] ✗ ${error}`);
+      } else {
+        const logs = [...(logStreams.get(job.deploymentId)?.lines || [])];
+        const onLog = line => logs.push(`[${new Date().toISOString()}] ${line}`);
+        await recordJobOutcome(job.deploymentId, job.action, job.changes, logs, onLog, { error: new Error(error) });
+      }
+      pumpJobQueue();
+      return { job: cancelled };
+    }
+    job = await inventory.getJob(job.id); // it started meanwhile
+  }
+  if (job.status !== 'running') return { error: `Job is already ${job.status}` };
+  if (!canStopRun(job.deploymentId))
+    return { error: 'GitHub Actions runs cannot be stopped from the portal — cancel the workflow run in GitHub and its callback reports it' };
+  const updated = await inventory.updateJob(job.id, j => { j.cancelRequestedBy = actor; }, { ifStatus: 'running' });
+  if (!updated) return { error: 'Job finished before it could be cancelled' };
+  stopRun(job.deploymentId);
+  return { job: updated };
+}
+
+// ─────────────────────────────────────────────────────────────
+// BACKGROUND JOB RUNNER
+// ─────────────────────────────────────────────────────────────
+// Returns { outputs } or { error } once the outcome is recorded
+async function runDeploymentJob(deploymentId, workspaceDir, action, changes, options = {}) {
+  const logs = [...openLogStream(deploymentId).lines];
+  const onLog = (line) => {
+    const entry = `[${new Date().toISOString()}] ${line}`;
+    logs.push(entry);
+    publishLog(deploymentId, entry);
+  };
+  inventory.getResource(deploymentId)
+    .then(resource => notify(`resource.${IN_PROGRESS_STATUS[action]}`, resource, 'system', { action }))
+    .catch(e => console.error(`Notification for ${deploymentId} skipped: ${e.message}`));
+
+  let outcome;
+  try {
+    onLog(`→ Action: ${action.toUpperCase()}`);
+    if (options.restoreState) await restoreStateVersion(deploymentId, options.restoreState, onLog);
+    if (options.secret) await promoteStagedSecret(deploymentId, options.secret, onLog);
+    outcome = { outputs: await runTerraform(deploymentId, workspaceDir, action, onLog, options) };
+  } catch (err) {
+    outcome = { error: err };
+  }
+  // the audit entry of a saved-plan apply names the plan it applied
+  const audited = options.planHash ? { ...changes, planId: options.planId, planHash: options.planHash } : changes;
+  await recordJobOutcome(deploymentId, action, audited, logs, onLog, outcome);
+  return outcome;
+}
+
+// Applies a finished job to the inventory + audit history. Also used when a
+// GitHub callback arrives for a job this process is no longer waiting on.
+async function recordJobOutcome(deploymentId, action, changes, logs, onLog, { outputs, error }) {
+  let finalStatus = 'unknown';
+  let finished = null, failure = null;
+  try {
+    if (error) throw error;
+
+    onLog(`✓ ${action} complete`);
+    finished = await inventory.updateResource(deploymentId, resource => {
+      if (action === 'provision' || action === 'adopt') {
+        resource.status = 'deployed';
+        resource.outputs = outputs;
+      } else if (action === 'update' || action === 'rollback') {
+        resource.status = 'deployed';
+        resource.outputs = outputs;
+        resource.lastUpdatedAt = new Date().toISOString();
+      } else if (action === 'replace') {
+        resource.status = 'deployed';
+        resource.outputs = outputs;
+        resource.lastUpdatedAt = new Date().toISOString();
+        resource.replacedAt = resource.lastUpdatedAt;
+      } else if (action === 'reconcile') {
+        resource.status = 'deployed';
+        resource.outputs = outputs;
+        resource.lastUpdatedAt = new Date().toISOString();
+      } else if (action === 'decommission') {
+        resource.status = 'decommissioned';
+        resource.decommissionedAt = new Date().toISOString();
+      }
+      // Applying the portal's config puts any drifted attributes back
+      if (['update', 'replace', 'reconcile', 'rollback'].includes(action) && resource.drift?.drifted) {
+        resource.drift = { ...resource.drift, drifted: false, changes: [], reconciledAt: new Date().toISOString() };
+      }
+      if (action !== 'decommission') delete resource.demoDrift;
+      delete resource.failedJob;
+      resource.logs = [...(resource.logs || []), ...logs];
+      resource.updatedAt = new Date().toISOString();
+      delete resource.dispatch;
+      finalStatus = resource.status;
+    });
+    await appendAuditHistory(deploymentId, action, 'system', changes, 'success');
+  } catch (err) {
+    failure = err;
+    onLog(`✗ Error: ${err.message}`);
+    finished = await inventory.updateResource(deploymentId, resource => {
+      resource.status = FAILED_STATUS[action];
+      resource.failedJob = { action, error: err.message, at: new Date().toISOString() };
+      resource.logs = [...(resource.logs || []), ...logs];
+      resource.updatedAt = new Date().toISOString();
+      delete resource.dispatch;
+      finalStatus = resource.status;
+    });
+    await appendAuditHistory(deploymentId, action, 'system', changes, 'failure');
+  } finally {
+    closeLogStream(deploymentId, finalStatus);
+  }
+  if (finished) {
+    notify(`resource.${finished.status}`, finished, 'system', { action, ...(failure && { error: failure.message }) });
+    await commentOnTicket(finished, action, failure);
+    if (action === 'provision') await settleDependents(finished);
+    if (finished.status === 'decommissioned') await deleteDeploymentSecrets(finished.id, finished.resourceType);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// TICKET CONNECTORS — validate tickets + post lifecycle updates
+// ─────────────────────────────────────────────────────────────
+// A connector exposes:
+//   getTicket(key) → { key, status, url } or null if it does not exist
+//   addComment(key, text)
+// Provision, update, replace and decommission requests need a ticket in one
+// of the approved statuses; when the check fails (missing ticket, wrong
+// status or connector error) CONFIG.TICKET_ON_FAILURE decides whether the
+// request is blocked or goes ahead with a warning.
+const TICKET_TIMEOUT_MS = 10000;
+
+async function ticketRequest(url, options = {}) {
+  const r = await fetch(url, { ...options, signal: AbortSignal.timeout(TICKET_TIMEOUT_MS) });
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`${options.method || 'GET'} ${url} returned ${r.status}`);
+  return r.status === 204 ? {} : r.json();
+}
+
+function basicAuth(user, secret) {
+  return `Basic ${Buffer.from(`${user}:${secret}`).toString('base64')}`;
+}
+
+function createJiraConnector() {
+  const base = CONFIG.JIRA_URL.replace(/\/$/, '');
+  const headers = { Authorization: basicAuth(CONFIG.JIRA_USER, CONFIG.JIRA_API_TOKEN), Accept: 'application/json', 'Content-Type': 'application/json' };
+  return {
+    name: 'jira',
+    approvedStatuses: ['Approved'],
+    async getTicket(key) {
+      const issue = await ticketRequest(`${base}/rest/api/2/issue/${encodeURIComponent(key)}?fields=status`, { headers });
+      return issue && { key: issue.key, status: issue.fields.status.name, url: `${base}/browse/${issue.key}` };
+    },
+    async addComment(key, text) {
+      await ticketRequest(`${base}/rest/api/2/issue/${encodeURIComponent(key)}/comment`, { method: 'POST', headers, body: JSON.stringify({ body: text }) });
+    },
+  };
+}
+
+// Tickets are records in CONFIG.SERVICENOW_TABLE looked up by number; the
+// status is CONFIG.SERVICENOW_STATUS_FIELD and comments go to work_notes
+function createServiceNowConnector() {
+  const base = CONFIG.SERVICENOW_URL.replace(/\/$/, '');
+  const table = `${base}/api/now/table/${CONFIG.SERVICENOW_TABLE}`;
+  const headers = { Authorization: basicAuth(CONFIG.SERVICENOW_USER, CONFIG.SERVICENOW_PASSWORD), Accept: 'application/json', 'Content-Type': 'application/json' };
+  async function findRecord(key) {
+    const query = new URLSearchParams({
+      sysparm_query: `number=${key}`,
+      sysparm_fields: `sys_id,number,${CONFIG.SERVICENOW_STATUS_FIELD}`,
+      sysparm_display_value: 'false',
+      sysparm_limit: '1',
+    });
+    const found = await ticketRequest(`${table}?${query}`, { headers });
+    return found?.result?.[0] || null;
+  }
+  return {
+    name: 'servicenow',
+    approvedStatuses: ['approved'],
+    async getTicket(key) {
+      const record = await findRecord(key);
+      return record && {
+        key: record.number,
+        status: record[CONFIG.SERVICENOW_STATUS_FIELD],
+        url: `${base}/nav_to.do?uri=${CONFIG.SERVICENOW_TABLE}.do?sys_id=${record.sys_id}`,
+      };
+    },
+    async addComment(key, text) {
+      const record = await findRecord(key);
+      if (!record) throw new Error(`${key} not found`);
+      await ticketRequest(`${table}/${record.sys_id}`, { method: 'PATCH', headers, body: JSON.stringify({ work_notes: text }) });
+    },
+  };
+}
+
+// Local stand-in for testing: every ticket is Approved unless
+// CONFIG.TICKET_STUB_STATES says otherwise (null means it does not exist)
+function createStubTicketConnector() {
+  return {
+    name: 'stub',
+    approvedStatuses: ['Approved'],
+    async getTicket(key) {
+      const status = key in CONFIG.TICKET_STUB_STATES ? CONFIG.TICKET_STUB_STATES[key] : 'Approved';
+      return status === null ? null : { key, status, url: null };
+    },
+    async addComment(key, text) {
+      console.log(`[ticket stub] comment on ${key}:\n${text}`);
+    },
+  };
+}
+
+const TICKET_CONNECTORS = { jira: createJiraConnector, servicenow: createServiceNowConnector, stub: createStubTicketConnector };
+const ticketConnector = TICKET_CONNECTORS[CONFIG.TICKET_CONNECTOR]?.() || null;
+
+function approvedTicketStatuses() {
+  return CONFIG.TICKET_APPROVED_STATUSES.length ? CONFIG.TICKET_APPROVED_STATUSES : ticketConnector.approvedStatuses;
+}
+
+// Returns { blocked, ticket } where ticket carries a warning if the check
+// failed. Without a connector, tickets stay free text and always pass.
+async function checkTicket(key) {
+  if (!ticketConnector) return { blocked: false, ticket: null };
+  const approved = approvedTicketStatuses();
+  let ticket = { key }, problem = null;
+  try {
+    const found = await ticketConnector.getTicket(key);
+    if (!found) problem = `Ticket ${key} was not found in ${ticketConnector.name}`;
+    else {
+      ticket = found;
+      if (!approved.some(s => s.toLowerCase() === String(found.status).toLowerCase()))
+        problem = `Ticket ${key} is ${found.status} — it must be ${approved.join(' or ')}`;
+    }
+  } catch (e) {
+    problem = `Could not check ticket ${key} in ${ticketConnector.name}: ${e.message}`;
+  }
+  if (!problem) return { blocked: false, ticket: { ...ticket, approved: true } };
+  return { blocked: CONFIG.TICKET_ON_FAILURE !== 'warn', ticket: { ...ticket, approved: false, warning: problem } };
+}
+
+// Failed checks are audited whether they blocked the request or only warned
+async function auditTicketCheck(deploymentId, action, actor, check) {
+  if (!check.ticket?.warning) return;
+  await appendAuditHistory(deploymentId, 'ticket-check', actor,
+    { requestedAction: action, ticket: check.ticket.key, connector: ticketConnector.name, problem: check.ticket.warning, enforcement: CONFIG.TICKET_ON_FAILURE },
+    check.blocked ? 'failure' : 'success');
+}
+
+function sendTicketRejected(res, check) {
+  return res.status(422).json({ error: check.ticket.warning, ticket: check.ticket });
+}
+
+// The ticket of the most recent request for this action
+function requestTicket(resource, action) {
+  const entry = (resource.changeHistory || []).filter(c => c.action === action).at(-1);
+  return entry?.ticket || resource.ticketNumber;
+}
+
+function ticketComment(resource, action, error) {
+  const lines = [
+    `TerraPortal: ${action} of ${resource.resourceName} (${resource.resourceType}, ${resource.environment}) ${error ? 'failed' : 'succeeded'}`,
+    `Deployment ID: ${resource.id}`,
+    `Status: ${resource.status}`,
+  ];
+  if (error) lines.push(`Error: ${error.message}`);
+  const outputs = Object.entries(resource.outputs || {});
+  if (!error && outputs.length && action !== 'decommission')
+    lines.push('Outputs:', ...outputs.map(([k, v]) => `  ${k} = ${typeof v === 'string' ? v : JSON.stringify(v)}`));
+  return lines.join('\n');
+}
+
+// Comment failures are audited but never affect the job
+async function commentOnTicket(resource, action, error) {
+  if (!ticketConnector) return;
+  const key = requestTicket(resource, action);
+  if (!key) return;
+  try {
+    await ticketConnector.addComment(key, ticketComment(resource, action, error));
+    await appendAuditHistory(resource.id, 'ticket-comment', 'system', { ticket: key, connector: ticketConnector.name, requestedAction: action }, 'success');
+  } catch (e) {
+    console.error(`Ticket comment on ${key} failed: ${e.message}`);
+    await appendAuditHistory(resource.id, 'ticket-comment', 'system', { ticket: key, connector: ticketConnector.name, requestedAction: action, error: e.message }, 'failure');
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// NOTIFICATIONS — lifecycle events to webhooks, Slack and Teams
+// ─────────────────────────────────────────────────────────────
+// Events are `resource.<status>` for every status a job moves a resource to,
+// `<action>.requested` for new lifecycle requests and `request.approved` /
+// `request.rejected`. Each subscriber in CONFIG.NOTIFICATION_SUBSCRIBERS is
+// { id, type: webhook | slack | teams, url, secret?, events?, environments?,
+// resourceTypes? }; empty filters match everything and events accept a
+// trailing wildcard ("resource.*"). Deliveries are retried with exponential
+// backoff and the most recent ones are kept in memory for GET /api/notifications.
+const SUBSCRIBER_TYPES = ['webhook', 'slack', 'teams'];
+const NOTIFY_MAX_ATTEMPTS = 5;
+const NOTIFY_RETRY_BASE_MS = 2000;
+const NOTIFY_TIMEOUT_MS = 10000;
+const DELIVERY_LOG_SIZE = 500;
+
+const deliveryLog = []; // newest last
+
+function validateSubscriber(s, i) {
+  const where = `Notification subscriber ${s.id || `#${i + 1}`}`;
+  if (!SUBSCRIBER_TYPES.includes(s.type)) throw new Error(`${where}: type must be one of ${SUBSCRIBER_TYPES.join(', ')}`);
+  if (!/^https?:\/\//.test(s.url || '')) throw new Error(`${where}: url is required`);
+  for (const key of ['events', 'environments', 'resourceTypes'])
+    if (s[key] !== undefined && !Array.isArray(s[key])) throw new Error(`${where}: ${key} must be an array`);
+  if (!s.id) s.id = `${s.type}-${i + 1}`;
+}
+
+function subscriberMatches(s, event) {
+  const r = event.resource || {};
+  return (!s.events?.length || s.events.some(e => e === event.type || (e.endsWith('*') && event.type.startsWith(e.slice(0, -1))))) &&
+    (!s.environments?.length || s.environments.includes(r.environment)) &&
+    (!s.resourceTypes?.length || s.resourceTypes.includes(r.resourceType));
+}
+
+function eventSummary(event) {
+  const r = event.resource || {};
+  const what = r.resourceName ? `${r.resourceName} (${r.resourceType}, ${r.environment})` : 'TerraPortal';
+  return `${event.type}: ${what}${event.actor && event.actor !== 'system' ? ` by ${event.actor}` : ''}`;
+}
+
+function eventFacts(event) {
+  const r = event.resource || {};
+  return [
+    ['Deployment ID', r.id],
+    ['Status', r.status],
+    ['Ticket', r.ticketNumber],
+    ...Object.entries(event.details || {}).filter(([, v]) => v !== undefined && typeof v !== 'object').map(([k, v]) => [k, String(v)]),
+  ].filter(([, v]) => v);
+}
+
+// Request body (and extra headers) in the format each subscriber type expects
+function deliveryRequest(s, event) {
+  const summary = eventSummary(event);
+  if (s.type === 'slack') {
+    const facts = eventFacts(event).map(([k, v]) => `*${k}:* ${v}`).join('\n');
+    return { body: JSON.stringify({ text: summary, blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${summary}*` } },
+      { type: 'section', text: { type: 'mrkdwn', text: facts || '—' } },
+    ] }) };
+  }
+  if (s.type === 'teams') {
+    const color = /(failed|rejected)$/.test(event.type) ? 'Attention' : event.type === 'resource.deployed' ? 'Good' : 'Default';
+    return { body: JSON.stringify({ type: 'message', attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        type: 'AdaptiveCard', version: '1.4', $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        body: [
+          { type: 'TextBlock', text: summary, weight: 'Bolder', wrap: true, color },
+          { type: 'FactSet', facts: eventFacts(event).map(([title, value]) => ({ title, value })) },
+        ],
+      },
+    }] }) };
+  }
+  // Generic webhooks get the raw event, signed like the GitHub callback
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = { 'X-TerraPortal-Event': event.type, 'X-TerraPortal-Delivery': event.id, 'X-TerraPortal-Timestamp': timestamp };
+  if (s.secret) headers['X-TerraPortal-Signature'] = 'sha256=' + crypto.createHmac('sha256', s.secret).update(`${timestamp}.${body}`).digest('hex');
+  return { body, headers };
+}
+
+async function deliver(s, event, delivery) {
+  delivery.attempts++;
+  delivery.lastAttemptAt = new Date().toISOString();
+  try {
+    const { body, headers } = deliveryRequest(s, event);
+    const r = await fetch(s.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'TerraPortal/2.0', ...headers },
+      body,
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+    });
+    delivery.responseStatus = r.status;
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    delivery.status = 'delivered';
+    delete delivery.error;
+    delete delivery.nextAttemptAt;
+  } catch (e) {
+    delivery.error = e.message;
+    if (delivery.attempts >= NOTIFY_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delete delivery.nextAttemptAt;
+      console.error(`Notification ${event.type} to ${s.id} failed after ${delivery.attempts} attempts: ${e.message}`);
+      return;
+    }
+    const wait = NOTIFY_RETRY_BASE_MS * 2 ** (delivery.attempts - 1);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+    setTimeout(() => deliver(s, event, delivery), wait).unref();
+  }
+}
+
+// Fire-and-forget: never delays or fails the request or job that raised it
+function notify(type, resource, actor, details) {
+  const event = {
+    id: uuidv4(),
+    type,
+    timestamp: new Date().toISOString(),
+    actor,
+    resource: resource && {
+      id: resource.id,
+      resourceType: resource.resourceType,
+      resourceName: resource.resourceName,
+      environment: resource.environment,
+      status: resource.status,
+      ticketNumber: resource.ticketNumber,
+    },
+    ...(details && { details }),
+  };
+  CONFIG.NOTIFICATION_SUBSCRIBERS.filter(s => subscriberMatches(s, event)).forEach(s => queueDelivery(s, event));
+  return event;
+}
+
+function queueDelivery(s, event) {
+  const delivery = { id: uuidv4(), eventId: event.id, eventType: event.type, subscriber: s.id, deploymentId: event.resource?.id || null, status: 'pending', attempts: 0, createdAt: event.timestamp };
+  deliveryLog.push(delivery);
+  if (deliveryLog.length > DELIVERY_LOG_SIZE) deliveryLog.shift();
+  deliver(s, event, delivery);
+  return delivery;
+}
+
+// ─────────────────────────────────────────────────────────────
+// DRIFT DETECTION — scheduled refresh-only plans for deployed resources
+// ─────────────────────────────────────────────────────────────
+// Every CONFIG.DRIFT_CHECK_MS each deployed (or already drifted) resource gets
+// a `terraform plan -refresh-only` against its own state key. Attributes that
+// no longer match the state are stored in resource.drift and the resource
+// moves to `drifted`; a clean check moves it back to `deployed`. Demo mode
+// has no real infrastructure, so drift comes from resource.demoDrift, set via
+// POST /api/resources/:id/drift/inject.
+const DRIFT_CHECK_STATUSES = ['deployed', 'drifted'];
+const DRIFT_ACTOR = 'system:drift';
+let driftCheckRunning = false;
+
+// demoDrift is { field: actualValue } → the same shape summarizeTerraformPlan returns
+function demoDriftChanges(resource) {
+  const byAddress = {};
+  for (const [field, actual] of Object.entries(resource.demoDrift || {})) {
+    const [address, attribute] = PLAN_ATTRIBUTES[resource.resourceType]?.[field] || [];
+    if (!address) continue;
+    const entry = byAddress[address] = byAddress[address] || { address, type: address.split('.')[0], action: 'update', attributes: {} };
+    entry.attributes[attribute] = { from: resource.config[field] ?? null, to: actual, forcesReplacement: false };
+  }
+  return Object.values(byAddress).map(c => ({ ...c, notes: [] }));
+}
+
+// Returns [{ address, type, action, attributes: { attr: { from, to } } }] where
+// from is the recorded state and to is what Azure reports now
+async function refreshOnlyPlan(resource) {
+  if (CONFIG.EXECUTION_MODE === 'demo') return demoDriftChanges(resource);
+
+  const dir = path.join(CONFIG.PLANS_DIR, '.drift', resource.id);
+  fs.rmSync(dir, { recursive: true, force: true });
+  writeWorkspace(dir, generateWorkspaceFiles(resource.resourceType, resource.config, resource.tags, resource.id, resource.environment, templateOptions(resource)));
+
+  const logs = [];
+  try {
+    const { planJson } = await planWorkspace(resource, dir, { mode: 'refresh-only', onLog: line => logs.push(line) });
+    return summarizeTerraformPlan({ resource_changes: planJson.resource_drift || [] });
+  } catch (err) {
+    err.message = `${err.message}\n${logs.slice(-10).join('\n')}`;
+    throw err;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Checks one resource and records the result. Returns the updated resource,
+// or null if it was busy or changed while the plan ran.
+async function checkDrift(resource) {
+  if (!DRIFT_CHECK_STATUSES.includes(resource.status)) return null;
+  const checkedAt = new Date().toISOString();
+  let drift;
+  try {
+    const changes = await refreshOnlyPlan(resource);
+    drift = { checkedAt, drifted: changes.length > 0, changes };
+  } catch (e) {
+    drift = { ...(resource.drift || {}), checkedAt, error: e.message };
+  }
+
+  let previousStatus;
+  const updated = await inventory.updateResource(resource.id, r => {
+    previousStatus = r.status;
+    r.drift = drift;
+    if (drift.error) return;
+    const status = drift.drifted ? 'drifted' : 'deployed';
+    if (status !== r.status) {
+      r.status = status;
+      r.updatedAt = checkedAt;
+    }
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!updated || updated.status === previousStatus) return updated;
+
+  const changed = drift.changes.flatMap(c => Object.keys(c.attributes).map(a => `${c.address}.${a}`));
+  await appendAuditHistory(resource.id, drift.drifted ? 'drift-detected' : 'drift-cleared', DRIFT_ACTOR, { attributes: changed }, 'success');
+  notify(`resource.${updated.status}`, updated, DRIFT_ACTOR, drift.drifted ? { attributes: changed.join(', ') } : undefined);
+  return updated;
+}
+
+// One resource at a time — in local/github mode each check runs terraform
+async function runDriftChecks() {
+  if (driftCheckRunning) return;
+  driftCheckRunning = true;
+  try {
+    for (const status of DRIFT_CHECK_STATUSES) {
+      const { resources } = await inventory.listResources({ status });
+      for (const summary of resources) {
+        const resource = await inventory.getResource(summary.id);
+        if (resource) await checkDrift(resource);
+      }
+    }
+  } catch (e) {
+    console.error(`Drift check failed: ${e.message}`);
+  } finally {
+    driftCheckRunning = false;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// LEASES — time-to-live and automatic decommission
+// ─────────────────────────────────────────────────────────────
+// Environments listed in CONFIG.TTL_POLICY get a lease: resource.expiresAt is
+// set at provision (ttlHours or expiresAt, else defaultHours) and can never be
+// more than maxHours ahead. The lease scheduler warns CONFIG.TTL_WARNING_HOURS
+// before expiry and then decommissions through the normal request flow.
+const TTL_ACTOR = 'system:ttl';
+const HOUR_MS = 60 * 60 * 1000;
+const LEASE_EXPIRABLE_STATUSES = ['deployed', 'drifted', 'failed', 'update-failed', 'replace-failed', 'reconcile-failed'];
+let leaseCheckRunning = false;
+
+// Returns { expiresAt } (null when the environment has no TTL policy) or { error }
+function leaseExpiry(environment, { ttlHours, expiresAt } = {}) {
+  const policy = CONFIG.TTL_POLICY[environment];
+  const requested = (ttlHours !== undefined && ttlHours !== '') || Boolean(expiresAt);
+  if (!policy) return requested ? { error: `Leases are not used in ${environment}` } : { expiresAt: null };
+
+  const now = Date.now();
+  let expires;
+  if (expiresAt) expires = Date.parse(expiresAt);
+  else if (requested) expires = now + Number(ttlHours) * HOUR_MS;
+  else expires = now + policy.defaultHours * HOUR_MS;
+
+  if (!Number.isFinite(expires) || expires <= now) return { error: 'The lease must end in the future' };
+  if (expires > now + policy.maxHours * HOUR_MS) return { error: `Leases in ${environment} can run at most ${policy.maxHours} hours` };
+  return { expiresAt: new Date(expires).toISOString() };
+}
+
+// Warns once per threshold crossed, then decommissions once the lease is up
+async function checkLease(resource) {
+  const remainingMs = Date.parse(resource.expiresAt) - Date.now();
+
+  if (remainingMs <= 0) {
+    if (!LEASE_EXPIRABLE_STATUSES.includes(resource.status)) return; // busy, try next round
+    if ((await activeDependents(resource.id)).length) return; // kept until its dependents are gone
+    const updated = await submitLifecycleRequest(resource, {
+      action: 'decommission',
+      requestedBy: TTL_ACTOR,
+      ticket: resource.ticketNumber,
+      reason: `Lease expired at ${resource.expiresAt}`,
+    });
+    if (updated) await appendAuditHistory(resource.id, 'lease-expired', TTL_ACTOR, { expiresAt: resource.expiresAt }, 'success');
+    return;
+  }
+
+  const sent = resource.leaseWarningsSent || [];
+  const due = CONFIG.TTL_WARNING_HOURS.filter(h => remainingMs <= h * HOUR_MS && !sent.includes(h));
+  if (!due.length) return;
+  const updated = await inventory.updateResource(resource.id, r => { r.leaseWarningsSent = [...sent, ...due]; },
+    { ifUpdatedAt: resource.updatedAt });
+  if (!updated) return;
+  const hoursLeft = Math.round(remainingMs / HOUR_MS * 10) / 10;
+  await appendAuditHistory(resource.id, 'lease-warning', TTL_ACTOR, { expiresAt: resource.expiresAt, hoursLeft }, 'success');
+  notify('lease.expiring', updated, TTL_ACTOR, { expiresAt: resource.expiresAt, hoursLeft });
+}
+
+async function runLeaseChecks() {
+  if (leaseCheckRunning) return;
+  leaseCheckRunning = true;
+  try {
+    const { resources } = await inventory.listResources({});
+    for (const summary of resources.filter(r => r.expiresAt && !['decommissioning', 'decommissioned', 'rejected'].includes(r.status))) {
+      const resource = await inventory.getResource(summary.id);
+      if (resource) await checkLease(resource);
+    }
+  } catch (e) {
+    console.error(`Lease check failed: ${e.message}`);
+  } finally {
+    leaseCheckRunning = false;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// DEPENDENCIES — references between deployments, stacks
+// ─────────────────────────────────────────────────────────────
+// Fields of type 'ref' hold the deployment ID of another resource of
+// field.refType; the generated Terraform reads that deployment's outputs
+// through terraform_remote_state. resource.dependsOn lists the deployments a
+// resource references. A provision whose dependencies are not deployed yet
+// waits (status waiting) and starts when the last one is, and nothing can be
+// decommissioned or replaced while active resources still depend on it.
+const MAX_STACK_RESOURCES = 20;
+// Statuses whose state already carries the outputs dependents read
+const DEPENDENCY_READY_STATUSES = ['deployed', 'drifted', 'updating', 'update-failed', 'reconciling', 'reconcile-failed', 'rolling-back'];
+// Statuses a new reference may point at — the rest will never be ready
+const REFERENCEABLE_STATUSES = [...DEPENDENCY_READY_STATUSES, 'pending-approval', 'waiting', 'provisioning'];
+
+function referenceFields(resourceType) {
+  return (RESOURCE_TYPES[resourceType]?.fields || []).filter(f => f.type === 'ref');
+}
+
+function configDependencies(resourceType, config) {
+  return [...new Set(referenceFields(resourceType).map(f => config[f.name]).filter(Boolean))];
+}
+
+// Checks every reference in a validated config; `planned` maps the deployment
+// IDs of stack members not in the inventory yet to { resourceType, config }.
+// Returns validation errors keyed by field name.
+async function resolveReferences(resourceType, config, planned = {}) {
+  const errors = {};
+  for (const field of referenceFields(resourceType)) {
+    const id = config[field.name];
+    if (!id) continue;
+    const target = planned[id] || await inventory.getResource(id);
+    let error;
+    if (!target) error = `${field.label} ${id} not found`;
+    else if (target.resourceType !== field.refType) error = `${field.label} must reference a ${RESOURCE_TYPES[field.refType].label} deployment (got ${RESOURCE_TYPES[target.resourceType]?.label || target.resourceType})`;
+    else if (target.status && !REFERENCEABLE_STATUSES.includes(target.status)) error = `${field.label} ${target.resourceName} is ${target.status}`;
+    else if (field.sameLocation && target.config.location !== config.location) error = `${field.label} ${target.config.name} is in ${target.config.location}, not ${config.location}`;
+    if (error) errors[field.name] = [error];
+  }
+  return errors;
+}
+
+// Members ordered so each comes after the members it references, or
+// { cycle } with the keys of a reference loop
+function dependencyOrder(members) {
+  const byId = Object.fromEntries(members.map(m => [m.id, m]));
+  const order = [], state = {};
+  const visit = (m, trail) => {
+    if (state[m.id] === 'done') return null;
+    if (state[m.id] === 'visiting') return [...trail.slice(trail.indexOf(m.key)), m.key];
+    state[m.id] = 'visiting';
+    for (const id of configDependencies(m.resourceType, m.config)) {
+      const cycle = byId[id] && visit(byId[id], [...trail, m.key]);
+      if (cycle) return cycle;
+    }
+    state[m.id] = 'done';
+    order.push(m);
+    return null;
+  };
+  for (const m of members) {
+    const cycle = visit(m, []);
+    if (cycle) return { cycle };
+  }
+  return { order };
+}
+
+async function activeDependents(deploymentId) {
+  const { resources } = await inventory.listResources({});
+  return resources.filter(r => (r.dependsOn || []).includes(deploymentId) && !['decommissioned', 'rejected'].includes(r.status));
+}
+
+function sendDependentsExist(res, action, dependents) {
+  return res.status(409).json({
+    error: `Cannot ${action}: ${dependents.length} deployment(s) still depend on this resource — decommission them first`,
+    dependents: dependents.map(d => ({ id: d.id, resourceName: d.resourceName, resourceType: d.resourceType, status: d.status })),
+  });
+}
+
+async function dependenciesReady(resource) {
+  for (const id of resource.dependsOn || []) {
+    const dependency = await inventory.getResource(id);
+    if (!dependency || !DEPENDENCY_READY_STATUSES.includes(dependency.status)) return false;
+  }
+  return true;
+}
+
+// Starts a waiting provision once every dependency is deployed; returns the
+// resource as it is now
+async function startWhenReady(resource) {
+  if (!(await dependenciesReady(resource))) return resource;
+  const started = await inventory.updateResource(resource.id, r => {
+    r.status = 'provisioning';
+    r.updatedAt = new Date().toISOString();
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!started) return resource;
+  await queueDeploymentJob(started, started.workspaceDir || path.join(CONFIG.DEPLOYMENTS_DIR, started.id), 'provision', started.config, provisionPlan(started), started.requestedBy);
+  return started;
+}
+
+// The saved plan a two-stage provision was requested with, as job options
+function provisionPlan(resource) {
+  const entry = (resource.changeHistory || []).find(c => c.action === 'provision');
+  return entry?.planId ? { planId: entry.planId, planHash: entry.planHash } : {};
+}
+
+// Called when a provision finishes or is rejected: dependents waiting on it
+// start if it deployed and fail (cascading) if it did not
+async function settleDependents(dependency) {
+  const { resources } = await inventory.listResources({ status: 'waiting' });
+  for (const summary of resources.filter(r => (r.dependsOn || []).includes(dependency.id))) {
+    const resource = await inventory.getResource(summary.id);
+    if (resource?.status !== 'waiting') continue;
+    if (DEPENDENCY_READY_STATUSES.includes(dependency.status)) {
+      await startWhenReady(resource);
+      continue;
+    }
+    const error = `Dependency ${dependency.resourceName} (${dependency.id}) is ${dependency.status}`;
+    const failed = await inventory.updateResource(resource.id, r => {
+      r.status = 'failed';
+      r.logs = [...(r.logs || []), `[${new Date().toISOString()}] ✗ ${error}`];
+      r.updatedAt = new Date().toISOString();
+      r.failedJob = { action: 'provision', error, at: r.updatedAt };
+    }, { ifUpdatedAt: resource.updatedAt });
+    if (!failed) continue;
+    await appendAuditHistory(resource.id, 'provision', 'system', { dependency: dependency.id, dependencyStatus: dependency.status }, 'failure');
+    notify('resource.failed', failed, 'system', { action: 'provision', error });
+    await settleDependents(failed);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// ADOPTION — existing Azure resources brought under portal management
+// ─────────────────────────────────────────────────────────────
+// The portal's template for the type is generated into the existing resource
+// group with `import` blocks for the group and the resource. A first plan
+// reads what Azure reports for the imported addresses, which PLAN_ATTRIBUTES
+// maps back onto config fields; a second plan with that config must not
+// replace or delete anything. Applying it imports the resource into the new
+// deployment's state and adds the portal's tags.
+const ADOPTABLE_TYPES = {
+  vm:       { armType: 'Microsoft.Compute/virtualMachines',          address: 'azurerm_linux_virtual_machine.vm',
+              companions: ['azurerm_virtual_network.vnet', 'azurerm_subnet.subnet', 'azurerm_network_interface.nic'] },
+  storage:  { armType: 'Microsoft.Storage/storageAccounts',          address: 'azurerm_storage_account.storage' },
+  aks:      { armType: 'Microsoft.ContainerService/managedClusters', address: 'azurerm_kubernetes_cluster.aks' },
+  sql:      { armType: 'Microsoft.Sql/servers/databases',            address: 'azurerm_mssql_database.db', parentAddress: 'azurerm_mssql_server.sql',
+              companions: ['azurerm_mssql_firewall_rule.allow_azure'] },
+  keyvault: { armType: 'Microsoft.KeyVault/vaults',                  address: 'azurerm_key_vault.kv' },
+  vnet:     { armType: 'Microsoft.Network/virtualNetworks',          address: 'azurerm_virtual_network.vnet',
+              companions: ['azurerm_subnet.subnets', 'azurerm_network_security_group.nsg'] },
+};
+const ADOPT_BLOCKING_ACTIONS = ['replace', 'delete'];
+
+// /subscriptions/<sub>/resourceGroups/<rg>/providers/<namespace>/<type>/<name>[/<type>/<name>…]
+function parseAzureResourceId(id) {
+  const match = /^\/subscriptions\/([^/]+)\/resourceGroups\/([^/]+)\/providers\/([^/]+)\/(.+)$/i.exec(id || '');
+  if (!match) return null;
+  const segments = match[4].split('/');
+  if (segments.length % 2 || segments.some(s => !s)) return null;
+  return {
+    subscriptionId: match[1],
+    resourceGroup:  match[2],
+    resourceGroupId: `/subscriptions/${match[1]}/resourceGroups/${match[2]}`,
+    armType: [match[3], ...segments.filter((_, i) => i % 2 === 0)].join('/'),
+    name: segments[segments.length - 1],
+    parentId: segments.length > 2 ? id.split('/').slice(0, -2).join('/') : null,
+  };
+}
+
+function importBlocks(resourceType, azureResourceId, parsed) {
+  const { address, parentAddress } = ADOPTABLE_TYPES[resourceType];
+  const imports = [['azurerm_resource_group.rg', parsed.resourceGroupId], [address, azureResourceId]];
+  if (parentAddress) imports.push([parentAddress, parsed.parentId]);
+  return imports.map(([to, id]) => `import {\n  to = ${to}\n  id = "${id}"\n}\n`).join('\n');
+}
+
+// 'os_disk.storage_account_type' → state.os_disk[0].storage_account_type
+function attributeValue(state, attribute) {
+  let value = state;
+  for (const key of attribute.split('.')) {
+    if (Array.isArray(value)) value = value[0];
+    value = value?.[key];
+  }
+  return value;
+}
+
+// Config fields from the imported state; fields in `overrides` are taken as
+// given. Returns { config, unmapped: { field: reason } }.
+function mapImportedConfig(resourceType, imported, overrides = {}) {
+  const config = {}, unmapped = {};
+  for (const field of RESOURCE_TYPES[resourceType].fields) {
+    if (overrides[field.name] !== undefined && overrides[field.name] !== '') {
+      config[field.name] = overrides[field.name];
+      continue;
+    }
+    if (field.type === 'ref') { unmapped[field.name] = 'References to other deployments are not inferred'; continue; }
+    const [address, attribute] = PLAN_ATTRIBUTES[resourceType][field.name] || [];
+    if (!address) { unmapped[field.name] = 'No Terraform attribute is mapped to this field'; continue; }
+    const value = attributeValue(imported[address], attribute);
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+      unmapped[field.name] = `${address} has no ${attribute}`;
+      continue;
+    }
+    config[field.name] = Array.isArray(value) ? value.join(', ') : typeof value === 'boolean' ? String(value) : value;
+  }
+
+  // values Azure allows but the portal's schema does not are left unmapped
+  const { errors } = validateConfig(resourceType, config);
+  for (const [field, messages] of Object.entries(errors)) {
+    if (config[field] === undefined || overrides[field] !== undefined) continue;
+    unmapped[field] = `${JSON.stringify(config[field])} from Azure is not accepted: ${messages.join('; ')}`;
+    delete config[field];
+  }
+  return { config, unmapped };
+}
+
+// Demo mode has nothing to import: the resource reports the first option (or
+// the placeholder) of every mapped field, in East US
+function demoImportedState(resourceType, name) {
+  const imported = {};
+  for (const field of RESOURCE_TYPES[resourceType].fields) {
+    const [address, attribute] = PLAN_ATTRIBUTES[resourceType][field.name] || [];
+    if (!address) continue;
+    const value = field.name === 'name' ? name : field.name === 'location' ? 'East US'
+      : field.options ? field.options[0] : field.type === 'number' ? Number(field.placeholder) : field.placeholder;
+    if (value === undefined || Number.isNaN(value)) continue;
+    const parts = attribute.split('.');
+    let target = imported[address] = imported[address] || {};
+    for (const key of parts.slice(0, -1)) {
+      target[key] = target[key] || [{}];
+      target = target[key][0];
+    }
+    target[parts[parts.length - 1]] = field.format === 'cidr' || field.format === 'ipv4-list' ? [value] : value;
+  }
+  return imported;
+}
+
+// Synthetic plan for demo mode: imported addresses get the portal's tags plus
+// any overridden fields, the template's other resources are created
+function demoAdoptPlan(resourceType, imported, config) {
+  const { address, parentAddress, companions = [] } = ADOPTABLE_TYPES[resourceType];
+  const byAddress = {};
+  for (const a of ['azurerm_resource_group.rg', address, parentAddress].filter(Boolean))
+    byAddress[a] = { address: a, type: a.split('.')[0], action: 'update', importing: true, attributes: { tags: { from: {}, to: '(portal tags)', forcesReplacement: false } } };
+  for (const [field, [a, attribute]] of Object.entries(PLAN_ATTRIBUTES[resourceType])) {
+    const actual = attributeValue(imported[a], attribute);
+    if (!byAddress[a] || config[field] === undefined || String(Array.isArray(actual) ? actual.join(', ') : actual) === String(config[field])) continue;
+    const forcesReplacement = classifyChange(resourceType, field) === 'replace';
+    byAddress[a].attributes[attribute] = { from: actual ?? null, to: config[field], forcesReplacement };
+    if (forcesReplacement) byAddress[a].action = 'replace';
+  }
+  for (const a of companions) byAddress[a] = { address: a, type: a.split('.')[0], action: 'create', attributes: {} };
+  return Object.values(byAddress).map(c => ({ ...c, notes: planImpactNotes(c.type, Object.keys(c.attributes)) }));
+}
+
+// Writes the files to dir and plans them against the deployment's (empty)
+// state. Returns { changes, imported } where imported holds the attributes
+// Azure reported for every address being imported.
+async function importPlan(deploymentId, resourceType, dir, files, stageId) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  writeWorkspace(dir, files);
+
+  const logs = [];
+  try {
+    const { planJson } = await planWorkspace({ id: deploymentId, resourceType }, dir, { stageId, onLog: line => logs.push(line) });
+    const imported = {};
+    for (const rc of planJson.resource_changes || []) if (rc.change.importing) imported[rc.address] = rc.change.before || {};
+    const changes = summarizeTerraformPlan(planJson);
+    for (const c of changes) if (imported[c.address]) c.importing = true;
+    return { changes, imported };
+  } catch (err) {
+    err.message = `${err.message}\n${logs.slice(-10).join('\n')}`;
+    throw err;
+  }
+}
+
+// Runs both plans. The second one is kept in the deployment's saved-plan dir
+// so the adopt job applies exactly what was checked.
+async function planAdoption({ deploymentId, resourceType, azureResourceId, parsed, environment, tags, overrides }) {
+  const options = { resourceGroup: parsed.resourceGroup };
+  const imports = importBlocks(resourceType, azureResourceId, parsed);
+  const filesFor = config => ({ ...generateWorkspaceFiles(resourceType, config, tags, deploymentId, environment, options), 'imports.tf': imports });
+
+  let imported;
+  if (CONFIG.EXECUTION_MODE === 'demo') {
+    imported = demoImportedState(resourceType, parsed.name);
+  } else {
+    const probeConfig = { ...validateConfig(resourceType, { name: parsed.name, location: 'East US', ...overrides }).config };
+    const scratch = path.join(CONFIG.PLANS_DIR, '.adopt', deploymentId);
+    try { imported = (await importPlan(deploymentId, resourceType, scratch, filesFor(probeConfig))).imported; }
+    finally { fs.rmSync(scratch, { recursive: true, force: true }); }
+  }
+
+  const { config, unmapped } = mapImportedConfig(resourceType, imported, overrides);
+  const validation = validateConfig(resourceType, config);
+  const files = filesFor(validation.config);
+  if (Object.keys(validation.errors).length) return { config: validation.config, unmapped, errors: validation.errors, files };
+
+  const planId = uuidv4();
+  const changes = CONFIG.EXECUTION_MODE === 'demo'
+    ? demoAdoptPlan(resourceType, imported, validation.config)
+    : (await importPlan(deploymentId, resourceType, savedPlanDir(deploymentId, planId), files, planId)).changes;
+  const plan = {
+    id: planId,
+    source: CONFIG.EXECUTION_MODE === 'demo' ? 'synthetic' : 'terraform',
+    summary: { import: changes.filter(c => c.importing).length, ...countPlanActions(changes) },
+    changes,
+  };
+  return { config: validation.config, unmapped, errors: {}, files, plan };
+}
+
+// ─────────────────────────────────────────────────────────────
+// APPROVALS — hold lifecycle requests until a second person signs off
+// ─────────────────────────────────────────────────────────────
+// A lifecycle request is { action, requestedBy, ticket, config?, tags?,
+// diff?, reason?, planId?, planHash?, policy?, cost?, drift?, rollbackTo?,
+// stateVersionId?, secret? }. Requests matching CONFIG.APPROVAL_POLICY wait in
+// resource.pendingRequest (status pending-approval) until approved.
+const IN_PROGRESS_STATUS = { provision: 'provisioning', adopt: 'adopting', update: 'updating', replace: 'replacing', reconcile: 'reconciling', rollback: 'rolling-back', decommission: 'decommissioning' };
+const FAILED_STATUS = { provision: 'failed', adopt: 'adopt-failed', update: 'update-failed', replace: 'replace-failed', reconcile: 'reconcile-failed', rollback: 'update-failed', decommission: 'update-failed' };
+
+function requiresApproval(environment, action) {
+  return (CONFIG.APPROVAL_POLICY[environment] || []).includes(action);
+}
+
+function requiresPlan(environment, action) {
+  return (CONFIG.PLAN_POLICY[environment] || []).includes(action);
+}
+
+function sendPlanRequired(res, environment, action) {
+  return res.status(400).json({ error: `${action} in ${environment} applies a saved plan only — run the plan stage first and pass its planHash` });
+}
+
+function newPendingRequest(request, previousStatus) {
+  return { ...request, id: uuidv4(), requestedAt: new Date().toISOString(), previousStatus };
+}
+
+// Runs inside an inventory update, so it must only touch the resource given
+function applyLifecycleRequest(resource, request, approval) {
+  const timestamp = new Date().toISOString();
+  if (!resource.changeHistory) resource.changeHistory = [];
+  if (request.action === 'provision') {
+    // the provision entry is written when the inventory entry is created
+    const entry = resource.changeHistory.find(c => c.action === 'provision');
+    if (entry && approval) entry.approval = approval;
+  } else {
+    if (request.config) {
+      resource.config = request.config;
+      resource.tags = request.tags;
+      resource.resourceName = request.config.name || resource.resourceName;
+      resource.dependsOn = configDependencies(resource.resourceType, request.config);
+    }
+    if (request.cost) resource.cost = inventoryCost(request.cost.to, request.cost, timestamp);
+    resource.changeHistory.push({
+      action: request.action,
+      timestamp,
+      actor: request.requestedBy,
+      ticket: request.ticket,
+      ...(request.reason && { reason: request.reason }),
+      ...(request.diff && { diff: request.diff }),
+      ...(request.planId && { planId: request.planId, planHash: request.planHash }),
+      ...(request.policy?.length && { policy: request.policy }),
+      ...(request.cost && { cost: request.cost }),
+      ...(request.drift && { drift: request.drift }),
+      ...(request.rollbackTo && { rollbackTo: request.rollbackTo }),
+      ...(request.stateVersionId && { stateVersionId: request.stateVersionId }),
+      ...(request.secret && { secret: request.secret.name }),
+      ...(approval && { approval }),
+    });
+  }
+  resource.status = IN_PROGRESS_STATUS[request.action];
+  resource.updatedAt = timestamp;
+  delete resource.pendingRequest;
+}
+
+function lifecycleJobChanges(request) {
+  if (request.secret) return { secret: request.secret.name, stagedVersion: request.secret.version, reason: request.reason };
+  if (request.action === 'provision') return request.config;
+  if (request.action === 'update') return request.diff;
+  if (request.action === 'replace') return { diff: request.diff, reason: request.reason, requestedBy: request.requestedBy };
+  if (request.action === 'reconcile') return { drift: request.drift, reason: request.reason };
+  if (request.action === 'rollback') return { diff: request.diff, rollbackTo: request.rollbackTo, stateVersionId: request.stateVersionId, reason: request.reason };
+  return { reason: request.reason };
+}
+
+// Applies the request, regenerates the workspace and starts the job. Returns
+// the updated resource, or null if it changed since the caller loaded it.
+async function startLifecycleRequest(resource, request, approval) {
+  const waiting = request.action === 'provision' && !(await dependenciesReady(resource));
+  const updated = await inventory.updateResource(resource.id, r => {
+    applyLifecycleRequest(r, request, approval);
+    if (waiting) r.status = 'waiting';
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!updated) return null;
+  if (waiting) return startWhenReady(updated);
+
+  const workspaceDir = updated.workspaceDir || path.join(CONFIG.DEPLOYMENTS_DIR, updated.id);
+  if (['update', 'replace', 'reconcile', 'rollback'].includes(request.action))
+    writeWorkspace(workspaceDir, generateWorkspaceFiles(updated.resourceType, updated.config, updated.tags, updated.id, updated.environment, templateOptions(updated)));
+  await queueDeploymentJob(updated, workspaceDir, request.action, lifecycleJobChanges(request), {
+    planId: request.planId,
+    planHash: request.planHash,
+    restoreState: request.stateVersionId && { versionId: request.stateVersionId, actor: request.requestedBy },
+    secret: request.secret && { ...request.secret, actor: request.requestedBy },
+  }, request.requestedBy);
+  return updated;
+}
+
+async function holdForApproval(resource, request) {
+  const updated = await inventory.updateResource(resource.id, r => {
+    r.pendingRequest = newPendingRequest(request, r.status);
+    r.status = 'pending-approval';
+    r.updatedAt = new Date().toISOString();
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (updated) await appendAuditHistory(resource.id, 'approval-requested', request.requestedBy, { action: request.action, ticket: request.ticket }, 'pending');
+  return updated;
+}
+
+// Starts the request straight away, or parks it if the policy says so
+async function submitLifecycleRequest(resource, request) {
+  const held = requiresApproval(resource.environment, request.action);
+  const updated = held ? await holdForApproval(resource, request) : await startLifecycleRequest(resource, request);
+  if (updated) {
+    notify(`${request.action}.requested`, updated, request.requestedBy, { ticket: request.ticket, reason: request.reason });
+    if (held) notify('resource.pending-approval', updated, request.requestedBy, { action: request.action });
+  }
+  return updated;
+}
+
+// The saved plan a held request will apply, with its readable summary —
+// what the approver signs off on
+// A held plan waits for an approver, so it expires CONFIG.HELD_PLAN_TTL_MS
+// after the request was held instead of with PLAN_TTL_MINUTES
+function heldPlan(resource) {
+  const planHash = resource.pendingRequest?.planHash;
+  const saved = planHash && savedPlans(resource.id).find(s => s.plan.hash === planHash);
+  if (!saved) return null;
+  const summaryPath = path.join(path.dirname(saved.metaPath), 'summary.txt');
+  const heldUntil = Date.parse(resource.pendingRequest.requestedAt) + CONFIG.HELD_PLAN_TTL_MS;
+  const expiresAt = new Date(Math.max(heldUntil, Date.parse(saved.plan.expiresAt))).toISOString();
+  return { ...saved, expiresAt, text: fs.existsSync(summaryPath) ? fs.readFileSync(summaryPath, 'utf8') : '' };
+}
+
+function heldPlanError(resource) {
+  const saved = heldPlan(resource);
+  if (!saved) return 'The saved plan for this request is gone — reject it and request the change again';
+  if (Date.parse(saved.expiresAt) < Date.now()) return 'The saved plan for this request has expired — reject it and request the change again';
+  if (planContentHash(saved.plan, path.dirname(saved.metaPath)) !== saved.plan.hash)
+    return 'The saved plan no longer matches its hash — reject it and request the change again';
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// AUTHENTICATION + RBAC — OIDC bearer tokens (Entra ID) or local dev issuer
+// ─────────────────────────────────────────────────────────────
+// Roles are cumulative: each one can do everything the roles before it can.
+// Token role claims are matched case-insensitively on their last segment,
+// so Entra app roles like "TerraPortal.Admin" map to "admin".
+const ROLES = ['viewer', 'requester', 'approver', 'admin'];
+
+// Destroying resources in these environments needs more than the route's role
+const DESTRUCTIVE_ENVIRONMENT_ROLES = { prod: 'admin' };
+
+const DEV_ISSUER = 'terraportal-dev';
+const DEV_AUDIENCE = 'terraportal';
+const DEV_TOKEN_TTL_S = 8 * 60 * 60;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_S = 60;
+
+// Routes that authenticate some other way (HMAC callbacks) or hand out tokens
+const PUBLIC_API_ROUTES = ['/auth/config', '/auth/dev/login', '/callbacks/github'];
+
+// The dev issuer signs with a key generated at startup, so its tokens stop
+// working on restart and can never be accepted by another instance
+const devSigningKey = CONFIG.AUTH_MODE === 'dev'
+  ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  : null;
+
+let oidcMetadata = null;   // { issuer, jwks_uri, authorization_endpoint, token_endpoint, ... }
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+async function fetchJson(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`GET ${url} returned ${r.status}`);
+  return r.json();
+}
+
+async function loadOidcMetadata() {
+  if (!oidcMetadata) {
+    oidcMetadata = await fetchJson(`${CONFIG.OIDC_ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  }
+  return oidcMetadata;
+}
+
+async function signingKey(kid) {
+  if (CONFIG.AUTH_MODE === 'dev') return devSigningKey.publicKey;
+
+  // Refetch when the cache is stale or the key was rotated, but at most once a minute
+  const stale = Date.now() - jwksCache.fetchedAt > JWKS_TTL_MS;
+  const unknown = !jwksCache.keys.has(kid) && Date.now() - jwksCache.fetchedAt > 60 * 1000;
+  if (stale || unknown) {
+    const { jwks_uri } = await loadOidcMetadata();
+    const { keys } = await fetchJson(jwks_uri);
+    jwksCache = {
+      keys: new Map(keys.filter(k => k.kty === 'RSA').map(k => [k.kid, crypto.createPublicKey({ key: k, format: 'jwk' })])),
+      fetchedAt: Date.now(),
+    };
+  }
+  const key = jwksCache.keys.get(kid);
+  if (!key) throw new Error('Unknown signing key');
+  return key;
+}
+
+function decodeJwtPart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString());
+}
+
+async function verifyJwt(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+  const header = decodeJwtPart(parts[0]);
+  const claims = decodeJwtPart(parts[1]);
+  if (header.alg !== 'RS256') throw new Error(`Unsupported algorithm ${header.alg}`);
+
+  const key = await signingKey(header.kid);
+  const valid = crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+  if (!valid) throw new Error('Bad signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  const issuer = CONFIG.AUTH_MODE === 'dev' ? DEV_ISSUER : (await loadOidcMetadata()).issuer;
+  const audience = CONFIG.AUTH_MODE === 'dev' ? DEV_AUDIENCE : CONFIG.OIDC_AUDIENCE;
+  if (!claims.exp || now > claims.exp + CLOCK_SKEW_S) throw new Error('Token expired');
+  if (claims.nbf && now < claims.nbf - CLOCK_SKEW_S) throw new Error('Token not yet valid');
+  if (claims.iss !== issuer) throw new Error('Wrong issuer');
+  if (![].concat(claims.aud).includes(audience)) throw new Error('Wrong audience');
+  return claims;
+}
+
+function signDevToken(username, roles) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const body = `${encode({ alg: 'RS256', typ: 'JWT', kid: 'dev' })}.${encode({
+    iss: DEV_ISSUER, aud: DEV_AUDIENCE, sub: username, preferred_username: username, name: username,
+    roles, iat: now, nbf: now, exp: now + DEV_TOKEN_TTL_S,
+  })}`;
+  return `${body}.${crypto.sign('RSA-SHA256', Buffer.from(body), devSigningKey.privateKey).toString('base64url')}`;
+}
+
+function userFromClaims(claims) {
+  const roles = [].concat(claims[CONFIG.ROLES_CLAIM] || [])
+    .map(r => String(r).split('.').pop().toLowerCase())
+    .filter(r => ROLES.includes(r));
+  return {
+    actor: claims.preferred_username || claims.upn || claims.email || claims.unique_name || claims.sub,
+    name:  claims.name || claims.preferred_username || claims.sub,
+    roles,
+  };
+}
+
+function hasRole(user, role) {
+  return user.roles.some(r => ROLES.indexOf(r) >= ROLES.indexOf(role));
+}
+
+function canDestroyIn(user, environment) {
+  return hasRole(user, DESTRUCTIVE_ENVIRONMENT_ROLES[environment] || 'requester');
+}
+
+async function authenticate(req, res, next) {
+  if (PUBLIC_API_ROUTES.includes(req.path)) return next();
+  // EventSource cannot send headers, so the log stream also accepts ?access_token=
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7)
+    : req.method === 'GET' && req.path.endsWith('/logs/stream') ? req.query.access_token : null;
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+  try {
+    req.user = userFromClaims(await verifyJwt(token));
+  } catch (e) {
+    return res.status(401).json({ error: `Invalid token: ${e.message}` });
+  }
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires the ${role} role` });
+    next();
+  };
+}
+
+// Express 4 does not pass a rejected handler promise on, and an unhandled
+// rejection ends the process — route it to the error handler instead
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function sendDestroyForbidden(res, environment) {
+  return res.status(403).json({ error: `Only ${DESTRUCTIVE_ENVIRONMENT_ROLES[environment]}s can destroy resources in ${environment}` });
+}
+
+app.use('/api', authenticate);
+
+// Tells the React app how to log in
+app.get('/api/auth/config', asyncRoute(async (req, res) => {
+  const roles = { roles: ROLES, destructiveEnvironmentRoles: DESTRUCTIVE_ENVIRONMENT_ROLES };
+  if (CONFIG.AUTH_MODE === 'dev') return res.json({ mode: 'dev', ...roles });
+  try {
+    const meta = await loadOidcMetadata();
+    res.json({
+      mode: 'oidc',
+      ...roles,
+      clientId: CONFIG.OIDC_CLIENT_ID,
+      scope: CONFIG.OIDC_SCOPE,
+      authorizationEndpoint: meta.authorization_endpoint,
+      tokenEndpoint: meta.token_endpoint,
+    });
+  } catch (e) { res.status(502).json({ error: `OIDC discovery failed: ${e.message}` }); }
+}));
+
+// Local test issuer: any username with any role. Only exists in dev auth mode.
+app.post('/api/auth/dev/login', (req, res) => {
+  if (CONFIG.AUTH_MODE !== 'dev') return res.status(404).json({ error: 'Not found' });
+  const { username, role } = req.body || {};
+  if (!username || !/^[\w.@-]{1,64}$/.test(username))
+    return res.status(400).json({ error: 'username is required (letters, digits, . _ - @)' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  const token = signDevToken(username, [role]);
+  res.json({ token, user: userFromClaims(decodeJwtPart(token.split('.')[1])) });
+});
+
+app.get('/api/auth/me', (req, res) => res.json(req.user));
+
+// ─────────────────────────────────────────────────────────────
+// API ROUTES
+// ─────────────────────────────────────────────────────────────
+
+// GET inventory — ?status=&environment=&resourceType=&limit=&offset=
+app.get('/api/inventory', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const { status, environment, resourceType } = req.query;
+  res.json(await inventory.listResources({ status, environment, resourceType, ...pageParams(req.query) }));
+}));
+
+// GET single resource
+app.get('/api/inventory/:id', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Not found' });
+  res.json(resource);
+}));
+
+// GET audit history, newest first — ?deploymentId=&action=&limit=&offset=
+app.get('/api/history', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const { deploymentId, action } = req.query;
+  res.json(await inventory.listHistory({ deploymentId, action, ...pageParams(req.query) }));
+}));
+
+// GET resource types
+// each type also lists the secrets a request may supply (see RESOURCE_SECRETS)
+app.get('/api/resource-types', requireRole('viewer'), (req, res) => res.json(Object.fromEntries(Object.entries(RESOURCE_TYPES).map(([id, rt]) =>
+  [id, { ...rt, secrets: (RESOURCE_SECRETS[id] || []).map(({ name, input, label }) => ({ name, input, label })) }]))));
+
+// GET terraform preview for a config
+app.post('/api/preview', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { resourceType, config: rawConfig, ticketNumber, environment, tags, deploymentId } = req.body;
+  if (!RESOURCE_TYPES[resourceType]) return res.status(400).json({ error: 'Unknown resourceType' });
+  if (environment && !ENVIRONMENTS.includes(environment))
+    return sendValidationError(res, { environment: [`Environment must be one of: ${ENVIRONMENTS.join(', ')}`] });
+  // the templates need a complete, valid config to render
+  const { errors, config } = validateConfig(resourceType, rawConfig);
+  if (Object.keys(errors).length) return sendValidationError(res, errors);
+  const allTags = buildTags(ticketNumber, environment, deploymentId || 'preview', tags);
+  const tf = generateMainTf(resourceType, config, allTags, deploymentId || 'preview', environment || 'dev');
+  const { denied, results } = evaluatePolicies({ resourceType, environment: environment || 'dev', config, tags: allTags });
+  res.json({ terraform: tf, policy: { denied, results } });
+}));
+
+// POST monthly cost estimate for a config, with the environment's budget headroom
+app.post('/api/estimate', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { resourceType, config, environment } = req.body;
+  if (!RESOURCE_TYPES[resourceType]) return res.status(400).json({ error: 'Unknown resourceType' });
+  const estimate = estimateMonthlyCost(resourceType, config || {});
+  res.json({ ...estimate, budget: await checkBudget(environment || 'dev', estimate.monthly) });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// PROVISION — create new resource
+// ─────────────────────────────────────────────────────────────
+// New inventory entry for a checked provision request; writes its workspace
+function provisionEntry({ deploymentId, resourceType, config, environment, ticketNumber, tags, actor, policy, cost, expiresAt, stackId, plan }) {
+  const timestamp = new Date().toISOString();
+  const workspaceDir = path.join(CONFIG.DEPLOYMENTS_DIR, deploymentId);
+  writeWorkspace(workspaceDir, generateWorkspaceFiles(resourceType, config, tags, deploymentId, environment));
+
+  const request = { action: 'provision', requestedBy: actor, ticket: ticketNumber, config, ...(plan && { planId: plan.id, planHash: plan.hash }) };
+  const held = requiresApproval(environment, 'provision');
+  const dependsOn = configDependencies(resourceType, config);
+  return {
+    id: deploymentId,
+    ticketNumber,
+    resourceType,
+    resourceName: config.name,
+    environment,
+    config,
+    tags,
+    status: held ? 'pending-approval' : dependsOn.length ? 'waiting' : 'provisioning',
+    requestedBy: actor,
     createdAt: timestamp,
     updatedAt: timestamp,
     lastUpdatedAt: null,
     decommissionedAt: null,
+    expiresAt,
     workspaceDir,
     outputs: {},
     logs: [],
+    dependsOn,
+    ...(stackId && { stackId }),
+    cost: inventoryCost(cost.monthly, cost, timestamp),
     changeHistory: [{
       action: 'provision',
       timestamp,
-      actor: requestedBy || 'unknown',
+      actor,
+      ticket: ticketNumber,
+      changes: config,
+      cost: { from: 0, to: cost.monthly, delta: cost.monthly, currency: cost.currency, catalogVersion: cost.catalogVersion },
+      ...(plan && { planId: plan.id, planHash: plan.hash }),
+      ...(policy.results.length && { policy: policy.results }),
+    }],
+    ...(held && { pendingRequest: newPendingRequest(request, null) }),
+  };
+}
+
+// Stores the entry, then starts it, holds it for approval or leaves it
+// waiting for its dependencies. Returns the resource as it is now.
+async function launchProvision(entry, actor) {
+  await inventory.insertResource(entry);
+  notify('provision.requested', entry, actor, { ticket: entry.ticketNumber });
+
+  if (entry.status === 'pending-approval') {
+    await appendAuditHistory(entry.id, 'approval-requested', actor, { action: 'provision', ticket: entry.ticketNumber }, 'pending');
+    notify('resource.pending-approval', entry, actor, { action: 'provision' });
+    return entry;
+  }
+  if (entry.status === 'waiting') return startWhenReady(entry);
+  await queueDeploymentJob(entry, entry.workspaceDir, 'provision', entry.config, provisionPlan(entry), actor);
+  return entry;
+}
+
+const PROVISION_MESSAGES = {
+  'pending-approval': 'Provisioning is awaiting approval',
+  waiting:            'Provisioning starts once its dependencies are deployed',
+  provisioning:       'Provisioning started',
+};
+
+// Shared by both provision stages: { errors, config, lease }
+async function checkProvisionRequest({ resourceType, config: rawConfig, environment, ttlHours, expiresAt, secrets }) {
+  const validation = validateConfig(resourceType, rawConfig);
+  if (!Object.keys(validation.errors).length) Object.assign(validation.errors, await resolveReferences(resourceType, validation.config));
+  Object.assign(validation.errors, secretInputErrors(resourceType, secrets));
+  if (environment && !ENVIRONMENTS.includes(environment))
+    validation.errors.environment = [`Environment must be one of: ${ENVIRONMENTS.join(', ')}`];
+  const lease = leaseExpiry(environment || 'dev', { ttlHours, expiresAt });
+  if (lease.error) validation.errors.ttlHours = [lease.error];
+  return { errors: validation.errors, config: validation.config, lease };
+}
+
+// Plan stage: reserves a deployment ID and saves the plan that POST
+// /api/provision applies when given that deploymentId and the plan's hash
+app.post('/api/provision/plan', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { resourceType, config: rawConfig, ticketNumber, environment, tags, secrets } = req.body;
+  if (!resourceType || !rawConfig || !ticketNumber)
+    return res.status(400).json({ error: 'resourceType, config, and ticketNumber are required' });
+
+  const { errors, config } = await checkProvisionRequest(req.body);
+  if (Object.keys(errors).length) return sendValidationError(res, errors);
+  // the plan reads the referenced deployments' state, so they must exist
+  if (!(await dependenciesReady({ dependsOn: configDependencies(resourceType, config) })))
+    return res.status(409).json({ error: 'Referenced deployments must be deployed before the provision can be planned' });
+
+  const env = environment || 'dev';
+  const deploymentId = uuidv4();
+  const allTags = buildTags(ticketNumber, env, deploymentId, tags);
+  const policy = evaluatePolicies({ resourceType, environment: env, config, tags: allTags });
+  const cost = estimateMonthlyCost(resourceType, config);
+  const budget = await checkBudget(env, cost.monthly);
+  let plan = null;
+  if (!policy.denied && !budget?.exceeded) {
+    // the plan already carries the secrets, so they are fixed at this stage;
+    // removeAbandonedProvisionPlans deletes them if the plan is never applied
+    try {
+      await ensureDeploymentSecrets(deploymentId, resourceType, secrets, req.user.actor);
+    } catch (e) {
+      await deleteDeploymentSecrets(deploymentId, resourceType, req.user.actor);
+      return res.status(502).json({ error: `Could not store the deployment secrets: ${e.message}` });
+    }
+    try {
+      plan = await createSavedPlan({ id: deploymentId, resourceType, resourceName: config.name, environment: env, ticketNumber, tags: allTags },
+        generateWorkspaceFiles(resourceType, config, allTags, deploymentId, env),
+        { action: 'provision', diff: computeConfigDiff(resourceType, {}, config), actor: req.user.actor });
+    } catch (e) {
+      await removeSavedPlans(deploymentId);
+      await deleteDeploymentSecrets(deploymentId, resourceType, req.user.actor);
+      return sendPlanFailed(res, e);
+    }
+  }
+  res.json({ deploymentId, config, policy, cost, budget, plan });
+}));
+
+// Apply stage when given { deploymentId, planHash } from the plan stage;
+// environments without a PLAN_POLICY entry for provision may skip the plan
+app.post('/api/provision', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { resourceType, config: rawConfig, ticketNumber, environment, tags, secrets, deploymentId: plannedId, planHash } = req.body;
+  if (!resourceType || !rawConfig || !ticketNumber)
+    return res.status(400).json({ error: 'resourceType, config, and ticketNumber are required' });
+  const env = environment || 'dev';
+  if (!planHash && requiresPlan(env, 'provision')) return sendPlanRequired(res, env, 'provision');
+  if (planHash && !plannedId) return res.status(400).json({ error: 'deploymentId from the plan stage is required with planHash' });
+  if (planHash && await inventory.getResource(plannedId)) return res.status(409).json({ error: `Deployment ${plannedId} already exists — run the plan again` });
+  if (planHash && secrets && Object.keys(secrets).length) return res.status(400).json({ error: 'secrets are set at the plan stage — run the plan again to change them' });
+
+  const { errors, config, lease } = await checkProvisionRequest(req.body);
+  if (Object.keys(errors).length) return sendValidationError(res, errors);
+
+  const deploymentId = planHash ? plannedId : uuidv4();
+  const plannedTags = planHash && latestSavedPlan(deploymentId)?.plan.tags;
+  const allTags = buildTags(ticketNumber, env, deploymentId, { ...tags, ...(plannedTags && { created_at: plannedTags.created_at }) });
+
+  const policySubject = { resourceType, environment: env, config, tags: allTags };
+  const policy = evaluatePolicies(policySubject);
+  await auditPolicyCheck(policy.denied ? null : deploymentId, 'provision', req.user.actor, policySubject, policy);
+  if (policy.denied) return sendPolicyDenied(res, policy);
+
+  const cost = estimateMonthlyCost(resourceType, config);
+  const budget = await checkBudget(env, cost.monthly);
+  if (budget?.exceeded) return sendBudgetExceeded(res, null, 'provision', req.user.actor, budget);
+
+  const ticketCheck = await checkTicket(ticketNumber);
+  await auditTicketCheck(ticketCheck.blocked ? null : deploymentId, 'provision', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) return sendTicketRejected(res, ticketCheck);
+
+  let saved = null;
+  if (planHash) {
+    saved = loadSavedPlan({ id: deploymentId }, planHash, generateWorkspaceFiles(resourceType, config, allTags, deploymentId, env), 'provision');
+    if (saved.error) return res.status(409).json({ error: saved.error });
+  }
+
+  try {
+    await ensureDeploymentSecrets(deploymentId, resourceType, secrets, req.user.actor);
+  } catch (e) {
+    return res.status(502).json({ error: `Could not store the deployment secrets: ${e.message}` });
+  }
+
+  const entry = provisionEntry({
+    deploymentId, resourceType, config, environment: env, ticketNumber, tags: allTags,
+    actor: req.user.actor, policy, cost, expiresAt: lease.expiresAt, plan: saved?.plan,
+  });
+  const launched = await launchProvision(entry, req.user.actor);
+  if (saved) markPlanConsumed(saved);
+
+  res.json({ deploymentId, status: launched.status, message: PROVISION_MESSAGES[launched.status], expiresAt: lease.expiresAt, dependsOn: entry.dependsOn, planHash: saved?.plan.hash, policy: policy.results, cost, budget, ticket: ticketCheck.ticket });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// STACKS — several resources provisioned together, in dependency order
+// ─────────────────────────────────────────────────────────────
+// Each stack resource is { key, resourceType, config }; a reference field
+// may name another member by its key instead of a deployment ID. The stack
+// is checked as a whole (validation, policies, budget for the total, one
+// ticket) before anything is created.
+app.post('/api/stacks', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { resources: specs, ticketNumber, environment, tags, ttlHours, expiresAt } = req.body;
+  if (!Array.isArray(specs) || !specs.length || !ticketNumber)
+    return res.status(400).json({ error: 'resources (a non-empty array) and ticketNumber are required' });
+  if (specs.length > MAX_STACK_RESOURCES)
+    return res.status(400).json({ error: `A stack holds at most ${MAX_STACK_RESOURCES} resources` });
+  const keys = specs.map(spec => spec?.key);
+  if (keys.some(k => typeof k !== 'string' || !k) || new Set(keys).size !== keys.length)
+    return res.status(400).json({ error: 'Every stack resource needs a unique key' });
+
+  const env = environment || 'dev';
+  if (requiresPlan(env, 'provision'))
+    return res.status(400).json({ error: `Provisions in ${env} apply a saved plan only, so stacks cannot be used there — plan and provision each resource instead` });
+  const errors = {};
+  if (!ENVIRONMENTS.includes(env)) errors.environment = [`Environment must be one of: ${ENVIRONMENTS.join(', ')}`];
+  const lease = leaseExpiry(env, { ttlHours, expiresAt });
+  if (lease.error) errors.ttlHours = [lease.error];
+
+  const ids = Object.fromEntries(keys.map(k => [k, uuidv4()]));
+  const members = specs.map(spec => {
+    const validation = validateConfig(spec.resourceType, spec.config);
+    for (const field of referenceFields(spec.resourceType)) {
+      const ref = validation.config[field.name];
+      if (ids[ref]) validation.config[field.name] = ids[ref];
+    }
+    return { key: spec.key, id: ids[spec.key], resourceType: spec.resourceType, config: validation.config, errors: validation.errors };
+  });
+  const planned = Object.fromEntries(members.map(m => [m.id, { resourceType: m.resourceType, resourceName: m.config.name, config: m.config }]));
+  for (const m of members) {
+    if (!Object.keys(m.errors).length) Object.assign(m.errors, await resolveReferences(m.resourceType, m.config, planned));
+    for (const [field, messages] of Object.entries(m.errors)) errors[`${m.key}.${field}`] = messages;
+  }
+  if (Object.keys(errors).length) return sendValidationError(res, errors);
+  const { order, cycle } = dependencyOrder(members);
+  if (cycle) return sendValidationError(res, { resources: [`Reference cycle: ${cycle.join(' → ')}`] });
+
+  const policyResults = [];
+  let denied = false;
+  for (const m of order) {
+    m.tags = buildTags(ticketNumber, env, m.id, tags);
+    const policySubject = { resourceType: m.resourceType, environment: env, config: m.config, tags: m.tags };
+    m.policy = evaluatePolicies(policySubject);
+    await auditPolicyCheck(m.policy.denied ? null : m.id, 'provision', req.user.actor, policySubject, m.policy);
+    denied = denied || m.policy.denied;
+    policyResults.push(...m.policy.results.map(r => ({ ...r, resource: m.key })));
+  }
+  if (denied) return sendPolicyDenied(res, { results: policyResults });
+
+  for (const m of order) m.cost = estimateMonthlyCost(m.resourceType, m.config);
+  const monthly = roundCost(order.reduce((sum, m) => sum + m.cost.monthly, 0));
+  const budget = await checkBudget(env, monthly);
+  if (budget?.exceeded) return sendBudgetExceeded(res, null, 'provision', req.user.actor, budget);
+
+  const ticketCheck = await checkTicket(ticketNumber);
+  await auditTicketCheck(ticketCheck.blocked ? null : order[0].id, 'provision', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) return sendTicketRejected(res, ticketCheck);
+
+  const stackId = uuidv4();
+  const launched = [];
+  for (const m of order) {
+    const entry = provisionEntry({
+      deploymentId: m.id, resourceType: m.resourceType, config: m.config, environment: env, ticketNumber, tags: m.tags,
+      actor: req.user.actor, policy: m.policy, cost: m.cost, expiresAt: lease.expiresAt, stackId,
+    });
+    const resource = await launchProvision(entry, req.user.actor);
+    launched.push({ key: m.key, deploymentId: m.id, resourceType: m.resourceType, resourceName: m.config.name, status: resource.status, dependsOn: entry.dependsOn, cost: m.cost });
+  }
+  await appendAuditHistory(null, 'stack-provision', req.user.actor, { stackId, resources: launched.map(r => ({ key: r.key, deploymentId: r.deploymentId })) }, 'success');
+
+  res.json({
+    stackId,
+    resources: launched,
+    message: `Stack of ${launched.length} resources submitted`,
+    expiresAt: lease.expiresAt,
+    policy: policyResults,
+    cost: { monthly, currency: order[0].cost.currency },
+    budget,
+    ticket: ticketCheck.ticket,
+  });
+}));
+
+// GET stack members in dependency order
+app.get('/api/stacks/:id', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const { resources } = await inventory.listResources({});
+  const members = resources.filter(r => r.stackId === req.params.id);
+  if (!members.length) return res.status(404).json({ error: 'Stack not found' });
+  const { order } = dependencyOrder(members.map(r => ({ ...r, key: r.id })));
+  res.json({ stackId: req.params.id, resources: order.map(({ key, ...r }) => r) });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// ADOPT — import an existing Azure resource (dryRun reports the mapping only)
+// ─────────────────────────────────────────────────────────────
+app.post('/api/adopt', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { azureResourceId, resourceType, ticketNumber, environment, tags, config: overrides, secrets, dryRun } = req.body;
+  if (!azureResourceId || !resourceType || (!ticketNumber && !dryRun))
+    return res.status(400).json({ error: 'azureResourceId, resourceType, and ticketNumber are required' });
+  if (!ADOPTABLE_TYPES[resourceType])
+    return res.status(400).json({ error: `resourceType must be one of: ${Object.keys(ADOPTABLE_TYPES).join(', ')}` });
+  const parsed = parseAzureResourceId(azureResourceId);
+  if (!parsed) return res.status(400).json({ error: 'azureResourceId must be a full Azure resource ID (/subscriptions/…/resourceGroups/…/providers/…)' });
+  if (parsed.armType.toLowerCase() !== ADOPTABLE_TYPES[resourceType].armType.toLowerCase())
+    return res.status(400).json({ error: `${azureResourceId} is a ${parsed.armType}, not a ${ADOPTABLE_TYPES[resourceType].armType}` });
+  const env = environment || 'dev';
+  if (!ENVIRONMENTS.includes(env))
+    return sendValidationError(res, { environment: [`Environment must be one of: ${ENVIRONMENTS.join(', ')}`] });
+  const secretErrors = secretInputErrors(resourceType, secrets);
+  if (Object.keys(secretErrors).length) return sendValidationError(res, secretErrors);
+
+  // already portal-managed, either adopted or provisioned (its ID is an output)
+  const { resources } = await inventory.listResources({});
+  const existing = resources.find(r => !['decommissioned', 'rejected', 'adopt-failed'].includes(r.status) &&
+    [r.adopted?.azureResourceId, ...Object.values(r.outputs || {})].some(v => typeof v === 'string' && v.toLowerCase() === azureResourceId.toLowerCase()));
+  if (existing) return res.status(409).json({ error: `Already managed by the portal as ${existing.resourceName} (${existing.id})`, deploymentId: existing.id });
+
+  const deploymentId = uuidv4();
+  const allTags = buildTags(ticketNumber, env, deploymentId, tags);
+  const discard = async () => {
+    await removeSavedPlans(deploymentId);
+    await deleteDeploymentSecrets(deploymentId, resourceType, req.user.actor);
+  };
+  let adoption;
+  try {
+    // the import plans run terraform, which needs the secrets (for a VM, pass
+    // the public key it already has or the plan replaces it)
+    if (CONFIG.EXECUTION_MODE !== 'demo') await ensureDeploymentSecrets(deploymentId, resourceType, secrets, req.user.actor);
+    adoption = await planAdoption({ deploymentId, resourceType, azureResourceId, parsed, environment: env, tags: allTags, overrides: overrides || {} });
+  } catch (e) {
+    await discard();
+    return res.status(502).json({ error: `Import plan failed: ${e.message}` });
+  }
+  const { config, unmapped, errors, plan } = adoption;
+  const blocking = (plan?.changes || []).filter(c => ADOPT_BLOCKING_ACTIONS.includes(c.action));
+  const policySubject = { resourceType, environment: env, config, tags: allTags };
+  const policy = Object.keys(errors).length ? { denied: false, results: [] } : evaluatePolicies(policySubject);
+
+  if (dryRun) {
+    await discard();
+    return res.json({ dryRun: true, azureResourceId, resourceType, resourceGroup: parsed.resourceGroup, config, unmapped, errors, plan, blocking: blocking.map(c => c.address), policy: policy.results });
+  }
+  if (Object.keys(errors).length) {
+    await discard();
+    return res.status(422).json({ error: 'Validation failed — set the fields that could not be mapped in config', errors, unmapped });
+  }
+  if (blocking.length) {
+    await discard();
+    return res.status(409).json({ error: `Adopting would ${blocking.map(c => `${c.action} ${c.address}`).join(', ')} — set config to match the resource`, plan, unmapped });
+  }
+
+  await auditPolicyCheck(policy.denied ? null : deploymentId, 'adopt', req.user.actor, policySubject, policy);
+  if (policy.denied) { await discard(); return sendPolicyDenied(res, policy); }
+
+  const ticketCheck = await checkTicket(ticketNumber);
+  await auditTicketCheck(ticketCheck.blocked ? null : deploymentId, 'adopt', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) { await discard(); return sendTicketRejected(res, ticketCheck); }
+  // the workflow applies the import plan from blob storage
+  try {
+    await uploadSavedPlan({ ...plan, deploymentId }, savedPlanDir(deploymentId, plan.id));
+  } catch (e) {
+    await discard();
+    return res.status(502).json({ error: e.message });
+  }
+
+  const workspaceDir = path.join(CONFIG.DEPLOYMENTS_DIR, deploymentId);
+  writeWorkspace(workspaceDir, adoption.files);
+  await ensureDeploymentSecrets(deploymentId, resourceType, secrets, req.user.actor);
+  const timestamp = new Date().toISOString();
+  const cost = estimateMonthlyCost(resourceType, config);
+  const adopted = { azureResourceId, resourceGroup: parsed.resourceGroup, unmapped, planId: plan.id, summary: plan.summary };
+  const entry = {
+    id: deploymentId,
+    ticketNumber,
+    resourceType,
+    resourceName: config.name,
+    environment: env,
+    config,
+    tags: allTags,
+    status: 'adopting',
+    requestedBy: req.user.actor,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    lastUpdatedAt: null,
+    decommissionedAt: null,
+    expiresAt: null,
+    workspaceDir,
+    outputs: {},
+    logs: [],
+    dependsOn: [],
+    adopted,
+    cost: inventoryCost(cost.monthly, cost, timestamp),
+    changeHistory: [{
+      action: 'adopt',
+      timestamp,
+      actor: req.user.actor,
       ticket: ticketNumber,
       changes: config,
+      azureResourceId,
+      plan: plan.summary,
+      ...(Object.keys(unmapped).length && { unmapped }),
+      ...(policy.results.length && { policy: policy.results }),
     }],
   };
+  await inventory.insertResource(entry);
+  notify('adopt.requested', entry, req.user.actor, { ticket: ticketNumber, azureResourceId });
+  await queueDeploymentJob(entry, workspaceDir, 'adopt', { azureResourceId, config, unmapped: Object.keys(unmapped), plan: plan.summary }, { planId: plan.id }, req.user.actor);
+  res.json({ deploymentId, status: 'adopting', message: 'Adoption started', config, unmapped, plan, policy: policy.results, cost, ticket: ticketCheck.ticket });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// UPDATE — modify existing resource (terraform apply with new config)
+// ─────────────────────────────────────────────────────────────
+app.patch('/api/resources/:id', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { config, ticketNumber, tags, planHash } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!['deployed', 'drifted'].includes(resource.status))
+    return res.status(400).json({ error: `Cannot update resource in status: ${resource.status}` });
+  if (!planHash && requiresPlan(resource.environment, 'update')) return sendPlanRequired(res, resource.environment, 'update');
+
+  const validation = validateConfig(resource.resourceType, { ...resource.config, ...config });
+  if (Object.keys(validation.errors).length) return sendValidationError(res, validation.errors);
+
+  // Compute diff
+  const oldConfig = resource.config;
+  const newConfig = validation.config;
+  const diff = computeConfigDiff(resource.resourceType, oldConfig, newConfig);
+
+  if (Object.keys(diff).length === 0)
+    return res.status(400).json({ error: 'No changes detected' });
+
+  const { forbidden, replace } = classifyDiff(resource.resourceType, diff);
+  if (forbidden.length)
+    return sendValidationError(res, Object.fromEntries(forbidden.map(k => [k, [`${k} cannot be changed after provisioning`]])));
+  if (replace.length)
+    return res.status(409).json({
+      error: `Changing ${replace.join(', ')} requires destroying and recreating the resource`,
+      replaceRequired: replace,
+      hint: `POST /api/resources/${resource.id}/replace with confirm set to the resource name`,
+    });
+
+  const newTags = buildTags(ticketNumber || resource.ticketNumber, resource.environment, resource.id, { ...(resource.tags || {}), ...tags });
+  const policySubject = { resourceType: resource.resourceType, environment: resource.environment, config: newConfig, tags: newTags };
+  const policy = evaluatePolicies(policySubject);
+  await auditPolicyCheck(resource.id, 'update', req.user.actor, policySubject, policy);
+  if (policy.denied) return sendPolicyDenied(res, policy);
+
+  const cost = estimateCostChange(resource, newConfig).change;
+  const budget = await checkBudget(resource.environment, cost.to, { previousMonthly: cost.from, excludeId: resource.id });
+  if (budget?.exceeded) return sendBudgetExceeded(res, resource.id, 'update', req.user.actor, budget);
+
+  const ticketCheck = await checkTicket(ticketNumber || resource.ticketNumber);
+  await auditTicketCheck(resource.id, 'update', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) return sendTicketRejected(res, ticketCheck);
+
+  const files = generateWorkspaceFiles(resource.resourceType, newConfig, newTags, resource.id, resource.environment, templateOptions(resource));
+  let saved = null;
+  if (planHash) {
+    saved = loadSavedPlan(resource, planHash, files, 'update');
+    if (saved.error) return res.status(409).json({ error: saved.error });
+  }
+
+  const updated = await submitLifecycleRequest(resource, {
+    action: 'update',
+    requestedBy: req.user.actor,
+    ticket: ticketNumber || resource.ticketNumber,
+    config: newConfig,
+    tags: newTags,
+    diff,
+    planId: saved?.plan.id,
+    planHash: saved?.plan.hash,
+    policy: policy.results,
+    cost,
+  });
+  if (!updated) return sendConcurrentModification(res);
+  if (saved) markPlanConsumed(saved);
+
+  const held = updated.status === 'pending-approval';
+  res.json({ id: resource.id, status: updated.status, diff, planHash: saved?.plan.hash, policy: policy.results, cost, budget, ticket: ticketCheck.ticket, message: held ? 'Update is awaiting approval' : 'Update started' });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// DECOMMISSION — terraform destroy + mark in inventory
+// ─────────────────────────────────────────────────────────────
+// Shared by both decommission stages: sends the refusal and returns false
+// when the resource cannot be destroyed by this user right now
+async function checkDecommission(req, res, resource) {
+  if (['decommissioning', 'decommissioned'].includes(resource.status)) {
+    res.status(400).json({ error: `Already ${resource.status}` });
+    return false;
+  }
+  if (resource.status === 'pending-approval') {
+    res.status(409).json({ error: 'A request for this resource is awaiting approval — reject it first' });
+    return false;
+  }
+  // destroying would delete a resource the portal never managed
+  if (resource.status === 'adopt-failed') {
+    res.status(409).json({ error: 'Adoption failed, so the Azure resource is not managed by the portal — adopt it again instead' });
+    return false;
+  }
+  if (!canDestroyIn(req.user, resource.environment)) {
+    sendDestroyForbidden(res, resource.environment);
+    return false;
+  }
+  const dependents = await activeDependents(resource.id);
+  if (dependents.length) {
+    sendDependentsExist(res, 'decommission', dependents);
+    return false;
+  }
+  return true;
+}
+
+function currentWorkspaceFiles(resource) {
+  return generateWorkspaceFiles(resource.resourceType, resource.config, resource.tags, resource.id, resource.environment, templateOptions(resource));
+}
+
+// Plan stage: a destroy plan of the current workspace
+app.post('/api/resources/:id/decommission/plan', requireRole('requester'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!(await checkDecommission(req, res, resource))) return;
+  const conflict = await planStageConflict(resource);
+  if (conflict) return res.status(409).json({ error: conflict });
+  try {
+    const plan = await createSavedPlan(resource, currentWorkspaceFiles(resource),
+      { action: 'decommission', diff: computeConfigDiff(resource.resourceType, resource.config, {}), actor: req.user.actor });
+    res.json({ id: resource.id, plan });
+  } catch (e) {
+    sendPlanFailed(res, e);
+  }
+}));
+
+app.delete('/api/resources/:id', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { ticketNumber, reason, planHash } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!(await checkDecommission(req, res, resource))) return;
+  if (!planHash && requiresPlan(resource.environment, 'decommission')) return sendPlanRequired(res, resource.environment, 'decommission');
+
+  const ticketCheck = await checkTicket(ticketNumber || resource.ticketNumber);
+  await auditTicketCheck(resource.id, 'decommission', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) return sendTicketRejected(res, ticketCheck);
+
+  let saved = null;
+  if (planHash) {
+    saved = loadSavedPlan(resource, planHash, currentWorkspaceFiles(resource), 'decommission');
+    if (saved.error) return res.status(409).json({ error: saved.error });
+  }
+
+  const updated = await submitLifecycleRequest(resource, {
+    action: 'decommission',
+    requestedBy: req.user.actor,
+    ticket: ticketNumber || resource.ticketNumber,
+    reason: reason || 'Manual decommission',
+    planId: saved?.plan.id,
+    planHash: saved?.plan.hash,
+  });
+  if (!updated) return sendConcurrentModification(res);
+  if (saved) markPlanConsumed(saved);
+
+  const held = updated.status === 'pending-approval';
+  res.json({ id: resource.id, status: updated.status, planHash: saved?.plan.hash, ticket: ticketCheck.ticket, message: held ? 'Decommission is awaiting approval' : 'Decommission started' });
+}));
+
+// GET status + logs for polling
+app.get('/api/resources/:id/status', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Not found' });
+  res.json({ status: resource.status, logs: currentLogs(resource), updatedAt: resource.updatedAt, outputs: resource.outputs || {} });
+}));
+
+// POST completion callback from terraform-lifecycle.yml (HMAC-signed)
+app.post('/api/callbacks/github', asyncRoute(async (req, res) => {
+  if (!verifyCallbackSignature(req)) return res.status(401).json({ error: 'Invalid callback signature' });
+
+  const { deploymentId, dispatchId, action, runId, runUrl, result, planSummary, outputs } = req.body;
+  if (!deploymentId || !dispatchId || !['success', 'failure', 'cancelled'].includes(result))
+    return res.status(400).json({ error: 'deploymentId, dispatchId and result (success | failure | cancelled) are required' });
+
+  const callback = { runId, runUrl, result, planSummary: planSummary || null, dispatchId };
+  const error = result === 'success' ? null : new Error(`GitHub Actions run ${runId || ''} ended with ${result}${runUrl ? ` — ${runUrl}` : ''}`);
+
+  // Plan stages are not jobs — only the request waiting on them takes the
+  // result, and an adoption has no resource yet
+  if (action === 'plan') {
+    const pending = pendingDispatches.get(dispatchId);
+    if (!pending || pending.deploymentId !== deploymentId) return res.status(409).json({ error: 'No pending plan matches this callback' });
+    pendingDispatches.delete(dispatchId);
+    clearTimeout(pending.timer);
+    pending.onLog(`GitHub Actions run ${runId || ''} reported ${result}${runUrl ? ` — ${runUrl}` : ''}`);
+    error ? pending.reject(error) : pending.resolve({});
+    return res.json({ id: deploymentId, accepted: true });
+  }
+
+  const resource = await inventory.getResource(deploymentId);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+
+  if (resource.dispatch?.id !== dispatchId) {
+    await appendAuditHistory(deploymentId, 'callback', 'github-actions', { ...callback, rejected: 'No matching dispatch' }, 'failure');
+    return res.status(409).json({ error: 'No pending dispatch matches this callback' });
+  }
+  await appendAuditHistory(deploymentId, 'callback', 'github-actions', callback, result === 'success' ? 'success' : 'failure');
+
+  const parsedOutputs = parseTerraformOutputs(JSON.stringify(outputs || {}));
+
+  const pending = pendingDispatches.get(dispatchId);
+  if (pending) {
+    pendingDispatches.delete(dispatchId);
+    clearTimeout(pending.timer);
+    if (planSummary) pending.onLog(`GitHub Actions plan: ${planSummary}`);
+    pending.onLog(`GitHub Actions run ${runId || ''} reported ${result}${runUrl ? ` — ${runUrl}` : ''}`);
+    error ? pending.reject(error) : pending.resolve(parsedOutputs);
+  } else {
+    // The backend restarted while the workflow ran — finish the job here
+    const logs = [];
+    const onLog = line => logs.push(`[${new Date().toISOString()}] ${line}`);
+    onLog(`GitHub Actions run ${runId || ''} reported ${result}${runUrl ? ` — ${runUrl}` : ''}`);
+    await recordJobOutcome(deploymentId, resource.dispatch.action || action, callback, logs, onLog, { outputs: parsedOutputs, error });
+    await settleDeploymentJobs(deploymentId, error, { runUrl: runUrl || null });
+    pumpJobQueue();
+  }
+
+  res.json({ id: deploymentId, accepted: true });
+}));
+
+// POST cancel the resource's running (or queued) job
+app.post('/api/resources/:id/cancel', requireRole('requester'), asyncRoute(async (req, res) => {
+  const job = await activeJob(req.params.id);
+  if (!job && cancelLocalRun(req.params.id)) {
+    // a plan stage (saved plan, drift check, import plan) runs outside the job queue
+    await appendAuditHistory(req.params.id, 'cancel', req.user.actor, { stage: 'plan' }, 'success');
+    return res.json({ id: req.params.id, status: 'cancelling', message: 'Cancellation of the running plan requested' });
+  }
+  if (!job) return res.status(409).json({ error: 'No queued or running job for this resource' });
+  const cancelled = await cancelJob(job, req.user.actor);
+  if (cancelled.error) return res.status(409).json({ error: cancelled.error });
+  await appendAuditHistory(req.params.id, 'cancel', req.user.actor, { jobId: job.id, action: job.action, jobStatus: job.status }, 'success');
+  res.json({ id: req.params.id, jobId: job.id, status: cancelled.job.status, message: job.status === 'queued' ? 'Queued job cancelled' : 'Cancellation requested' });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// JOBS — the Terraform job queue
+// ─────────────────────────────────────────────────────────────
+// Queued jobs carry their place in the queue (1 = next to start)
+async function jobViews(jobs) {
+  const { jobs: queued } = await inventory.listJobs({ status: 'queued' });
+  const order = queued.reverse().map(j => j.id);
+  return jobs.map(({ workspaceDir, ...job }) => job.status === 'queued' ? { ...job, position: order.indexOf(job.id) + 1 } : job);
+}
+
+// GET jobs, newest first — ?status=&deploymentId=&environment=&limit=&offset=
+app.get('/api/jobs', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const { status, deploymentId, environment } = req.query;
+  if (status && !JOB_STATUSES.includes(status))
+    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  const { jobs, total } = await inventory.listJobs({ status, deploymentId, environment, ...pageParams(req.query) });
+  const { total: running } = await inventory.listJobs({ status: 'running' });
+  const { total: queued } = await inventory.listJobs({ status: 'queued' });
+  res.json({
+    jobs: await jobViews(jobs),
+    total,
+    queue: { running, queued, concurrency: CONFIG.JOB_CONCURRENCY, environmentConcurrency: CONFIG.JOB_ENV_CONCURRENCY },
+  });
+}));
+
+app.get('/api/jobs/:id', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const job = await inventory.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const [view] = await jobViews([job]);
+  res.json(view);
+}));
+
+app.post('/api/jobs/:id/cancel', requireRole('requester'), asyncRoute(async (req, res) => {
+  const job = await inventory.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const cancelled = await cancelJob(job, req.user.actor);
+  if (cancelled.error) return res.status(409).json({ error: cancelled.error });
+  await appendAuditHistory(job.deploymentId, 'cancel', req.user.actor, { jobId: job.id, action: job.action, jobStatus: job.status }, 'success');
+  const [view] = await jobViews([cancelled.job]);
+  res.json({ ...view, message: job.status === 'queued' ? 'Queued job cancelled' : 'Cancellation requested' });
+}));
+
+// GET live logs as Server-Sent Events: replays what has been logged so far,
+// then tails the running job and ends with a final `status` event
+app.get('/api/resources/:id/logs/stream', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Not found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+
+  // Event ids are line offsets, so a reconnecting EventSource resumes where it left off
+  let nextId = 0;
+  const client = {
+    send(event, data) { res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`); },
+    end(status) {
+      res.write(`event: status\ndata: ${JSON.stringify({ status, final: true })}\n\n`);
+      res.end();
+    },
+  };
+
+  const resumeFrom = Number(req.get('Last-Event-ID')) + 1 || 0;
+  for (const line of currentLogs(resource)) {
+    if (nextId < resumeFrom) { nextId++; continue; }
+    client.send('log', { line });
+  }
+
+  const stream = logStreams.get(resource.id);
+  if (!stream) return client.end(resource.status);
+
+  stream.clients.add(client);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    stream.clients.delete(client);
+  });
+}));
+
+// GET diff preview before update (plan only)
+app.post('/api/resources/:id/plan', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { config, ticketNumber, tags } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Not found' });
+  const conflict = await planStageConflict(resource);
+  if (conflict) return res.status(409).json({ error: conflict });
+
+  const validation = validateConfig(resource.resourceType, { ...resource.config, ...config });
+  if (Object.keys(validation.errors).length) return sendValidationError(res, validation.errors);
+
+  const oldConfig = resource.config;
+  const newConfig = validation.config;
+  const diff = computeConfigDiff(resource.resourceType, oldConfig, newConfig);
+  for (const [k, change] of Object.entries(diff)) {
+    diff[k] = { from: change.from ?? '(not set)', to: change.to ?? '(not set)', mode: classifyChange(resource.resourceType, k) };
+  }
+  const { forbidden, replace } = classifyDiff(resource.resourceType, diff);
+
+  // Plan with the same tags PATCH would apply, so the saved plan matches it
+  const newTags = buildTags(ticketNumber || resource.ticketNumber, resource.environment, resource.id, { ...(resource.tags || {}), ...tags });
+  const policy = evaluatePolicies({ resourceType: resource.resourceType, environment: resource.environment, config: newConfig, tags: newTags });
+  const { estimate, change: cost } = estimateCostChange(resource, newConfig);
+  const budget = await checkBudget(resource.environment, cost.to, { previousMonthly: cost.from, excludeId: resource.id });
+  let plan = null;
+  if (Object.keys(diff).length && !forbidden.length && !policy.denied) {
+    const files = generateWorkspaceFiles(resource.resourceType, newConfig, newTags, resource.id, resource.environment, templateOptions(resource));
+    try {
+      plan = await createSavedPlan(resource, files, { diff: computeConfigDiff(resource.resourceType, oldConfig, newConfig), actor: req.user.actor });
+    } catch (e) {
+      return sendPlanFailed(res, e);
+    }
+  }
+  res.json({ diff, oldConfig, newConfig, requiresReplace: replace.length > 0, forbidden, policy, cost: { ...cost, breakdown: estimate.breakdown }, budget, plan });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// REPLACE — destroy + recreate to apply immutable field changes
+// ─────────────────────────────────────────────────────────────
+app.post('/api/resources/:id/replace', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { config, ticketNumber, tags, reason, confirm } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!['deployed', 'drifted'].includes(resource.status))
+    return res.status(400).json({ error: `Cannot replace resource in status: ${resource.status}` });
+  if (!canDestroyIn(req.user, resource.environment)) return sendDestroyForbidden(res, resource.environment);
+  if (confirm !== resource.resourceName)
+    return res.status(400).json({ error: 'Replace destroys the resource — set confirm to the current resource name to proceed' });
+  const dependents = await activeDependents(resource.id);
+  if (dependents.length) return sendDependentsExist(res, 'replace', dependents);
+
+  const validation = validateConfig(resource.resourceType, { ...resource.config, ...config });
+  if (!Object.keys(validation.errors).length) Object.assign(validation.errors, await resolveReferences(resource.resourceType, validation.config));
+  if (Object.keys(validation.errors).length) return sendValidationError(res, validation.errors);
+  if (!(await dependenciesReady({ dependsOn: configDependencies(resource.resourceType, validation.config) })))
+    return res.status(409).json({ error: 'Referenced deployments must be deployed before this resource can move onto them' });
+
+  const oldConfig = resource.config;
+  const newConfig = validation.config;
+  const diff = computeConfigDiff(resource.resourceType, oldConfig, newConfig);
+  const { forbidden } = classifyDiff(resource.resourceType, diff);
+  if (forbidden.length)
+    return sendValidationError(res, Object.fromEntries(forbidden.map(k => [k, [`${k} cannot be changed after provisioning`]])));
+
+  const newTags = buildTags(ticketNumber || resource.ticketNumber, resource.environment, resource.id, { ...(resource.tags || {}), ...tags });
+  const policySubject = { resourceType: resource.resourceType, environment: resource.environment, config: newConfig, tags: newTags };
+  const policy = evaluatePolicies(policySubject);
+  await auditPolicyCheck(resource.id, 'replace', req.user.actor, policySubject, policy);
+  if (policy.denied) return sendPolicyDenied(res, policy);
+
+  const cost = estimateCostChange(resource, newConfig).change;
+  const budget = await checkBudget(resource.environment, cost.to, { previousMonthly: cost.from, excludeId: resource.id });
+  if (budget?.exceeded) return sendBudgetExceeded(res, resource.id, 'replace', req.user.actor, budget);
+
+  const ticketCheck = await checkTicket(ticketNumber || resource.ticketNumber);
+  await auditTicketCheck(resource.id, 'replace', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) return sendTicketRejected(res, ticketCheck);
+
+  const updated = await submitLifecycleRequest(resource, {
+    action: 'replace',
+    requestedBy: req.user.actor,
+    ticket: ticketNumber || resource.ticketNumber,
+    config: newConfig,
+    tags: newTags,
+    diff,
+    reason: reason || 'Immutable field change',
+    policy: policy.results,
+    cost,
+  });
+  if (!updated) return sendConcurrentModification(res);
+
+  const held = updated.status === 'pending-approval';
+  res.json({ id: resource.id, status: updated.status, diff, policy: policy.results, cost, budget, ticket: ticketCheck.ticket, message: held ? 'Replace is awaiting approval' : 'Replace started' });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// ROLLBACK — re-apply the config as it was after an earlier change
+// ─────────────────────────────────────────────────────────────
+// Change history entries that leave the resource with a config of their own
+const ROLLBACK_TARGET_ACTIONS = ['provision', 'adopt', 'update', 'replace', 'rollback'];
+const ROLLBACK_STATUSES = ['deployed', 'drifted', 'update-failed'];
+
+// Undoes the diff of every change after the target entry, newest first.
+// Returns { config, entry } or { error }.
+function configAtHistoryEntry(resource, index) {
+  const history = resource.changeHistory || [];
+  const entry = Number.isInteger(index) ? history[index] : undefined;
+  if (!entry) return { error: `historyIndex must be an index into the change history (0-${history.length - 1})` };
+  if (!ROLLBACK_TARGET_ACTIONS.includes(entry.action))
+    return { error: `Cannot roll back to a ${entry.action} entry — pick one of: ${ROLLBACK_TARGET_ACTIONS.join(', ')}` };
+  const config = { ...resource.config };
+  for (const later of history.slice(index + 1).reverse()) {
+    for (const [field, change] of Object.entries(later.diff || {})) {
+      if (change.from === undefined || change.from === null) delete config[field];
+      else config[field] = change.from;
+    }
+  }
+  return { config, entry };
+}
+
+// Demo mode keeps no state blob; every successful apply in the change
+// history stands in for the state version it would have written
+function demoStateVersions(resource) {
+  const applied = (resource.changeHistory || []).filter(c => ROLLBACK_TARGET_ACTIONS.includes(c.action));
+  return applied.reverse().map((c, i) => ({ versionId: c.timestamp, lastModified: c.timestamp, size: null, current: i === 0, action: c.action }));
+}
+
+async function stateVersions(resource) {
+  if (CONFIG.EXECUTION_MODE === 'demo') return demoStateVersions(resource);
+  return azureBlobVersions(CONFIG.TF_STATE_CONTAINER, getTfBackendConfig(resource.id).key);
+}
+
+// Runs at the start of a rollback job, before Terraform reads the state
+async function restoreStateVersion(deploymentId, { versionId, actor }, onLog) {
+  const { key } = getTfBackendConfig(deploymentId);
+  onLog(`→ Restoring state ${key} to version ${versionId}`);
+  try {
+    if (CONFIG.EXECUTION_MODE !== 'demo') {
+      const versions = await azureBlobVersions(CONFIG.TF_STATE_CONTAINER, key);
+      if (!versions) throw new Error('Azure Blob state storage is not configured');
+      if (!versions.some(v => v.versionId === versionId)) throw new Error(`State version ${versionId} not found`);
+      await azureBlobRestoreVersion(CONFIG.TF_STATE_CONTAINER, key, versionId);
+    }
+    onLog('✓ State restored');
+    await appendAuditHistory(deploymentId, 'state-restore', actor, { key, versionId }, 'success');
+  } catch (e) {
+    await appendAuditHistory(deploymentId, 'state-restore', actor, { key, versionId, error: e.message }, 'failure');
+    throw new Error(`State restore failed: ${e.message}`);
+  }
+}
+
+// GET the tfstate blob's versions, newest first (admin — they pick one to restore)
+app.get('/api/resources/:id/state/versions', requireRole('admin'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  try {
+    const versions = await stateVersions(resource);
+    if (!versions) return res.status(501).json({ error: 'Azure Blob state storage is not configured' });
+    res.json({ key: getTfBackendConfig(resource.id).key, container: CONFIG.TF_STATE_CONTAINER, versions });
+  } catch (e) {
+    res.status(502).json({ error: `Listing state versions failed: ${e.message}` });
+  }
+}));
+
+// POST { historyIndex, preview?, planHash?, stateVersionId?, ticketNumber?, reason?, confirm? }.
+// preview returns the diff, checks and a saved plan without changing anything;
+// stateVersionId (admin) first restores that tfstate version, for when the
+// state itself is what went wrong.
+app.post('/api/resources/:id/rollback', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { historyIndex, preview, planHash, stateVersionId, ticketNumber, reason, confirm } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!ROLLBACK_STATUSES.includes(resource.status))
+    return res.status(400).json({ error: `Cannot roll back resource in status: ${resource.status}` });
+  if (stateVersionId && !hasRole(req.user, 'admin'))
+    return res.status(403).json({ error: 'Restoring a state version requires the admin role' });
+  if (stateVersionId && planHash)
+    return res.status(400).json({ error: 'A saved plan was made against the current state — drop planHash when restoring a state version' });
+
+  const target = configAtHistoryEntry(resource, typeof historyIndex === 'string' && historyIndex !== '' ? Number(historyIndex) : historyIndex);
+  if (target.error) return res.status(400).json({ error: target.error });
+  const rollbackTo = { historyIndex: Number(historyIndex), action: target.entry.action, timestamp: target.entry.timestamp };
+
+  // the target may predate schema changes or reference a deployment that has since gone
+  const validation = validateConfig(resource.resourceType, target.config);
+  if (!Object.keys(validation.errors).length) Object.assign(validation.errors, await resolveReferences(resource.resourceType, validation.config));
+  if (Object.keys(validation.errors).length) return sendValidationError(res, validation.errors);
 
-  const inv = await readInventory();
-  inv.resources.push(inventoryEntry);
-  await writeInventory(inv);
+  const oldConfig = resource.config;
+  const newConfig = validation.config;
+  const diff = computeConfigDiff(resource.resourceType, oldConfig, newConfig);
+  if (!Object.keys(diff).length && !stateVersionId)
+    return res.status(400).json({ error: 'The configuration already matches that entry' });
 
-  res.json({ deploymentId, status: 'provisioning', message: 'Provisioning started' });
+  const { forbidden, replace } = classifyDiff(resource.resourceType, diff);
+  if (forbidden.length)
+    return sendValidationError(res, Object.fromEntries(forbidden.map(k => [k, [`${k} cannot be changed after provisioning`]])));
+  if (replace.length && !canDestroyIn(req.user, resource.environment)) return sendDestroyForbidden(res, resource.environment);
 
-  // Run async
-  runDeploymentJob(deploymentId, workspaceDir, 'provision', config);
-});
+  const newTags = buildTags(ticketNumber || resource.ticketNumber, resource.environment, resource.id, resource.tags);
+  const policySubject = { resourceType: resource.resourceType, environment: resource.environment, config: newConfig, tags: newTags };
+  const policy = evaluatePolicies(policySubject);
+  const { estimate, change: cost } = estimateCostChange(resource, newConfig);
+  const budget = await checkBudget(resource.environment, cost.to, { previousMonthly: cost.from, excludeId: resource.id });
+  const files = generateWorkspaceFiles(resource.resourceType, newConfig, newTags, resource.id, resource.environment, templateOptions(resource));
 
-// ─────────────────────────────────────────────────────────────
-// UPDATE — modify existing resource (terraform apply with new config)
-// ─────────────────────────────────────────────────────────────
-app.patch('/api/resources/:id', async (req, res) => {
-  const { config, ticketNumber, tags, requestedBy } = req.body;
-  const inv = await readInventory();
-  const resource = inv.resources.find(r => r.id === req.params.id);
-  if (!resource) return res.status(404).json({ error: 'Resource not found' });
-  if (!['deployed'].includes(resource.status))
-    return res.status(400).json({ error: `Cannot update resource in status: ${resource.status}` });
+  if (preview) {
+    const shown = Object.fromEntries(Object.entries(diff).map(([k, change]) =>
+      [k, { from: change.from ?? '(not set)', to: change.to ?? '(not set)', mode: classifyChange(resource.resourceType, k) }]));
+    let plan = null;
+    if (Object.keys(diff).length && !policy.denied && !stateVersionId) {
+      const conflict = await planStageConflict(resource);
+      if (conflict) return res.status(409).json({ error: conflict });
+      try {
+        plan = await createSavedPlan(resource, files, { action: 'rollback', diff, actor: req.user.actor });
+      } catch (e) {
+        return sendPlanFailed(res, e);
+      }
+    }
+    return res.json({ rollbackTo, diff: shown, oldConfig, newConfig, requiresReplace: replace.length > 0, policy, cost: { ...cost, breakdown: estimate.breakdown }, budget, plan });
+  }
 
-  // Compute diff
-  const oldConfig = resource.config;
-  const newConfig = { ...oldConfig, ...config };
-  const diff = {};
-  for (const [k, v] of Object.entries(newConfig)) {
-    if (oldConfig[k] !== v) diff[k] = { from: oldConfig[k], to: v };
+  if (replace.length) {
+    if (confirm !== resource.resourceName)
+      return res.status(400).json({ error: `Rolling back ${replace.join(', ')} destroys the resource — set confirm to the current resource name to proceed` });
+    const dependents = await activeDependents(resource.id);
+    if (dependents.length) return sendDependentsExist(res, 'roll back', dependents);
   }
+  if (!(await dependenciesReady({ dependsOn: configDependencies(resource.resourceType, newConfig) })))
+    return res.status(409).json({ error: 'Referenced deployments must be deployed before rolling back onto them' });
 
-  if (Object.keys(diff).length === 0)
-    return res.status(400).json({ error: 'No changes detected' });
+  await auditPolicyCheck(resource.id, 'rollback', req.user.actor, policySubject, policy);
+  if (policy.denied) return sendPolicyDenied(res, policy);
+  if (budget?.exceeded) return sendBudgetExceeded(res, resource.id, 'rollback', req.user.actor, budget);
 
-  // Update inventory entry
-  resource.config = newConfig;
-  resource.tags = buildTags(ticketNumber || resource.ticketNumber, resource.environment, resource.id, { ...(resource.tags || {}), ...tags });
-  resource.status = 'updating';
-  resource.updatedAt = new Date().toISOString();
-  if (!resource.changeHistory) resource.changeHistory = [];
-  resource.changeHistory.push({
-    action: 'update',
-    timestamp: new Date().toISOString(),
-    actor: requestedBy || 'unknown',
+  const ticketCheck = await checkTicket(ticketNumber || resource.ticketNumber);
+  await auditTicketCheck(resource.id, 'rollback', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) return sendTicketRejected(res, ticketCheck);
+
+  let saved = null;
+  if (planHash) {
+    saved = loadSavedPlan(resource, planHash, files, 'rollback');
+    if (saved.error) return res.status(409).json({ error: saved.error });
+  }
+
+  const updated = await submitLifecycleRequest(resource, {
+    action: 'rollback',
+    requestedBy: req.user.actor,
     ticket: ticketNumber || resource.ticketNumber,
+    config: newConfig,
+    tags: newTags,
     diff,
+    reason: reason || `Roll back to ${target.entry.action} of ${target.entry.timestamp}`,
+    planId: saved?.plan.id,
+    planHash: saved?.plan.hash,
+    policy: policy.results,
+    cost,
+    rollbackTo,
+    ...(stateVersionId && { stateVersionId }),
   });
-  await writeInventory(inv);
+  if (!updated) return sendConcurrentModification(res);
+  if (saved) markPlanConsumed(saved);
 
-  // Regenerate Terraform files
-  const allTags = resource.tags;
-  const workspaceDir = resource.workspaceDir || path.join(CONFIG.DEPLOYMENTS_DIR, resource.id);
-  fs.mkdirSync(workspaceDir, { recursive: true });
-  fs.writeFileSync(path.join(workspaceDir, 'main.tf'),      generateMainTf(resource.resourceType, newConfig, allTags, resource.id, resource.environment));
-  fs.writeFileSync(path.join(workspaceDir, 'variables.tf'), generateVariablesTf(resource.resourceType));
-  fs.writeFileSync(path.join(workspaceDir, 'outputs.tf'),   generateOutputsTf(resource.resourceType));
+  const held = updated.status === 'pending-approval';
+  res.json({ id: resource.id, status: updated.status, rollbackTo, diff, planHash: saved?.plan.hash, stateVersionId, policy: policy.results, cost, budget, ticket: ticketCheck.ticket, message: held ? 'Rollback is awaiting approval' : 'Rollback started' });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// RECOVERY — interrupted jobs, retry, force-unlock and orphan cleanup
+// ─────────────────────────────────────────────────────────────
+// Statuses a failed job leaves behind; admins can retry or clean up from here
+const RECOVERABLE_STATUSES = [...new Set(Object.values(FAILED_STATUS))];
+const RECOVERY_ACTOR = 'system:recovery';
 
-  res.json({ id: resource.id, status: 'updating', diff, message: 'Update started' });
+// The job that left the resource where it is. Resources that failed before
+// failedJob was recorded fall back to their last lifecycle history entry.
+function failedJobAction(resource) {
+  if (resource.failedJob) return resource.failedJob.action;
+  const entry = (resource.changeHistory || []).filter(c => IN_PROGRESS_STATUS[c.job || c.action]).pop();
+  return entry && (entry.job || entry.action);
+}
 
-  runDeploymentJob(resource.id, workspaceDir, 'update', diff);
-});
+// Marks one in-progress resource as failed when no job is left to finish it
+async function markInterrupted(resource, action) {
+  const error = `${action} was interrupted — the backend stopped before the job finished`;
+  const failed = await inventory.updateResource(resource.id, r => {
+    r.status = FAILED_STATUS[action];
+    r.updatedAt = new Date().toISOString();
+    r.failedJob = { action, error, at: r.updatedAt, interrupted: true };
+    r.logs = [...(r.logs || []), `[${r.updatedAt}] ✗ ${error}`];
+    delete r.dispatch;
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!failed) return;
+  await settleDeploymentJobs(resource.id, new Error(error), { interrupted: true });
+  console.warn(`Recovery: ${resource.id} (${resource.resourceName}) ${resource.status} → ${failed.status}`);
+  await appendAuditHistory(resource.id, 'job-interrupted', RECOVERY_ACTOR, { action, previousStatus: resource.status }, 'failure');
+  notify(`resource.${failed.status}`, failed, RECOVERY_ACTOR, { action, error });
+  if (action === 'provision') await settleDependents(failed);
+}
+
+// Runs once at startup. Local and demo jobs die with the process, so anything
+// still running is marked failed; a GitHub Actions run may still call back,
+// so it gets until CALLBACK_TIMEOUT_MS after its dispatch. Queued jobs are
+// left for the queue, and waiting provisions whose dependencies finished
+// meanwhile are started.
+async function recoverInterruptedJobs() {
+  const inProgress = Object.entries(IN_PROGRESS_STATUS);
+  // the process stopped after recording the outcome but before settling the job
+  const { jobs: running } = await inventory.listJobs({ status: 'running' });
+  const runningFor = new Set();
+  for (const job of running) {
+    const resource = await inventory.getResource(job.deploymentId);
+    if (inProgress.some(([, status]) => status === resource?.status)) runningFor.add(job.deploymentId);
+    else await settleJob(job.id, resource?.failedJob && new Error(resource.failedJob.error));
+  }
+  const { jobs: queued } = await inventory.listJobs({ status: 'queued' });
+  const queuedFor = new Set(queued.map(j => j.deploymentId));
+
+  const { resources } = await inventory.listResources();
+  for (const summary of resources) {
+    const resource = await inventory.getResource(summary.id);
+    if (queuedFor.has(resource.id) && !runningFor.has(resource.id)) continue;
+    if (resource.status === 'waiting') {
+      await startWhenReady(resource);
+      continue;
+    }
+    const action = inProgress.find(([, status]) => status === resource.status)?.[0];
+    if (!action) continue;
+    const remaining = resource.dispatch ? Date.parse(resource.dispatch.dispatchedAt) + CONFIG.CALLBACK_TIMEOUT_MS - Date.now() : 0;
+    if (remaining <= 0) {
+      await markInterrupted(resource, action);
+      continue;
+    }
+    const dispatchId = resource.dispatch.id;
+    setTimeout(async () => {
+      const current = await inventory.getResource(resource.id);
+      if (current?.dispatch?.id === dispatchId && current.status === resource.status) await markInterrupted(current, action);
+    }, remaining).unref();
+  }
+  await pumpJobQueue();
+}
+
+function workspaceFor(resource) {
+  return resource.workspaceDir || path.join(CONFIG.DEPLOYMENTS_DIR, resource.id);
+}
+
+// Retry and cleanup apply a saved plan of the current config like every other
+// lifecycle change, so PLAN_POLICY environments still get a hashed plan. A
+// replace destroys before it plans — there is no single plan to save.
+async function recoveryPlan(resource, action, actor) {
+  if (action === 'replace') return null;
+  const diff = action === 'provision' ? computeConfigDiff(resource.resourceType, {}, resource.config)
+    : action === 'decommission' ? computeConfigDiff(resource.resourceType, resource.config, {})
+    : {};
+  return createSavedPlan(resource, currentWorkspaceFiles(resource), { action, diff, actor });
+}
+
+function savedPlanOptions(plan) {
+  return plan ? { planId: plan.id, planHash: plan.hash } : {};
+}
+
+// once its job is queued — unless a newer plan stage replaced it meanwhile
+function consumeRecoveryPlan(resource, plan) {
+  const saved = plan && latestSavedPlan(resource.id);
+  if (saved?.plan.id === plan.id) markPlanConsumed(saved);
+}
+
+// POST re-run the job that failed or was interrupted, with the current config
+app.post('/api/resources/:id/retry', requireRole('admin'), asyncRoute(async (req, res) => {
+  const { reason } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!RECOVERABLE_STATUSES.includes(resource.status))
+    return res.status(400).json({ error: `Nothing to retry in status: ${resource.status}` });
+  const action = failedJobAction(resource);
+  if (!action) return res.status(409).json({ error: 'Cannot tell which job failed for this resource' });
+  if (action === 'adopt')
+    return res.status(409).json({ error: 'Adoption plans are not retried — adopt the Azure resource again instead' });
+  if (action === 'provision' && !(await dependenciesReady(resource)))
+    return res.status(409).json({ error: 'Referenced deployments must be deployed before the provision can be retried' });
+  const conflict = await planStageConflict(resource);
+  if (conflict) return res.status(409).json({ error: conflict });
+
+  let plan;
+  try {
+    plan = await recoveryPlan(resource, action, req.user.actor);
+  } catch (e) {
+    return sendPlanFailed(res, e);
+  }
+
+  const updated = await inventory.updateResource(resource.id, r => {
+    r.status = IN_PROGRESS_STATUS[action];
+    r.updatedAt = new Date().toISOString();
+    r.changeHistory = [...(r.changeHistory || []), {
+      action: 'retry',
+      job: action,
+      timestamp: r.updatedAt,
+      actor: req.user.actor,
+      ticket: r.ticketNumber,
+      reason: reason || `Retry of ${resource.failedJob?.interrupted ? 'interrupted' : 'failed'} ${action}`,
+      ...savedPlanOptions(plan),
+    }];
+    delete r.failedJob;
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!updated) return sendConcurrentModification(res);
+  await appendAuditHistory(resource.id, 'retry', req.user.actor, { action, previousStatus: resource.status, failedJob: resource.failedJob, ...savedPlanOptions(plan) }, 'success');
+
+  const workspaceDir = workspaceFor(updated);
+  writeWorkspace(workspaceDir, currentWorkspaceFiles(updated));
+  await queueDeploymentJob(updated, workspaceDir, action, { retry: true, reason: reason || null }, savedPlanOptions(plan), req.user.actor);
+  consumeRecoveryPlan(resource, plan);
+  res.json({ id: resource.id, status: updated.status, action, planHash: plan?.hash, message: `Retrying ${action}` });
+}));
+
+// POST break the lease on the resource's state blob — the state lock a killed
+// Terraform run never released
+app.post('/api/resources/:id/force-unlock', requireRole('admin'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (Object.values(IN_PROGRESS_STATUS).includes(resource.status) || localRuns.has(resource.id))
+    return res.status(409).json({ error: `A job is still running for this resource (${resource.status}) — cancel it or wait for it to finish` });
+
+  const { key } = getTfBackendConfig(resource.id);
+  let lease;
+  try {
+    lease = CONFIG.EXECUTION_MODE === 'demo' ? { leaseState: 'leased', broken: true, simulated: true } : await azureBlobBreakLease(CONFIG.TF_STATE_CONTAINER, key);
+  } catch (e) {
+    await appendAuditHistory(resource.id, 'force-unlock', req.user.actor, { key, error: e.message }, 'failure');
+    return res.status(502).json({ error: `Breaking the state lease failed: ${e.message}` });
+  }
+  if (!lease) return res.status(501).json({ error: 'Azure Blob state storage is not configured' });
+  await appendAuditHistory(resource.id, 'force-unlock', req.user.actor, { key, ...lease }, 'success');
+  res.json({ id: resource.id, key, ...lease, message: lease.broken ? `State lock on ${key} released` : `${key} was not locked (${lease.leaseState})` });
+}));
+
+// POST destroy whatever a failed or interrupted job left in the resource's
+// state and mark it decommissioned. A failed adoption owns nothing in Azure,
+// so it is only released from the inventory.
+app.post('/api/resources/:id/cleanup', requireRole('admin'), asyncRoute(async (req, res) => {
+  const { reason } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!RECOVERABLE_STATUSES.includes(resource.status))
+    return res.status(400).json({ error: `Only failed resources can be cleaned up (status: ${resource.status}) — decommission it instead` });
+  const dependents = await activeDependents(resource.id);
+  if (dependents.length) return sendDependentsExist(res, 'clean up', dependents);
+  const conflict = await planStageConflict(resource);
+  if (conflict) return res.status(409).json({ error: conflict });
+
+  const destroy = resource.status !== 'adopt-failed';
+  let plan = null;
+  if (destroy) {
+    try {
+      plan = await recoveryPlan(resource, 'decommission', req.user.actor);
+    } catch (e) {
+      return sendPlanFailed(res, e);
+    }
+  }
+  const updated = await inventory.updateResource(resource.id, r => {
+    r.updatedAt = new Date().toISOString();
+    r.status = destroy ? IN_PROGRESS_STATUS.decommission : 'decommissioned';
+    if (!destroy) r.decommissionedAt = r.updatedAt;
+    r.changeHistory = [...(r.changeHistory || []), {
+      action: 'cleanup',
+      ...(destroy && { job: 'decommission' }),
+      timestamp: r.updatedAt,
+      actor: req.user.actor,
+      ticket: r.ticketNumber,
+      reason: reason || (destroy ? `Clean up after ${resource.status}` : 'Released from the inventory after a failed adoption'),
+      ...savedPlanOptions(plan),
+    }];
+    delete r.failedJob;
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!updated) return sendConcurrentModification(res);
+  await appendAuditHistory(resource.id, 'cleanup', req.user.actor, { previousStatus: resource.status, destroy, failedJob: resource.failedJob, ...savedPlanOptions(plan) }, 'success');
+
+  if (destroy) {
+    await queueDeploymentJob(updated, workspaceFor(updated), 'decommission', { cleanup: true, reason: reason || null }, savedPlanOptions(plan), req.user.actor);
+    consumeRecoveryPlan(resource, plan);
+  } else {
+    await deleteDeploymentSecrets(updated.id, updated.resourceType, req.user.actor);
+    notify('resource.decommissioned', updated, req.user.actor, { action: 'cleanup' });
+  }
+  res.json({ id: resource.id, status: updated.status, planHash: plan?.hash, message: destroy ? 'Cleanup started' : 'Released from the inventory' });
+}));
 
 // ─────────────────────────────────────────────────────────────
-// DECOMMISSION — terraform destroy + mark in inventory
+// DRIFT — check now, reconcile, and demo-mode drift injection
 // ─────────────────────────────────────────────────────────────
-app.delete('/api/resources/:id', async (req, res) => {
-  const { ticketNumber, requestedBy, reason } = req.body;
-  const inv = await readInventory();
-  const resource = inv.resources.find(r => r.id === req.params.id);
+app.post('/api/resources/:id/drift/check', requireRole('requester'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
   if (!resource) return res.status(404).json({ error: 'Resource not found' });
-  if (['decommissioning', 'decommissioned'].includes(resource.status))
-    return res.status(400).json({ error: `Already ${resource.status}` });
+  if (!DRIFT_CHECK_STATUSES.includes(resource.status))
+    return res.status(400).json({ error: `Cannot check drift in status: ${resource.status}` });
+  const updated = await checkDrift(resource);
+  if (!updated) return sendConcurrentModification(res);
+  res.json({ id: resource.id, status: updated.status, drift: updated.drift });
+}));
 
-  resource.status = 'decommissioning';
-  resource.updatedAt = new Date().toISOString();
-  if (!resource.changeHistory) resource.changeHistory = [];
-  resource.changeHistory.push({
-    action: 'decommission',
-    timestamp: new Date().toISOString(),
-    actor: requestedBy || 'unknown',
+// Re-applies the portal's recorded config over whatever changed in Azure
+app.post('/api/resources/:id/reconcile', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { ticketNumber, reason } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!['drifted', 'reconcile-failed'].includes(resource.status))
+    return res.status(400).json({ error: `Nothing to reconcile in status: ${resource.status}` });
+
+  const ticketCheck = await checkTicket(ticketNumber || resource.ticketNumber);
+  await auditTicketCheck(resource.id, 'reconcile', req.user.actor, ticketCheck);
+  if (ticketCheck.blocked) return sendTicketRejected(res, ticketCheck);
+
+  const updated = await submitLifecycleRequest(resource, {
+    action: 'reconcile',
+    requestedBy: req.user.actor,
     ticket: ticketNumber || resource.ticketNumber,
-    reason: reason || 'Manual decommission',
+    reason: reason || 'Reconcile drift',
+    drift: (resource.drift?.changes || []).flatMap(c => Object.keys(c.attributes).map(a => `${c.address}.${a}`)),
   });
-  await writeInventory(inv);
+  if (!updated) return sendConcurrentModification(res);
 
-  res.json({ id: resource.id, status: 'decommissioning', message: 'Decommission started' });
+  const held = updated.status === 'pending-approval';
+  res.json({ id: resource.id, status: updated.status, ticket: ticketCheck.ticket, message: held ? 'Reconcile is awaiting approval' : 'Reconcile started' });
+}));
 
-  runDeploymentJob(resource.id, resource.workspaceDir || path.join(CONFIG.DEPLOYMENTS_DIR, resource.id), 'decommission', { reason });
+// Demo mode only: pretend someone changed a field in the Azure portal, then check
+app.post('/api/resources/:id/drift/inject', requireRole('admin'), asyncRoute(async (req, res) => {
+  if (CONFIG.EXECUTION_MODE !== 'demo') return res.status(404).json({ error: 'Drift injection is only available in demo execution mode' });
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!DRIFT_CHECK_STATUSES.includes(resource.status))
+    return res.status(400).json({ error: `Cannot inject drift in status: ${resource.status}` });
+
+  const candidates = Object.keys(PLAN_ATTRIBUTES[resource.resourceType] || {}).filter(f => !['name', 'location'].includes(f));
+  const field = req.body.field || candidates[Math.floor(Math.random() * candidates.length)];
+  if (!candidates.includes(field)) return res.status(400).json({ error: `field must be one of: ${candidates.join(', ')}` });
+  const current = resource.config[field];
+  const value = req.body.value ?? (current !== undefined && current !== '' && isFinite(current) ? Number(current) + 1 : 'changed-outside-terraform');
+
+  const injected = await inventory.updateResource(resource.id, r => { r.demoDrift = { ...(r.demoDrift || {}), [field]: value }; },
+    { ifUpdatedAt: resource.updatedAt });
+  if (!injected) return sendConcurrentModification(res);
+  await appendAuditHistory(resource.id, 'drift-injected', req.user.actor, { field, value }, 'success');
+
+  const updated = await checkDrift(injected);
+  res.json({ id: resource.id, field, value, status: updated?.status, drift: updated?.drift });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// LEASES — policy and extensions
+// ─────────────────────────────────────────────────────────────
+app.get('/api/leases/policy', requireRole('viewer'), (req, res) => {
+  res.json({ environments: CONFIG.TTL_POLICY, warningHours: CONFIG.TTL_WARNING_HOURS });
 });
 
-// GET status + logs for polling
-app.get('/api/resources/:id/status', async (req, res) => {
+// POST extend a lease by `hours` (or to `expiresAt`) — the resource's
+// requester or an admin, never beyond the environment's maxHours from now
+app.post('/api/resources/:id/lease/extend', requireRole('requester'), asyncRoute(async (req, res) => {
+  const { hours, expiresAt } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  if (!resource.expiresAt) return res.status(400).json({ error: 'This resource has no lease' });
+  if (['decommissioning', 'decommissioned', 'rejected'].includes(resource.status))
+    return res.status(400).json({ error: `Cannot extend a lease in status: ${resource.status}` });
+  if (resource.requestedBy !== req.user.actor && !hasRole(req.user, 'admin'))
+    return res.status(403).json({ error: 'Only the requester of this resource or an admin can extend its lease' });
+  if (!expiresAt && !(Number(hours) > 0)) return res.status(400).json({ error: 'hours (positive) or expiresAt is required' });
+
+  const from = Math.max(Date.parse(resource.expiresAt), Date.now());
+  const target = expiresAt || new Date(from + Number(hours) * HOUR_MS).toISOString();
+  if (Date.parse(target) <= Date.parse(resource.expiresAt))
+    return res.status(400).json({ error: 'The new expiry must be later than the current one' });
+  const lease = leaseExpiry(resource.environment, { expiresAt: target });
+  if (lease.error) return res.status(422).json({ error: lease.error, maxHours: CONFIG.TTL_POLICY[resource.environment]?.maxHours });
+
+  const updated = await inventory.updateResource(resource.id, r => {
+    r.expiresAt = lease.expiresAt;
+    r.leaseWarningsSent = [];
+    if (!r.changeHistory) r.changeHistory = [];
+    r.changeHistory.push({
+      action: 'extend-lease',
+      timestamp: new Date().toISOString(),
+      actor: req.user.actor,
+      ticket: r.ticketNumber,
+      reason: `Lease extended from ${resource.expiresAt} to ${lease.expiresAt}`,
+    });
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!updated) return sendConcurrentModification(res);
+  await appendAuditHistory(resource.id, 'lease-extend', req.user.actor, { from: resource.expiresAt, to: lease.expiresAt }, 'success');
+
+  res.json({ id: resource.id, expiresAt: updated.expiresAt, message: `Lease extended to ${updated.expiresAt}` });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// SECRETS — retrieve and rotate a deployment's SSH key / SQL password
+// ─────────────────────────────────────────────────────────────
+const ROTATABLE_STATUSES = ['deployed', 'drifted'];
+
+// Metadata only — the values come from the audited endpoint below
+app.get('/api/resources/:id/secrets', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  const secrets = [];
+  for (const def of RESOURCE_SECRETS[resource.resourceType] || []) {
+    const stored = await secretStore.get(secretKey(resource.id, def));
+    secrets.push({
+      name: def.name, label: def.label, variable: def.variable,
+      version: stored?.version || null, createdAt: stored?.createdAt || null,
+      generated: stored ? stored.record.generated : null, hasPrivateKey: Boolean(stored?.record.privateKey),
+    });
+  }
+  res.json({ store: secretStore.name, secrets });
+}));
+
+// GET a secret's value (and private key) — the resource's requester or an admin
+app.get('/api/resources/:id/secrets/:name', requireRole('requester'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  const def = (RESOURCE_SECRETS[resource.resourceType] || []).find(d => d.name === req.params.name);
+  if (!def) return res.status(404).json({ error: `${resource.resourceType} deployments have no secret ${req.params.name}` });
+  if (resource.requestedBy !== req.user.actor && !hasRole(req.user, 'admin'))
+    return res.status(403).json({ error: 'Only the requester of this resource or an admin can retrieve its secrets' });
+  const stored = await secretStore.get(secretKey(resource.id, def));
+  if (!stored) return res.status(404).json({ error: `No ${def.label} is stored for this resource` });
+
+  await appendAuditHistory(resource.id, 'secret-read', req.user.actor, { secret: def.name, version: stored.version }, 'success');
+  res.set('Cache-Control', 'no-store');
+  res.json({ name: def.name, label: def.label, version: stored.version, createdAt: stored.createdAt, value: stored.record.value, privateKey: stored.record.privateKey || null });
+}));
+
+// Shared checks of the rotate routes; sends the error response and returns
+// null, else the secret definition
+async function checkRotation(req, res, resource) {
+  const def = (RESOURCE_SECRETS[resource.resourceType] || []).find(d => d.name === req.params.name);
+  if (!def) return void res.status(404).json({ error: `${resource.resourceType} deployments have no secret ${req.params.name}` });
+  if (!ROTATABLE_STATUSES.includes(resource.status))
+    return void res.status(400).json({ error: `Cannot rotate secrets in status: ${resource.status}` });
+  if (req.body.value !== undefined) {
+    const errors = secretInputErrors(resource.resourceType, { [def.input]: req.body.value });
+    if (Object.keys(errors).length) return void sendValidationError(res, errors);
+  }
+  if (resource.resourceType === 'vm') {
+    // a new SSH key recreates the VM, like a replace
+    if (!canDestroyIn(req.user, resource.environment)) return void sendDestroyForbidden(res, resource.environment);
+    const dependents = await activeDependents(resource.id);
+    if (dependents.length) return void sendDependentsExist(res, 'rotate the SSH key', dependents);
+  }
+  return def;
+}
+
+// Stores the new version (`value`, or generated) under the staged key; the
+// rotate job makes it the deployment's secret once the request has started
+async function stageSecret(resource, def, value, actor) {
+  const record = value ? { value, generated: false } : { ...(await def.generate()), generated: true };
+  const staged = await secretStore.put(stagedSecretKey(resource.id, def), record);
+  await appendAuditHistory(resource.id, 'secret-stage', actor, { secret: def.name, store: secretStore.name, version: staged.version, generated: record.generated }, 'success');
+  return staged;
+}
+
+// Plan stage: stages a new version and plans the update with it
+app.post('/api/resources/:id/secrets/:name/rotate/plan', requireRole('admin'), asyncRoute(async (req, res) => {
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  const def = await checkRotation(req, res, resource);
+  if (!def) return;
+  const conflict = await planStageConflict(resource);
+  if (conflict) return res.status(409).json({ error: conflict });
+
+  let staged;
   try {
-    const inv = await readInventory();
-    const resource = inv.resources.find(r => r.id === req.params.id);
-    if (!resource) return res.status(404).json({ error: 'Not found' });
-    res.json({ status: resource.status, logs: resource.logs || [], updatedAt: resource.updatedAt, outputs: resource.outputs || {} });
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
+    staged = await stageSecret(resource, def, req.body.value, req.user.actor);
+  } catch (e) {
+    return res.status(502).json({ error: `Could not store the new ${def.label}: ${e.message}` });
+  }
+  try {
+    const plan = await createSavedPlan(resource, currentWorkspaceFiles(resource), {
+      action: 'rotate-secret',
+      secret: { name: def.name, key: stagedSecretKey(resource.id, def), version: staged.version },
+      actor: req.user.actor,
+    });
+    res.json({ id: resource.id, secret: { name: def.name, version: staged.version, createdAt: staged.createdAt }, plan });
+  } catch (e) {
+    sendPlanFailed(res, e);
+  }
+}));
 
-// GET diff preview before update (plan only)
-app.post('/api/resources/:id/plan', async (req, res) => {
-  const { config } = req.body;
-  const inv = await readInventory();
-  const resource = inv.resources.find(r => r.id === req.params.id);
-  if (!resource) return res.status(404).json({ error: 'Not found' });
+// POST apply a new version as an update request — approvals and PLAN_POLICY
+// as for any update. With planHash it applies the version the plan stage
+// staged; without, it stages one (`value`, or generated). A new SSH key
+// recreates the VM, so that needs confirm.
+app.post('/api/resources/:id/secrets/:name/rotate', requireRole('admin'), asyncRoute(async (req, res) => {
+  const { value, confirm, reason, planHash } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  const def = await checkRotation(req, res, resource);
+  if (!def) return;
+  if (resource.resourceType === 'vm' && confirm !== resource.resourceName)
+    return res.status(400).json({ error: 'A new SSH key recreates the VM — set confirm to the resource name to proceed' });
+  if (!planHash && requiresPlan(resource.environment, 'update')) return sendPlanRequired(res, resource.environment, 'update');
 
-  const oldConfig = resource.config;
-  const newConfig = { ...oldConfig, ...config };
-  const diff = {};
-  for (const [k, v] of Object.entries(newConfig)) {
-    if (oldConfig[k] !== v) diff[k] = { from: oldConfig[k] ?? '(not set)', to: v };
+  let saved = null, staged;
+  if (planHash) {
+    saved = loadSavedPlan(resource, planHash, currentWorkspaceFiles(resource), 'rotate-secret');
+    if (saved.error) return res.status(409).json({ error: saved.error });
+    if (saved.plan.secret?.name !== def.name) return res.status(409).json({ error: `That plan rotates ${saved.plan.secret?.name}, not ${def.name} — run the plan again` });
+    staged = await secretStore.get(stagedSecretKey(resource.id, def));
+    if (staged?.version !== saved.plan.secret.version)
+      return res.status(409).json({ error: `The staged ${def.label} changed since the plan was made — run the plan again` });
+  } else {
+    try {
+      staged = await stageSecret(resource, def, value, req.user.actor);
+    } catch (e) {
+      return res.status(502).json({ error: `Could not store the new ${def.label}: ${e.message}` });
+    }
   }
-  res.json({ diff, oldConfig, newConfig });
+
+  // a lost race leaves the new version staged only — it is never applied
+  const updated = await submitLifecycleRequest(resource, {
+    action: 'update',
+    requestedBy: req.user.actor,
+    ticket: resource.ticketNumber,
+    reason: reason || `${def.label} rotated`,
+    secret: { name: def.name, version: staged.version },
+    planId: saved?.plan.id,
+    planHash: saved?.plan.hash,
+  });
+  if (!updated) return sendConcurrentModification(res);
+  if (saved) markPlanConsumed(saved);
+
+  const held = updated.status === 'pending-approval';
+  res.json({
+    id: resource.id, status: updated.status, planHash: saved?.plan.hash,
+    secret: { name: def.name, version: staged.version, createdAt: staged.createdAt },
+    message: held ? `${def.label} rotation is awaiting approval` : `${def.label} rotation started`,
+  });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// APPROVALS — review, approve or reject held requests
+// ─────────────────────────────────────────────────────────────
+function heldPlanView(resource) {
+  const saved = heldPlan(resource);
+  if (!saved) return { hash: resource.pendingRequest.planHash, missing: true };
+  return { ...saved.plan, expiresAt: saved.expiresAt, text: saved.text, expired: Date.parse(saved.expiresAt) < Date.now() };
+}
+
+app.get('/api/approvals', requireRole('viewer'), asyncRoute(async (req, res) => {
+  const { resources } = await inventory.listResources({ status: 'pending-approval' });
+  const approvals = resources.filter(r => r.pendingRequest).map(r => ({
+    id:           r.id,
+    resourceType: r.resourceType,
+    resourceName: r.resourceName,
+    environment:  r.environment,
+    ticketNumber: r.ticketNumber,
+    config:       r.config,
+    cost:         r.cost,
+    request:      r.pendingRequest,
+    terraform:    generateMainTf(r.resourceType, r.pendingRequest.config || r.config, r.pendingRequest.tags || r.tags, r.id, r.environment, templateOptions(r)),
+    plan:         r.pendingRequest.planHash ? heldPlanView(r) : undefined,
+    canApprove:   hasRole(req.user, 'approver') && r.pendingRequest.requestedBy !== req.user.actor,
+  }));
+  res.json({ approvals });
+}));
+
+app.post('/api/resources/:id/approve', requireRole('approver'), asyncRoute(async (req, res) => {
+  const { comment } = req.body;
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  const request = resource.pendingRequest;
+  if (resource.status !== 'pending-approval' || !request)
+    return res.status(400).json({ error: 'Nothing is awaiting approval for this resource' });
+  if (request.requestedBy === req.user.actor)
+    return res.status(403).json({ error: 'You cannot approve your own request' });
+  const planError = request.planHash && heldPlanError(resource);
+  if (planError) return res.status(409).json({ error: planError });
+
+  const approval = { by: req.user.actor, comment: comment || '', at: new Date().toISOString() };
+  const updated = await startLifecycleRequest(resource, request, approval);
+  if (!updated) return sendConcurrentModification(res);
+  await appendAuditHistory(resource.id, 'approve', req.user.actor,
+    { action: request.action, requestId: request.id, requestedBy: request.requestedBy, comment: approval.comment }, 'success');
+  notify('request.approved', updated, req.user.actor, { action: request.action, requestedBy: request.requestedBy, comment: approval.comment });
+
+  res.json({ id: resource.id, status: updated.status, message: `${request.action} approved and ${updated.status === 'waiting' ? 'waiting for its dependencies' : 'started'}` });
+}));
+
+app.post('/api/resources/:id/reject', requireRole('approver'), asyncRoute(async (req, res) => {
+  const { comment } = req.body;
+  if (!comment) return res.status(400).json({ error: 'A comment explaining the rejection is required' });
+  const resource = await inventory.getResource(req.params.id);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  const request = resource.pendingRequest;
+  if (resource.status !== 'pending-approval' || !request)
+    return res.status(400).json({ error: 'Nothing is awaiting approval for this resource' });
+
+  const updated = await inventory.updateResource(resource.id, r => {
+    // a rejected provision never existed; anything else goes back to where it was
+    r.status = request.previousStatus || 'rejected';
+    r.updatedAt = new Date().toISOString();
+    if (!r.changeHistory) r.changeHistory = [];
+    r.changeHistory.push({
+      action: 'reject',
+      timestamp: r.updatedAt,
+      actor: req.user.actor,
+      ticket: request.ticket,
+      reason: `${request.action} requested by ${request.requestedBy} was rejected: ${comment}`,
+    });
+    delete r.pendingRequest;
+  }, { ifUpdatedAt: resource.updatedAt });
+  if (!updated) return sendConcurrentModification(res);
+  await appendAuditHistory(resource.id, 'reject', req.user.actor,
+    { action: request.action, requestId: request.id, requestedBy: request.requestedBy, comment }, 'success');
+  notify('request.rejected', updated, req.user.actor, { action: request.action, requestedBy: request.requestedBy, comment });
+  if (request.action === 'provision') await settleDependents(updated);
+
+  res.json({ id: resource.id, status: updated.status, message: `${request.action} rejected` });
+}));
+
+// ─────────────────────────────────────────────────────────────
+// NOTIFICATIONS — subscribers, delivery log and test events
+// ─────────────────────────────────────────────────────────────
+// GET subscribers (without urls or secrets) and recent deliveries, newest
+// first — ?subscriber=&eventType=&status=
+app.get('/api/notifications', requireRole('admin'), (req, res) => {
+  const { subscriber, eventType, status } = req.query;
+  const subscribers = CONFIG.NOTIFICATION_SUBSCRIBERS.map(s => ({
+    id: s.id, type: s.type, signed: Boolean(s.secret),
+    events: s.events || [], environments: s.environments || [], resourceTypes: s.resourceTypes || [],
+  }));
+  const deliveries = deliveryLog.filter(d =>
+    (!subscriber || d.subscriber === subscriber) && (!eventType || d.eventType === eventType) && (!status || d.status === status));
+  res.json({ subscribers, deliveries: deliveries.slice().reverse() });
+});
+
+// POST a `test` event to one subscriber (or all), ignoring their filters
+app.post('/api/notifications/test', requireRole('admin'), (req, res) => {
+  const { subscriber } = req.body;
+  const targets = CONFIG.NOTIFICATION_SUBSCRIBERS.filter(s => !subscriber || s.id === subscriber);
+  if (!targets.length) return res.status(404).json({ error: subscriber ? `No subscriber ${subscriber}` : 'No notification subscribers are configured' });
+  const event = { id: uuidv4(), type: 'test', timestamp: new Date().toISOString(), actor: req.user.actor, resource: null };
+  const deliveries = targets.map(s => queueDelivery(s, event));
+  res.json({ eventId: event.id, deliveries: deliveries.map(d => d.id) });
+});
+
+// Last in line: errors thrown by the routes above (store, blob, Key Vault…)
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.expose && err.status) return res.status(err.status).json({ error: err.message }); // e.g. malformed JSON bodies
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  res.status(500).json({ error: err.message });
 });
 
 // ─────────────────────────────────────────────────────────────
 // HELPERS
 // ─────────────────────────────────────────────────────────────
+// Paging for list endpoints; no limit means everything from offset onwards
+const MAX_PAGE_SIZE = 500;
+
+function pageParams(query) {
+  const limit = parseInt(query.limit, 10);
+  const offset = parseInt(query.offset, 10);
+  return {
+    limit:  limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : undefined,
+    offset: offset > 0 ? offset : 0,
+  };
+}
+
 function buildTags(ticketNumber, environment, deploymentId, extraTags) {
   return {
     ticket:        ticketNumber,
@@ -811,6 +5027,322 @@ function buildTags(ticketNumber, environment, deploymentId, extraTags) {
   };
 }
 
+// ─────────────────────────────────────────────────────────────
+// CONFIG VALIDATION — checks payloads against RESOURCE_TYPES
+// ─────────────────────────────────────────────────────────────
+const ENVIRONMENTS = ['dev', 'staging', 'prod', 'dr'];
+
+const FORMAT_CHECKS = {
+  cidr: {
+    hint: 'must be an IPv4 CIDR block such as 10.0.0.0/16',
+    test: (v) => {
+      const [ip, bits, ...rest] = v.split('/');
+      return rest.length === 0 && net.isIPv4(ip) && /^\d+$/.test(bits || '') && Number(bits) >= 8 && Number(bits) <= 29;
+    },
+  },
+  'ipv4-list': {
+    hint: 'must be a comma-separated list of IPv4 addresses',
+    test: (v) => v.split(',').map(s => s.trim()).every(ip => net.isIPv4(ip)),
+  },
+};
+
+// Returns { errors, config } where errors is keyed by field name and config
+// holds only the fields declared for the type, with numbers coerced.
+function validateConfig(resourceType, config) {
+  const errors = {};
+  const addError = (field, msg) => (errors[field] = errors[field] || []).push(msg);
+
+  const def = RESOURCE_TYPES[resourceType];
+  if (!def) {
+    addError('resourceType', `Unknown resource type "${resourceType}" — expected one of: ${Object.keys(RESOURCE_TYPES).join(', ')}`);
+    return { errors, config: {} };
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    addError('config', 'config must be an object');
+    return { errors, config: {} };
+  }
+
+  const normalized = {};
+  for (const field of def.fields) {
+    let value = config[field.name];
+    if (typeof value === 'string') value = value.trim();
+    if (value === undefined || value === null || value === '') {
+      if (field.required) addError(field.name, `${field.label} is required`);
+      continue;
+    }
+
+    if (field.type === 'number') {
+      const num = typeof value === 'number' ? value : Number(value);
+      if (!Number.isInteger(num)) { addError(field.name, `${field.label} must be a whole number`); continue; }
+      if (field.min !== undefined && num < field.min) addError(field.name, `${field.label} must be at least ${field.min}`);
+      if (field.max !== undefined && num > field.max) addError(field.name, `${field.label} must be at most ${field.max}`);
+      normalized[field.name] = num;
+      continue;
+    }
+
+    // select options are strings ('true'/'false'), so accept JSON booleans too
+    if (typeof value === 'boolean') value = String(value);
+    if (typeof value !== 'string') { addError(field.name, `${field.label} must be a string`); continue; }
+    if (field.options && !field.options.includes(value))
+      addError(field.name, `${field.label} must be one of: ${field.options.join(', ')}`);
+    if (field.pattern && !new RegExp(field.pattern).test(value))
+      addError(field.name, `${field.label} is invalid: ${field.patternHint || `must match ${field.pattern}`}`);
+    if (field.reserved && field.reserved.includes(value.toLowerCase()))
+      addError(field.name, `${field.label} "${value}" is reserved by Azure`);
+    if (field.format && !FORMAT_CHECKS[field.format].test(value))
+      addError(field.name, `${field.label} ${FORMAT_CHECKS[field.format].hint}`);
+    normalized[field.name] = value;
+  }
+
+  if (normalized.minNodes !== undefined && normalized.maxNodes !== undefined && normalized.minNodes > normalized.maxNodes)
+    addError('maxNodes', 'Max Nodes must be greater than or equal to Min Nodes');
+
+  return { errors, config: normalized };
+}
+
+function sendValidationError(res, errors) {
+  return res.status(422).json({ error: 'Validation failed', errors });
+}
+
+// ─────────────────────────────────────────────────────────────
+// CHANGE CLASSIFICATION — in-place vs replace vs forbidden
+// ─────────────────────────────────────────────────────────────
+function computeConfigDiff(resourceType, oldConfig, newConfig) {
+  const diff = {};
+  for (const { name: k } of RESOURCE_TYPES[resourceType].fields) {
+    // older entries stored numbers as strings, so compare loosely
+    if (String(oldConfig?.[k] ?? '') !== String(newConfig[k] ?? '')) diff[k] = { from: oldConfig?.[k], to: newConfig[k] };
+  }
+  return diff;
+}
+
+// in-place: listed in updatableFields, applied with a normal update
+// replace:  marked immutable, only changeable through the replace operation
+// forbidden: neither — fixed once the resource is provisioned
+function classifyChange(resourceType, field) {
+  const def = RESOURCE_TYPES[resourceType];
+  if ((def.updatableFields || []).includes(field)) return 'in-place';
+  if (def.fields.find(f => f.name === field)?.immutable) return 'replace';
+  return 'forbidden';
+}
+
+function classifyDiff(resourceType, diff) {
+  const result = { inPlace: [], replace: [], forbidden: [] };
+  for (const k of Object.keys(diff)) {
+    const mode = classifyChange(resourceType, k);
+    result[mode === 'in-place' ? 'inPlace' : mode].push(k);
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────
+// POLICY GUARDRAILS — rules from CONFIG.POLICY_FILE, checked before Terraform
+// ─────────────────────────────────────────────────────────────
+// A rule applies when its match lists (resourceType, environment) contain the
+// request's values and every `when` condition holds; it is violated when any
+// `require` condition fails. A condition reads `field` ("config.x", "tags.x",
+// "environment", "resourceType"), falling back to `default` when unset (so
+// rules see the same value the template would use), and checks one of
+// equals, notEquals, in, notIn, pattern, exists, min, max.
+const POLICY_SEVERITIES = ['deny', 'warn', 'advise'];
+const CONDITION_CHECKS = {
+  equals:    (v, x) => v !== undefined && String(v) === String(x),
+  notEquals: (v, x) => v === undefined || String(v) !== String(x),
+  in:        (v, x) => v !== undefined && x.map(String).includes(String(v)),
+  notIn:     (v, x) => v === undefined || !x.map(String).includes(String(v)),
+  pattern:   (v, x) => v !== undefined && new RegExp(x).test(String(v)),
+  exists:    (v, x) => (v !== undefined && v !== '') === x,
+  min:       (v, x) => v !== undefined && Number(v) >= x,
+  max:       (v, x) => v !== undefined && Number(v) <= x,
+};
+
+let policyCache = { mtimeMs: 0, rules: [] };
+
+function validatePolicyRule(rule, i) {
+  const where = `Policy rule ${rule.id || `#${i + 1}`}`;
+  if (!rule.id || !rule.message) throw new Error(`${where}: id and message are required`);
+  if (!POLICY_SEVERITIES.includes(rule.severity)) throw new Error(`${where}: severity must be one of ${POLICY_SEVERITIES.join(', ')}`);
+  if (!Array.isArray(rule.require) || !rule.require.length) throw new Error(`${where}: require must list at least one condition`);
+  for (const c of [...rule.require, ...(rule.when || [])]) {
+    const checks = Object.keys(c).filter(k => CONDITION_CHECKS[k]);
+    if (!c.field || checks.length !== 1) throw new Error(`${where}: each condition needs a field and exactly one of ${Object.keys(CONDITION_CHECKS).join(', ')}`);
+  }
+}
+
+// Re-read when the file changes, so policy edits apply without a restart
+function loadPolicies() {
+  if (!fs.existsSync(CONFIG.POLICY_FILE)) return [];
+  const { mtimeMs } = fs.statSync(CONFIG.POLICY_FILE);
+  if (mtimeMs !== policyCache.mtimeMs) {
+    try {
+      const { rules = [] } = JSON.parse(fs.readFileSync(CONFIG.POLICY_FILE, 'utf8'));
+      rules.forEach(validatePolicyRule);
+      policyCache = { mtimeMs, rules };
+    } catch (e) {
+      // At startup this is fatal; later, a bad edit keeps the last good rules
+      if (!policyCache.mtimeMs) throw e;
+      console.error(`Ignoring invalid policy file ${CONFIG.POLICY_FILE}: ${e.message}`);
+      policyCache.mtimeMs = mtimeMs;
+    }
+  }
+  return policyCache.rules;
+}
+
+function policyFieldValue(subject, condition) {
+  const [scope, key] = condition.field.split('.');
+  const value = key ? subject[scope]?.[key] : subject[scope];
+  return value === undefined || value === null || value === '' ? condition.default : value;
+}
+
+function conditionHolds(subject, condition) {
+  const check = Object.keys(condition).find(k => CONDITION_CHECKS[k]);
+  return CONDITION_CHECKS[check](policyFieldValue(subject, condition), condition[check]);
+}
+
+// subject is { resourceType, environment, config, tags }. Returns
+// { denied, results } where results lists every violated rule.
+function evaluatePolicies(subject) {
+  const results = [];
+  for (const rule of loadPolicies()) {
+    const match = rule.match || {};
+    if (match.resourceType && !match.resourceType.includes(subject.resourceType)) continue;
+    if (match.environment && !match.environment.includes(subject.environment)) continue;
+    if ((rule.when || []).some(c => !conditionHolds(subject, c))) continue;
+    const failed = rule.require.filter(c => !conditionHolds(subject, c));
+    if (failed.length) {
+      results.push({ rule: rule.id, severity: rule.severity, message: rule.message, fields: failed.map(c => c.field) });
+    }
+  }
+  results.sort((a, b) => POLICY_SEVERITIES.indexOf(a.severity) - POLICY_SEVERITIES.indexOf(b.severity));
+  return { denied: results.some(r => r.severity === 'deny'), results };
+}
+
+// Records the outcome of a policy check for a provision/update/replace request
+async function auditPolicyCheck(deploymentId, action, actor, subject, evaluation) {
+  if (!evaluation.results.length) return;
+  await appendAuditHistory(deploymentId, 'policy-check', actor,
+    { requestedAction: action, resourceType: subject.resourceType, environment: subject.environment, results: evaluation.results },
+    evaluation.denied ? 'failure' : 'success');
+}
+
+function sendPolicyDenied(res, evaluation) {
+  return res.status(422).json({ error: 'Blocked by policy', policy: evaluation.results });
+}
+
+// ─────────────────────────────────────────────────────────────
+// COST ESTIMATION — monthly estimates from CONFIG.PRICE_CATALOG_FILE
+// ─────────────────────────────────────────────────────────────
+// The catalog lists priced components per resource type. A component's price
+// is looked up by the config values named in `key` (joined with "/", falling
+// back to `defaults` like the templates do), multiplied by its quantity — a
+// number or a config field — and by hoursPerMonth for hourly prices, then
+// scaled by the region multiplier.
+const PRICE_UNITS = ['hour', 'month', 'gb-month'];
+// Statuses whose resources no longer count against an environment's budget
+const UNBILLED_STATUSES = ['decommissioned', 'rejected'];
+
+let priceCatalogCache = { mtimeMs: 0, catalog: null };
+
+function validatePriceCatalog(catalog) {
+  if (!catalog.version || !catalog.currency) throw new Error('version and currency are required');
+  for (const [type, components] of Object.entries(catalog.types || {})) {
+    for (const c of components) {
+      const where = `${type} component ${c.name || '(unnamed)'}`;
+      if (!c.name || !Array.isArray(c.key) || !c.prices) throw new Error(`${where}: name, key and prices are required`);
+      if (!PRICE_UNITS.includes(c.unit)) throw new Error(`${where}: unit must be one of ${PRICE_UNITS.join(', ')}`);
+    }
+  }
+}
+
+// Re-read when the file changes, like the policy file
+function loadPriceCatalog() {
+  const { mtimeMs } = fs.statSync(CONFIG.PRICE_CATALOG_FILE);
+  if (mtimeMs !== priceCatalogCache.mtimeMs) {
+    try {
+      const catalog = JSON.parse(fs.readFileSync(CONFIG.PRICE_CATALOG_FILE, 'utf8'));
+      validatePriceCatalog(catalog);
+      priceCatalogCache = { mtimeMs, catalog };
+    } catch (e) {
+      if (!priceCatalogCache.catalog) throw e;
+      console.error(`Ignoring invalid price catalog ${CONFIG.PRICE_CATALOG_FILE}: ${e.message}`);
+      priceCatalogCache.mtimeMs = mtimeMs;
+    }
+  }
+  return priceCatalogCache.catalog;
+}
+
+function roundCost(n) { return Math.round(n * 100) / 100; }
+
+function configValue(config, field, fallback) {
+  const value = config[field];
+  return value === undefined || value === null || value === '' ? fallback : value;
+}
+
+// Returns { monthly, currency, catalogVersion, region, breakdown, unpriced? }.
+// Components whose SKU is missing from the catalog are listed in unpriced
+// and left out of the total.
+function estimateMonthlyCost(resourceType, config = {}) {
+  const catalog = loadPriceCatalog();
+  const region = config.location || 'East US';
+  const multiplier = catalog.regionMultipliers?.[region] ?? 1;
+  const breakdown = [], unpriced = [];
+  for (const c of catalog.types?.[resourceType] || []) {
+    const sku = c.key.map((field, i) => configValue(config, field, c.defaults?.[i])).join('/');
+    const unitPrice = c.prices[sku];
+    if (unitPrice === undefined) { unpriced.push(`${c.name}: ${sku}`); continue; }
+    const quantity = typeof c.quantity === 'object'
+      ? Number(configValue(config, c.quantity.field, c.quantity.default))
+      : c.quantity ?? 1;
+    const hours = c.unit === 'hour' ? catalog.hoursPerMonth || 730 : 1;
+    breakdown.push({ component: c.name, sku, quantity, unit: c.unit, unitPrice, monthly: roundCost(unitPrice * hours * quantity * multiplier) });
+  }
+  return {
+    monthly: roundCost(breakdown.reduce((sum, b) => sum + b.monthly, 0)),
+    currency: catalog.currency,
+    catalogVersion: catalog.version,
+    region,
+    breakdown,
+    ...(unpriced.length && { unpriced }),
+  };
+}
+
+// Old and new configs are both priced with the current catalog, so the delta
+// reflects the change rather than catalog updates since the last estimate
+function estimateCostChange(resource, newConfig) {
+  const before = estimateMonthlyCost(resource.resourceType, resource.config);
+  const after = estimateMonthlyCost(resource.resourceType, newConfig);
+  return {
+    estimate: after,
+    change: { from: before.monthly, to: after.monthly, delta: roundCost(after.monthly - before.monthly), currency: after.currency, catalogVersion: after.catalogVersion },
+  };
+}
+
+// The cost field kept on each inventory entry
+function inventoryCost(monthly, estimate, timestamp) {
+  return { monthly, currency: estimate.currency, catalogVersion: estimate.catalogVersion, estimatedAt: timestamp };
+}
+
+// Returns null when the environment has no cap. A request only exceeds the
+// cap if it raises spend, so shrinking an over-budget environment still works.
+async function checkBudget(environment, monthly, { previousMonthly = 0, excludeId } = {}) {
+  const cap = CONFIG.BUDGET_CAPS[environment];
+  if (cap === undefined) return null;
+  const { resources } = await inventory.listResources({ environment });
+  const committed = roundCost(resources
+    .filter(r => r.id !== excludeId && !UNBILLED_STATUSES.includes(r.status))
+    .reduce((sum, r) => sum + (r.cost?.monthly || 0), 0));
+  const projected = roundCost(committed + monthly);
+  return { environment, cap, committed, projected, exceeded: monthly > previousMonthly && projected > cap };
+}
+
+async function sendBudgetExceeded(res, deploymentId, action, actor, budget) {
+  await appendAuditHistory(deploymentId, 'budget-check', actor, { requestedAction: action, ...budget }, 'failure');
+  return res.status(422).json({
+    error: `Blocked by budget: ${budget.environment} would reach ${budget.projected} a month against a cap of ${budget.cap}`,
+    budget,
+  });
+}
+
 // ─────────────────────────────────────────────────────────────
 // RESOURCE TYPE DEFINITIONS
 // ─────────────────────────────────────────────────────────────
@@ -819,59 +5351,71 @@ const RESOURCE_TYPES = {
     label: 'Virtual Machine', icon: '🖥️',
     updatableFields: ['vmSize', 'diskType', 'osDiskSizeGb'],
     fields: [
-      { name: 'name',          label: 'VM Name',        type: 'text',   required: true,  placeholder: 'my-vm-prod-01', immutable: true },
+      { name: 'name',          label: 'VM Name',        type: 'text',   required: true,  placeholder: 'my-vm-prod-01', immutable: true,
+        pattern: '^[a-zA-Z0-9]([a-zA-Z0-9-]{0,62}[a-zA-Z0-9])?$', patternHint: '1-64 letters, digits or hyphens; must start and end with a letter or digit' },
       { name: 'location',      label: 'Azure Region',   type: 'select', required: true,  options: AZURE_REGIONS, immutable: true },
       { name: 'vmSize',        label: 'VM Size',        type: 'select', options: ['Standard_B1s','Standard_B2s','Standard_D2s_v3','Standard_D4s_v3','Standard_E4s_v3','Standard_F4s_v2'] },
-      { name: 'adminUsername', label: 'Admin Username', type: 'text',   placeholder: 'azureuser', immutable: true },
+      { name: 'adminUsername', label: 'Admin Username', type: 'text',   placeholder: 'azureuser', immutable: true,
+        pattern: '^[a-z_][a-z0-9_-]{0,31}$', patternHint: '1-32 lowercase letters, digits, underscores or hyphens', reserved: ['admin','administrator','root','guest','user','test','sys'] },
       { name: 'diskType',      label: 'OS Disk Type',   type: 'select', options: ['Standard_LRS','Premium_LRS','StandardSSD_LRS'] },
-      { name: 'osDiskSizeGb',  label: 'OS Disk Size GB',type: 'number', placeholder: '30' },
+      { name: 'osDiskSizeGb',  label: 'OS Disk Size GB',type: 'number', placeholder: '30', min: 30, max: 4095 },
+      { name: 'subnetRef',     label: 'VNet',           type: 'ref',    refType: 'vnet', sameLocation: true, immutable: true, placeholder: 'New VNet for this VM' },
+      { name: 'subnetName',    label: 'Subnet',         type: 'select', options: ['snet-app','snet-data'], immutable: true },
     ],
   },
   storage: {
     label: 'Storage Account', icon: '🗄️',
     updatableFields: ['tier', 'replication', 'versioning', 'retentionDays'],
     fields: [
-      { name: 'name',          label: 'Account Name',  type: 'text',   required: true, placeholder: 'mystorageaccount', immutable: true },
+      { name: 'name',          label: 'Account Name',  type: 'text',   required: true, placeholder: 'mystorageaccount', immutable: true,
+        pattern: '^[a-z0-9]{3,24}$', patternHint: '3-24 lowercase letters or digits' },
       { name: 'location',      label: 'Azure Region',  type: 'select', required: true, options: AZURE_REGIONS, immutable: true },
       { name: 'tier',          label: 'Tier',          type: 'select', options: ['Standard','Premium'] },
       { name: 'replication',   label: 'Replication',   type: 'select', options: ['LRS','GRS','ZRS','RAGRS','GZRS'] },
       { name: 'versioning',    label: 'Versioning',    type: 'select', options: ['true','false'] },
-      { name: 'retentionDays', label: 'Retention Days',type: 'number', placeholder: '7' },
+      { name: 'retentionDays', label: 'Retention Days',type: 'number', placeholder: '7', min: 1, max: 365 },
     ],
   },
   aks: {
     label: 'AKS Cluster', icon: '☸️',
     updatableFields: ['nodeCount', 'vmSize', 'k8sVersion', 'minNodes', 'maxNodes'],
     fields: [
-      { name: 'name',        label: 'Cluster Name', type: 'text',   required: true, placeholder: 'my-aks-cluster', immutable: true },
+      { name: 'name',        label: 'Cluster Name', type: 'text',   required: true, placeholder: 'my-aks-cluster', immutable: true,
+        pattern: '^[a-zA-Z]([a-zA-Z0-9-]{0,52}[a-zA-Z0-9])?$', patternHint: '1-54 letters, digits or hyphens; must start with a letter (also used as the DNS prefix)' },
       { name: 'location',    label: 'Azure Region', type: 'select', required: true, options: AZURE_REGIONS, immutable: true },
-      { name: 'nodeCount',   label: 'Node Count',   type: 'number', placeholder: '2' },
+      { name: 'nodeCount',   label: 'Node Count',   type: 'number', placeholder: '2', min: 1, max: 100 },
       { name: 'vmSize',      label: 'Node VM Size', type: 'select', options: ['Standard_D2_v2','Standard_D4_v2','Standard_D8_v2','Standard_DS3_v2'] },
       { name: 'k8sVersion',  label: 'K8s Version',  type: 'select', options: ['1.28','1.27','1.26'] },
       { name: 'autoScaling', label: 'Auto Scaling', type: 'select', options: ['false','true'] },
-      { name: 'minNodes',    label: 'Min Nodes',    type: 'number', placeholder: '1' },
-      { name: 'maxNodes',    label: 'Max Nodes',    type: 'number', placeholder: '5' },
+      { name: 'minNodes',    label: 'Min Nodes',    type: 'number', placeholder: '1', min: 1, max: 100 },
+      { name: 'maxNodes',    label: 'Max Nodes',    type: 'number', placeholder: '5', min: 1, max: 100 },
+      { name: 'subnetRef',   label: 'VNet',         type: 'ref',    refType: 'vnet', sameLocation: true, immutable: true, placeholder: 'Cluster-managed network' },
+      { name: 'subnetName',  label: 'Subnet',       type: 'select', options: ['snet-app','snet-data'], immutable: true },
+      { name: 'keyVaultRef', label: 'Key Vault',    type: 'ref',    refType: 'keyvault', immutable: true, placeholder: 'None' },
     ],
   },
   sql: {
     label: 'SQL Database', icon: '🗃️',
     updatableFields: ['sku', 'maxSizeGb'],
     fields: [
-      { name: 'name',       label: 'DB Name',     type: 'text',   required: true, placeholder: 'mydb', immutable: true },
+      { name: 'name',       label: 'DB Name',     type: 'text',   required: true, placeholder: 'mydb', immutable: true,
+        pattern: '^[a-z0-9]([a-z0-9-]{0,54}[a-z0-9])?$', patternHint: '1-56 lowercase letters, digits or hyphens; must not start or end with a hyphen (the server is named <name>-server)' },
       { name: 'location',   label: 'Region',      type: 'select', required: true, options: AZURE_REGIONS, immutable: true },
-      { name: 'adminLogin', label: 'Admin Login', type: 'text',   placeholder: 'sqladmin', immutable: true },
+      { name: 'adminLogin', label: 'Admin Login', type: 'text',   placeholder: 'sqladmin', immutable: true,
+        pattern: '^[a-zA-Z][a-zA-Z0-9_]{0,127}$', patternHint: 'Must start with a letter; letters, digits and underscores only', reserved: ['admin','administrator','sa','root','dbmanager','loginmanager','dbo','guest','public'] },
       { name: 'sku',        label: 'SKU',         type: 'select', options: ['Basic','S0','S1','S2','P1','P2'] },
-      { name: 'maxSizeGb',  label: 'Max Size GB', type: 'number', placeholder: '2' },
+      { name: 'maxSizeGb',  label: 'Max Size GB', type: 'number', placeholder: '2', min: 1, max: 4096 },
     ],
   },
   keyvault: {
     label: 'Key Vault', icon: '🔐',
     updatableFields: ['softDeleteRetention', 'purgeProtection', 'networkDefaultAction'],
     fields: [
-      { name: 'name',                 label: 'Vault Name',       type: 'text',   required: true, placeholder: 'my-keyvault', immutable: true },
+      { name: 'name',                 label: 'Vault Name',       type: 'text',   required: true, placeholder: 'my-keyvault', immutable: true,
+        pattern: '^(?!.*--)[a-zA-Z][a-zA-Z0-9-]{1,22}[a-zA-Z0-9]$', patternHint: '3-24 letters, digits or hyphens; must start with a letter, end with a letter or digit, no consecutive hyphens' },
       { name: 'location',             label: 'Region',           type: 'select', required: true, options: AZURE_REGIONS, immutable: true },
       { name: 'sku',                  label: 'SKU',              type: 'select', options: ['standard','premium'] },
-      { name: 'softDeleteRetention',  label: 'Soft Delete Days', type: 'number', placeholder: '7' },
+      { name: 'softDeleteRetention',  label: 'Soft Delete Days', type: 'number', placeholder: '7', min: 7, max: 90 },
       { name: 'purgeProtection',      label: 'Purge Protection', type: 'select', options: ['false','true'] },
       { name: 'networkDefaultAction', label: 'Network Default',  type: 'select', options: ['Allow','Deny'] },
     ],
@@ -880,17 +5424,83 @@ const RESOURCE_TYPES = {
     label: 'Virtual Network', icon: '🌐',
     updatableFields: ['dnsServers'],
     fields: [
-      { name: 'name',         label: 'VNet Name',     type: 'text',   required: true, placeholder: 'my-vnet', immutable: true },
+      { name: 'name',         label: 'VNet Name',     type: 'text',   required: true, placeholder: 'my-vnet', immutable: true,
+        pattern: '^[a-zA-Z0-9]([a-zA-Z0-9._-]{0,62}[a-zA-Z0-9_])?$', patternHint: '1-64 letters, digits, periods, underscores or hyphens; must start with a letter or digit' },
       { name: 'location',     label: 'Region',        type: 'select', required: true, options: AZURE_REGIONS, immutable: true },
-      { name: 'addressSpace', label: 'Address Space', type: 'text',   placeholder: '10.0.0.0/16', immutable: true },
-      { name: 'dnsServers',   label: 'DNS Servers',   type: 'text',   placeholder: '168.63.129.16, 8.8.8.8' },
+      { name: 'addressSpace', label: 'Address Space', type: 'text',   placeholder: '10.0.0.0/16', immutable: true, format: 'cidr' },
+      { name: 'dnsServers',   label: 'DNS Servers',   type: 'text',   placeholder: '168.63.129.16, 8.8.8.8', format: 'ipv4-list' },
     ],
   },
 };
 
+// ─────────────────────────────────────────────────────────────
+// STARTUP — check the configuration, open the store, listen
+// ─────────────────────────────────────────────────────────────
+function start() {
+  if (!fs.existsSync(CONFIG.DEPLOYMENTS_DIR)) fs.mkdirSync(CONFIG.DEPLOYMENTS_DIR, { recursive: true });
+  if (!['oidc', 'dev'].includes(CONFIG.AUTH_MODE) ||
+      (CONFIG.AUTH_MODE === 'oidc' && (!CONFIG.OIDC_ISSUER || !CONFIG.OIDC_AUDIENCE))) {
+    console.error('AUTH_MODE must be oidc (with OIDC_ISSUER and OIDC_AUDIENCE set) or dev');
+    process.exit(1);
+  }
+  try {
+    loadPolicies();
+  } catch (e) {
+    console.error(`Invalid policy file ${CONFIG.POLICY_FILE}: ${e.message}`);
+    process.exit(1);
+  }
+  try {
+    loadPriceCatalog();
+  } catch (e) {
+    console.error(`Invalid price catalog ${CONFIG.PRICE_CATALOG_FILE}: ${e.message}`);
+    process.exit(1);
+  }
+  try {
+    CONFIG.NOTIFICATION_SUBSCRIBERS.forEach(validateSubscriber);
+  } catch (e) {
+    console.error(`Invalid NOTIFICATION_SUBSCRIBERS: ${e.message}`);
+    process.exit(1);
+  }
+  if (CONFIG.TICKET_CONNECTOR !== 'none' && !ticketConnector) {
+    console.error(`TICKET_CONNECTOR must be one of none, ${Object.keys(TICKET_CONNECTORS).join(', ')}`);
+    process.exit(1);
+  }
+  if (CONFIG.AUTH_MODE === 'dev' && !CONFIG.DEMO_MODE)
+    console.warn('WARNING: dev auth lets anyone sign in with any role — use AUTH_MODE=oidc outside local testing');
+
+  inventory.init().then(() => {
+    app.listen(CONFIG.PORT, () => {
+      console.log(`TerraPortal API running on port ${CONFIG.PORT}`);
+      console.log(`Demo mode: ${CONFIG.DEMO_MODE}`);
+      console.log(`Execution mode: ${CONFIG.EXECUTION_MODE}`);
+      console.log(`Inventory store: ${inventory.name}`);
+      console.log(`Policy rules: ${loadPolicies().length} from ${CONFIG.POLICY_FILE}`);
+      console.log(`Price catalog: ${loadPriceCatalog().version}${Object.keys(CONFIG.BUDGET_CAPS).length ? ` (budget caps: ${Object.entries(CONFIG.BUDGET_CAPS).map(([e, c]) => `${e}=${c}`).join(', ')})` : ''}`);
+      console.log(`Drift checks: ${CONFIG.DRIFT_CHECK_MS ? `every ${CONFIG.DRIFT_CHECK_MS / 60000} minutes` : 'disabled'}`);
+      console.log(`Leases: ${Object.entries(CONFIG.TTL_POLICY).map(([e, p]) => `${e}=${p.defaultHours}h (max ${p.maxHours}h)`).join(', ') || 'none'}`);
+      console.log(`Notification subscribers: ${CONFIG.NOTIFICATION_SUBSCRIBERS.map(s => `${s.id} (${s.type})`).join(', ') || 'none'}`);
+      console.log(`Job queue: ${CONFIG.JOB_CONCURRENCY} at once${Object.keys(CONFIG.JOB_ENV_CONCURRENCY).length ? ` (${Object.entries(CONFIG.JOB_ENV_CONCURRENCY).map(([e, n]) => `${e}=${n}`).join(', ')})` : ''}`);
+      console.log(`Ticket connector: ${CONFIG.TICKET_CONNECTOR}${ticketConnector ? ` (on failure: ${CONFIG.TICKET_ON_FAILURE})` : ''}`);
+      console.log(`Auth: ${CONFIG.AUTH_MODE}${CONFIG.AUTH_MODE === 'oidc' ? ` (${CONFIG.OIDC_ISSUER})` : ''}`);
+      console.log(`State backend: Azure Blob (${CONFIG.TF_STATE_STORAGE_ACCOUNT}/${CONFIG.TF_STATE_CONTAINER})`);
+    });
+    recoverInterruptedJobs().catch(e => console.error(`Recovering interrupted jobs failed: ${e.message}`));
+    if (CONFIG.DRIFT_CHECK_MS) setInterval(runDriftChecks, CONFIG.DRIFT_CHECK_MS);
+    if (CONFIG.LEASE_CHECK_MS) setInterval(runLeaseChecks, CONFIG.LEASE_CHECK_MS);
+    const sweepPlans = () => removeAbandonedProvisionPlans().catch(e => console.error(`Removing abandoned provision plans failed: ${e.message}`));
+    sweepPlans();
+    setInterval(sweepPlans, CONFIG.PLAN_TTL_MS);
+  }).catch(e => {
+    console.error('Failed to open inventory store:', e.message);
+    process.exit(1);
+  });
+}
+
+if (require.main === module) start();
 
-app.listen(CONFIG.PORT, () => {
-  console.log(`TerraPortal API running on port ${CONFIG.PORT}`);
-  console.log(`Demo mode: ${CONFIG.DEMO_MODE}`);
-  console.log(`State backend: Azure Blob (${CONFIG.TF_STATE_STORAGE_ACCOUNT}/${CONFIG.TF_STATE_CONTAINER})`);
-});
+// for the tests in test/
+module.exports = {
+  app, CONFIG, inventory, removeAbandonedProvisionPlans,
+  createJsonInventoryStore, createSqliteInventoryStore,
+  runTerraformLocal, planWorkspace, cancelLocalRun, localRuns,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+// JSON inventory store under concurrent writers: the in-process mutex, the
+// blob ETag (If-Match) retry loop, and blob read errors.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { createJsonInventoryStore } = require('../server');
+
+function tmpFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'terraportal-inv-')), 'inventory.json');
+}
+
+function statusError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// In-memory stand-in for the inventory container: one blob with an ETag
+// that changes on every write, honouring ifMatch / ifNoneMatch like Azure.
+// Every call yields first so writers in different "processes" interleave.
+function fakeContainer() {
+  const blob = { body: null, etag: null, version: 0, conflicts: 0, readError: null };
+  const tick = () => new Promise(r => setImmediate(r));
+  return {
+    blob,
+    async createIfNotExists() {},
+    getBlockBlobClient() {
+      return {
+        async download() {
+          await tick();
+          if (blob.readError) throw blob.readError;
+          if (blob.body === null) throw statusError(404, 'BlobNotFound');
+          return { etag: blob.etag, readableStreamBody: Readable.from([Buffer.from(blob.body)]) };
+        },
+        async upload(str, length, { conditions }) {
+          await tick();
+          if (conditions.ifMatch && conditions.ifMatch !== blob.etag) {
+            blob.conflicts++;
+            throw statusError(412, 'ConditionNotMet');
+          }
+          if (conditions.ifNoneMatch === '*' && blob.body !== null) {
+            blob.conflicts++;
+            throw statusError(409, 'BlobAlreadyExists');
+          }
+          blob.body = str;
+          blob.etag = `"${++blob.version}"`;
+        },
+      };
+    },
+  };
+}
+
+function resource(n) {
+  const timestamp = new Date().toISOString();
+  return { id: `res-${n}`, resourceName: `res${n}`, status: 'provisioning', createdAt: timestamp, updatedAt: timestamp, logs: [] };
+}
+
+test('parallel provisions in one process never lose entries', async () => {
+  const store = createJsonInventoryStore({ file: tmpFile(), containerClient: () => null });
+  await store.init();
+
+  await Promise.all(Array.from({ length: 50 }, (_, n) => store.insertResource(resource(n))));
+
+  const { resources, total } = await store.listResources();
+  assert.equal(total, 50);
+  assert.deepEqual(resources.map(r => r.id).sort(), Array.from({ length: 50 }, (_, n) => `res-${n}`).sort());
+});
+
+test('parallel provisions from two processes sharing the blob never lose entries', async () => {
+  const container = fakeContainer();
+  const a = createJsonInventoryStore({ file: tmpFile(), containerClient: () => container });
+  const b = createJsonInventoryStore({ file: tmpFile(), containerClient: () => container });
+  await a.init();
+  await b.init();
+
+  // each writer can lose at most once per write of the other, which stays
+  // below INVENTORY_MAX_ATTEMPTS
+  await Promise.all(Array.from({ length: 10 }, (_, n) => (n % 2 ? a : b).insertResource(resource(n))));
+
+  assert.ok(container.blob.conflicts > 0, 'the writers should have raced at least once');
+  const stored = JSON.parse(container.blob.body);
+  assert.equal(stored.resources.length, 10);
+  assert.equal(new Set(stored.resources.map(r => r.id)).size, 10);
+  for (const store of [a, b]) assert.equal((await store.listResources()).total, 10);
+});
+
+test('a log flush does not overwrite a concurrent status change', async () => {
+  const container = fakeContainer();
+  const a = createJsonInventoryStore({ file: tmpFile(), containerClient: () => container });
+  const b = createJsonInventoryStore({ file: tmpFile(), containerClient: () => container });
+  await a.init();
+  await b.init();
+  await a.insertResource(resource(1));
+
+  await Promise.all([
+    a.updateResource('res-1', r => { r.status = 'deployed'; }),
+    b.updateResource('res-1', r => { r.logs.push('flushed line'); }),
+    a.appendAudit({ id: 'audit-1', deploymentId: 'res-1', action: 'provision' }),
+  ]);
+
+  const stored = await b.getResource('res-1');
+  assert.equal(stored.status, 'deployed');
+  assert.deepEqual(stored.logs, ['flushed line']);
+  assert.equal((await b.listHistory()).total, 1);
+});
+
+test('ifUpdatedAt refuses a stale update', async () => {
+  const store = createJsonInventoryStore({ file: tmpFile(), containerClient: () => null });
+  await store.init();
+  const r = resource(1);
+  await store.insertResource(r);
+
+  assert.ok(await store.updateResource(r.id, x => { x.updatedAt = 'later'; }, { ifUpdatedAt: r.updatedAt }));
+  assert.equal(await store.updateResource(r.id, x => { x.status = 'stale'; }, { ifUpdatedAt: r.updatedAt }), null);
+  assert.equal((await store.getResource(r.id)).status, 'provisioning');
+});
+
+test('a blob read error fails the write instead of falling back to the local file', async () => {
+  const container = fakeContainer();
+  const file = tmpFile();
+  const store = createJsonInventoryStore({ file, containerClient: () => container });
+  await store.init();
+  await store.insertResource(resource(1));
+  const localBefore = fs.readFileSync(file, 'utf8');
+
+  container.blob.readError = statusError(503, 'ServerBusy');
+  await assert.rejects(store.insertResource(resource(2)), /Inventory blob read failed: ServerBusy/);
+  await assert.rejects(store.listResources(), /Inventory blob read failed/);
+  assert.equal(fs.readFileSync(file, 'utf8'), localBefore);
+
+  container.blob.readError = null;
+  assert.deepEqual((await store.listResources()).resources.map(r => r.id), ['res-1']);
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+// Local execution engine against a stub terraform binary (test/fixtures/terraform):
+// the command sequence per action, log streaming, outputs, failures,
+// cancellation and the run timeout — for apply jobs and plan stages.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TERRAFORM_BIN = path.join(__dirname, 'fixtures', 'terraform');
+process.env.TF_TIMEOUT_MINUTES = String(3 / 60); // 3 seconds
+const { runTerraformLocal, planWorkspace, cancelLocalRun, localRuns } = require('../server');
+
+let workspace, stubLog;
+beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'terraportal-ws-'));
+  stubLog = path.join(workspace, 'calls.log');
+  process.env.STUB_LOG = stubLog;
+  delete process.env.STUB_FAIL;
+  delete process.env.STUB_HANG;
+});
+
+// [subcommand + args] of every terraform call, in order
+function calls() {
+  return fs.readFileSync(stubLog, 'utf8').trim().split('\n').map(line => line.split(' | ')[0]);
+}
+
+function run(action, options) {
+  const logs = [];
+  const promise = runTerraformLocal('dep-1', workspace, action, line => logs.push(line), options);
+  return { logs, promise };
+}
+
+async function waitFor(predicate) {
+  for (let i = 0; i < 100 && !predicate(); i++) await new Promise(r => setTimeout(r, 20));
+  assert.ok(predicate(), 'timed out waiting');
+}
+
+test('provision runs init with the state backend, plan, apply and collects outputs', async () => {
+  const { logs, promise } = run('provision');
+  const outputs = await promise;
+
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'plan', 'apply', 'output']);
+  const [init, plan, apply, output] = calls();
+  assert.match(init, /-backend-config=key=dep-1\/terraform\.tfstate/);
+  assert.match(init, /-backend-config=container_name=\S+/);
+  assert.match(plan, /-out=tfplan/);
+  assert.match(apply, /-auto-approve tfplan$/);
+  assert.match(output, /^output -json/);
+  assert.deepEqual(outputs, { vm_id: '/subscriptions/x/vm1', admin_password: '(sensitive)' });
+
+  assert.ok(logs.includes('$ terraform apply -input=false -no-color -auto-approve tfplan'));
+  assert.ok(logs.includes('Apply complete! Resources: 1 added, 0 changed, 0 destroyed.'));
+  assert.ok(logs.includes('stderr: Warning: provider is deprecated'));
+  assert.equal(localRuns.has('dep-1'), false);
+});
+
+test('runs in the workspace dir with automation env and the secret variables', async () => {
+  await run('update', { env: { TF_VAR_ssh_public_key: 'ssh-rsa AAAA' } }).promise;
+  const line = fs.readFileSync(stubLog, 'utf8').trim().split('\n')[0];
+  assert.match(line, new RegExp(`cwd=${fs.realpathSync(workspace)}`));
+  assert.match(line, /TF_IN_AUTOMATION=1/);
+  assert.match(line, /TF_VAR_ssh_public_key=ssh-rsa AAAA/);
+});
+
+test('decommission destroys and returns no outputs', async () => {
+  assert.deepEqual(await run('decommission').promise, {});
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'destroy']);
+});
+
+test('replace destroys before planning the new resource', async () => {
+  await run('replace').promise;
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'destroy', 'plan', 'apply', 'output']);
+});
+
+test('a saved plan is applied without planning again', async () => {
+  await run('update', { planFile: 'tfplan' }).promise;
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'apply', 'output']);
+
+  fs.writeFileSync(stubLog, '');
+  assert.deepEqual(await run('decommission', { planFile: 'tfplan' }).promise, {});
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'apply']);
+});
+
+test('a failing command stops the run with its exit code', async () => {
+  process.env.STUB_FAIL = 'plan';
+  const { logs, promise } = run('provision');
+  await assert.rejects(promise, /terraform plan exited with code 1/);
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'plan']);
+  assert.ok(logs.includes('stderr: Error: plan failed'));
+  assert.equal(localRuns.has('dep-1'), false);
+});
+
+test('cancelLocalRun stops the running command', async () => {
+  process.env.STUB_HANG = 'apply';
+  const { logs, promise } = run('provision');
+  await waitFor(() => logs.includes('apply started'));
+
+  assert.equal(cancelLocalRun('dep-1'), true);
+  await assert.rejects(promise, /Terraform run cancelled/);
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'plan', 'apply']);
+  assert.equal(localRuns.has('dep-1'), false);
+  assert.equal(cancelLocalRun('dep-1'), false);
+});
+
+test('a run that outlives TF_TIMEOUT_MINUTES is stopped', async () => {
+  process.env.STUB_HANG = 'plan';
+  const started = Date.now();
+  await assert.rejects(run('provision').promise, /Terraform run timed out after/);
+  assert.ok(Date.now() - started < 10000);
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'plan']);
+  assert.equal(localRuns.has('dep-1'), false);
+});
+
+test('a plan stage plans with its mode flag and reads back the show output', async () => {
+  const logs = [];
+  const { planJson, shown } = await planWorkspace({ id: 'dep-1', resourceType: 'storage' }, workspace, { mode: 'refresh-only', onLog: line => logs.push(line) });
+  assert.deepEqual(calls().map(c => c.split(' ')[0]), ['init', 'plan', 'show', 'show']);
+  assert.match(calls()[1], /^plan -refresh-only .*-out=tfplan/);
+  assert.deepEqual(planJson, { resource_changes: [] });
+  assert.equal(shown.trim(), 'No changes.');
+  assert.equal(localRuns.has('dep-1'), false);
+});
+
+test('a plan stage can be cancelled like a job', async () => {
+  process.env.STUB_HANG = 'plan';
+  const logs = [];
+  const promise = planWorkspace({ id: 'dep-1', resourceType: 'storage' }, workspace, { mode: 'destroy', onLog: line => logs.push(line) });
+  await waitFor(() => logs.includes('plan started'));
+
+  assert.equal(localRuns.get('dep-1').size, 1);
+  assert.equal(cancelLocalRun('dep-1'), true);
+  await assert.rejects(promise, /Terraform run cancelled/);
+  assert.match(calls()[1], /^plan -destroy /);
+  assert.equal(localRuns.has('dep-1'), false);
+});
+
+test('a plan stage is stopped by the run timeout', async () => {
+  process.env.STUB_HANG = 'plan';
+  await assert.rejects(planWorkspace({ id: 'dep-1', resourceType: 'storage' }, workspace, { onLog: () => {} }), /timed out after/);
+  assert.equal(localRuns.has('dep-1'), false);
+});
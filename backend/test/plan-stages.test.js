@@ -0,0 +1,153 @@
+'use strict';
+
+// Plan stages next to a queued apply: a second plan stage must not remove the
+// saved plan the queued job is going to apply. Provision plans that are never
+// applied take their secrets with them once they expire. A new SSH key
+// recreates a VM, so it is refused while other deployments depend on it. A
+// held request's plan outlives PLAN_TTL_MINUTES until HELD_PLAN_TTL_HOURS.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'terraportal-plans-'));
+process.env.INVENTORY_STORE = 'sqlite';
+process.env.SQLITE_PATH = path.join(tmp, 'terraportal.db');
+process.env.SECRETS_FILE = path.join(tmp, 'secrets.json');
+process.env.EXECUTION_MODE = 'demo';
+process.env.AUTH_MODE = 'dev';
+process.env.JOB_ENV_CONCURRENCY = '{"dev":0,"staging":0}'; // jobs stay queued
+process.env.APPROVAL_POLICY = '{"staging":["update"]}';
+process.env.HELD_PLAN_TTL_HOURS = '24';
+process.env.DRIFT_CHECK_MINUTES = '0';
+process.env.LEASE_CHECK_MINUTES = '0';
+const { app, CONFIG, inventory, removeAbandonedProvisionPlans } = require('../server');
+CONFIG.PLANS_DIR = path.join(tmp, 'plans');
+CONFIG.DEPLOYMENTS_DIR = path.join(tmp, 'deployments');
+
+let server, base, token, approverToken;
+before(async () => {
+  await inventory.init();
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}/api`;
+  token = (await call('POST', '/auth/dev/login', { username: 'alice', role: 'admin' })).body.token;
+  approverToken = (await call('POST', '/auth/dev/login', { username: 'bob', role: 'approver' })).body.token;
+});
+after(() => server.close());
+
+async function call(method, url, body, as = token) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'content-type': 'application/json', ...(as && { authorization: `Bearer ${as}` }) },
+    body: body && JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function deployed(id, resourceType, config, extra) {
+  const timestamp = new Date().toISOString();
+  await inventory.insertResource({
+    id, resourceName: id, resourceType, environment: 'dev', status: 'deployed', config: { name: id, location: 'West Europe', ...config },
+    tags: { created_at: timestamp }, requestedBy: 'alice', createdAt: timestamp, updatedAt: timestamp, logs: [], changeHistory: [], ...extra,
+  });
+}
+
+const deployedStorage = id => deployed(id, 'storage', { tier: 'Standard', replication: 'LRS' });
+
+test('plan stages are refused while an update is queued, and its plan is kept', async () => {
+  await deployedStorage('stplans1');
+  const planned = await call('POST', '/resources/stplans1/plan', { config: { replication: 'GRS' } });
+  assert.equal(planned.status, 200, JSON.stringify(planned.body));
+  const planDir = path.join(CONFIG.PLANS_DIR, 'stplans1', planned.body.plan.id);
+
+  const updated = await call('PATCH', '/resources/stplans1', { config: { replication: 'GRS' }, planHash: planned.body.plan.hash });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  const { jobs } = await inventory.listJobs({ deploymentId: 'stplans1' });
+  assert.deepEqual(jobs.map(j => [j.action, j.status]), [['update', 'queued']]);
+
+  const replanned = await call('POST', '/resources/stplans1/plan', { config: { replication: 'ZRS' } });
+  assert.equal(replanned.status, 409);
+  assert.match(replanned.body.error, /update job for this resource is queued/);
+  const decommission = await call('POST', '/resources/stplans1/decommission/plan', {});
+  assert.equal(decommission.status, 409);
+  assert.ok(fs.existsSync(path.join(planDir, 'plan.json')), 'queued plan was removed');
+});
+
+test('retry and cleanup are refused while a job is still queued', async () => {
+  await deployedStorage('stplans2');
+  const planned = await call('POST', '/resources/stplans2/plan', { config: { replication: 'GRS' } });
+  await call('PATCH', '/resources/stplans2', { config: { replication: 'GRS' }, planHash: planned.body.plan.hash });
+  // a failure recorded while the update still waits in the queue
+  await inventory.updateResource('stplans2', r => {
+    r.status = 'update-failed';
+    r.failedJob = { action: 'update' };
+  });
+
+  for (const route of ['retry', 'cleanup']) {
+    const res = await call('POST', `/resources/stplans2/${route}`, {});
+    assert.equal(res.status, 409, route);
+    assert.match(res.body.error, /update job for this resource is queued/);
+  }
+  assert.ok(fs.existsSync(path.join(CONFIG.PLANS_DIR, 'stplans2', planned.body.plan.id, 'plan.json')), 'queued plan was removed');
+});
+
+test('an expired provision plan that was never applied loses its plans and secrets', async () => {
+  const planned = await call('POST', '/provision/plan', {
+    resourceType: 'sql', ticketNumber: 'CHG-1', environment: 'dev',
+    config: { name: 'plansdb', location: 'West Europe', adminLogin: 'dbowner', sku: 'S0', maxSizeGb: 2 },
+  });
+  assert.equal(planned.status, 200, JSON.stringify(planned.body));
+  const { deploymentId } = planned.body;
+  const secretKeys = () => Object.keys(JSON.parse(fs.readFileSync(process.env.SECRETS_FILE, 'utf8'))).filter(k => k.includes(deploymentId));
+  assert.equal(secretKeys().length, 1);
+
+  await removeAbandonedProvisionPlans();
+  assert.ok(fs.existsSync(path.join(CONFIG.PLANS_DIR, deploymentId)), 'a live plan was removed');
+
+  const metaPath = path.join(CONFIG.PLANS_DIR, deploymentId, planned.body.plan.id, 'plan.json');
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  fs.writeFileSync(metaPath, JSON.stringify({ ...meta, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+  await removeAbandonedProvisionPlans();
+  assert.ok(!fs.existsSync(path.join(CONFIG.PLANS_DIR, deploymentId)));
+  assert.deepEqual(secretKeys(), []);
+});
+
+test('an SSH key rotation is refused while deployments depend on the VM', async () => {
+  await deployed('stvm1', 'vm', { vmSize: 'Standard_B1s' });
+  await deployed('stdep1', 'storage', { tier: 'Standard', replication: 'LRS' }, { dependsOn: ['stvm1'] });
+
+  const planned = await call('POST', '/resources/stvm1/secrets/ssh-key/rotate/plan', {});
+  assert.equal(planned.status, 409);
+  assert.deepEqual(planned.body.dependents.map(d => d.id), ['stdep1']);
+  const rotated = await call('POST', '/resources/stvm1/secrets/ssh-key/rotate', { confirm: 'stvm1' });
+  assert.equal(rotated.status, 409);
+  assert.match(rotated.body.error, /Cannot rotate the SSH key: 1 deployment/);
+  assert.equal((await inventory.getResource('stvm1')).status, 'deployed');
+});
+
+test('a held request can be approved after PLAN_TTL_MINUTES, until HELD_PLAN_TTL_HOURS', async () => {
+  await deployed('stheld1', 'storage', { tier: 'Standard', replication: 'LRS' }, { environment: 'staging' });
+  const planned = await call('POST', '/resources/stheld1/plan', { config: { replication: 'GRS' } });
+  const held = await call('PATCH', '/resources/stheld1', { config: { replication: 'GRS' }, planHash: planned.body.plan.hash });
+  assert.equal(held.body.status, 'pending-approval');
+
+  const metaPath = path.join(CONFIG.PLANS_DIR, 'stheld1', planned.body.plan.id, 'plan.json');
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  fs.writeFileSync(metaPath, JSON.stringify({ ...meta, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+  const setHeldAt = hoursAgo => inventory.updateResource('stheld1', r => {
+    r.pendingRequest.requestedAt = new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString();
+  });
+
+  await setHeldAt(25);
+  const { approvals } = (await call('GET', '/approvals')).body;
+  assert.equal(approvals.find(a => a.id === 'stheld1').plan.expired, true);
+  const late = await call('POST', '/resources/stheld1/approve', {}, approverToken);
+  assert.equal(late.status, 409);
+  assert.match(late.body.error, /has expired/);
+
+  await setHeldAt(2);
+  const approved = await call('POST', '/resources/stheld1/approve', {}, approverToken);
+  assert.equal(approved.status, 200, JSON.stringify(approved.body));
+  assert.equal((await inventory.getResource('stheld1')).status, 'updating');
+});
@@ -1,42 +1,1224 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 
 const API = import.meta.env.VITE_API_URL || 'https://ca-terraportal-prod-backend.agreeableground-f61d57af.eastus.azurecontainerapps.io'
 
-const RESOURCE_TYPES = [
-  { id: 'vm',       label: 'Virtual Machine',  icon: '🖥️' },
-  { id: 'storage',  label: 'Storage Account',  icon: '🗄️' },
-  { id: 'aks',      label: 'AKS Cluster',      icon: '☸️' },
-  { id: 'sql',      label: 'SQL Database',     icon: '🗃️' },
-  { id: 'keyvault', label: 'Key Vault',        icon: '🔑' },
-  { id: 'vnet',     label: 'Virtual Network',  icon: '🌐' },
-]
-
-const REGIONS = ['East US','East US 2','West US','West US 2','West Europe','North Europe','Southeast Asia','Australia East','UK South','Canada Central']
-
-const FIELDS = {
-  vm:       [{ name:'name', label:'VM Name', required:true }, { name:'location', label:'Region', type:'select', options:REGIONS, required:true }, { name:'vmSize', label:'VM Size', type:'select', options:['Standard_B2s','Standard_D2s_v3','Standard_D4s_v3','Standard_E4s_v3'] }, { name:'adminUsername', label:'Admin Username', placeholder:'azureuser' }, { name:'diskType', label:'Disk Type', type:'select', options:['Standard_LRS','Premium_LRS','StandardSSD_LRS'] }, { name:'osDiskSizeGb', label:'Disk Size GB', type:'number', placeholder:'30' }],
-  storage:  [{ name:'name', label:'Account Name', required:true }, { name:'location', label:'Region', type:'select', options:REGIONS, required:true }, { name:'tier', label:'Tier', type:'select', options:['Standard','Premium'] }, { name:'replication', label:'Replication', type:'select', options:['LRS','GRS','ZRS','RAGRS'] }, { name:'versioning', label:'Versioning', type:'select', options:['true','false'] }, { name:'retentionDays', label:'Retention Days', type:'number', placeholder:'7' }],
-  aks:      [{ name:'name', label:'Cluster Name', required:true }, { name:'location', label:'Region', type:'select', options:REGIONS, required:true }, { name:'nodeCount', label:'Node Count', type:'number', placeholder:'3' }, { name:'vmSize', label:'Node VM Size', type:'select', options:['Standard_D2s_v3','Standard_D4s_v3','Standard_D8s_v3'] }, { name:'k8sVersion', label:'K8s Version', placeholder:'1.28.0' }],
-  sql:      [{ name:'name', label:'Server Name', required:true }, { name:'location', label:'Region', type:'select', options:REGIONS, required:true }, { name:'adminLogin', label:'Admin Login', placeholder:'sqladmin' }, { name:'sku', label:'SKU', type:'select', options:['Basic','S0','S1','S2','P1'] }, { name:'maxSizeGb', label:'Max Size GB', type:'number', placeholder:'32' }],
-  keyvault: [{ name:'name', label:'Vault Name', required:true }, { name:'location', label:'Region', type:'select', options:REGIONS, required:true }, { name:'softDeleteRetention', label:'Soft Delete Days', type:'number', placeholder:'90' }, { name:'networkDefaultAction', label:'Network Default', type:'select', options:['Allow','Deny'] }],
-  vnet:     [{ name:'name', label:'VNet Name', required:true }, { name:'location', label:'Region', type:'select', options:REGIONS, required:true }, { name:'addressSpace', label:'Address Space', placeholder:'10.0.0.0/16' }],
+const ENVIRONMENTS = ['dev','staging','prod','dr']
+
+// Roles are cumulative, same order as the backend's ROLES
+const ROLES = ['viewer','requester','approver','admin']
+const TOKEN_KEY = 'terraportal.token'
+const PKCE_KEY = 'terraportal.pkce'
+
+let onUnauthorized = () => {}
+
+// fetch() against the API with the signed-in user's bearer token
+async function api(path, options = {}) {
+  const token = sessionStorage.getItem(TOKEN_KEY)
+  const headers = { ...(options.headers || {}), ...(token ? { Authorization:`Bearer ${token}` } : {}) }
+  const res = await fetch(`${API}${path}`, { ...options, headers })
+  if (res.status === 401) onUnauthorized()
+  return res
+}
+
+function hasRole(user, role) {
+  return (user?.roles || []).some(r => ROLES.indexOf(r) >= ROLES.indexOf(role))
+}
+
+function canDestroyIn(user, authConfig, environment) {
+  return hasRole(user, authConfig?.destructiveEnvironmentRoles?.[environment] || 'requester')
+}
+
+function base64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'')
+}
+
+// OIDC authorization code flow with PKCE (Entra ID SPA redirect)
+async function startOidcLogin(authConfig) {
+  const verifier = base64Url(crypto.getRandomValues(new Uint8Array(32)))
+  const state = base64Url(crypto.getRandomValues(new Uint8Array(16)))
+  const challenge = base64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)))
+  sessionStorage.setItem(PKCE_KEY, JSON.stringify({ verifier, state }))
+  const params = new URLSearchParams({
+    client_id: authConfig.clientId,
+    response_type: 'code',
+    redirect_uri: window.location.origin + window.location.pathname,
+    scope: authConfig.scope,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+    state,
+  })
+  window.location.assign(`${authConfig.authorizationEndpoint}?${params}`)
+}
+
+// Exchanges ?code= from the redirect for an access token; returns null when
+// this page load is not an OIDC redirect
+async function completeOidcLogin(authConfig) {
+  const query = new URLSearchParams(window.location.search)
+  const pkce = JSON.parse(sessionStorage.getItem(PKCE_KEY) || 'null')
+  if (!query.get('code') || !pkce) return null
+  sessionStorage.removeItem(PKCE_KEY)
+  window.history.replaceState(null, '', window.location.pathname)
+  if (query.get('state') !== pkce.state) throw new Error('Login state mismatch — try again')
+  const res = await fetch(authConfig.tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type':'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      client_id: authConfig.clientId,
+      code: query.get('code'),
+      redirect_uri: window.location.origin + window.location.pathname,
+      code_verifier: pkce.verifier,
+    }),
+  })
+  const d = await res.json()
+  if (!res.ok) throw new Error(d.error_description || d.error || 'Token request failed')
+  return d.access_token
+}
+
+const inputStyle = {width:'100%',background:'#0d1117',border:'1px solid #30363d',borderRadius:5,color:'#e6edf3',padding:'7px 10px',fontSize:12,fontFamily:'inherit',outline:'none',boxSizing:'border-box'}
+
+// Statuses a reference field may point at, as in the backend
+const REFERENCEABLE = ['deployed','drifted','updating','update-failed','reconciling','reconcile-failed','rolling-back','pending-approval','waiting','provisioning']
+
+// Renders one field from the /api/resource-types schema; `references` lists
+// the deployments a 'ref' field can point at
+function FieldInput({ field, value, onChange, error, disabled, references = [] }) {
+  const style = {...inputStyle, borderColor: error ? '#f85149' : '#30363d', opacity: disabled ? .5 : 1}
+  return (
+    <div>
+      <div style={{fontSize:10,color:'#6b7280',marginBottom:3,display:'flex',justifyContent:'space-between'}}>
+        <span>{field.label}{field.required?' *':''}</span>
+        {field.immutable && <span title="Cannot be changed in place after provisioning" style={{color:'#f0883e'}}>🔒 immutable</span>}
+      </div>
+      {field.type==='ref'
+        ? <select value={value??''} disabled={disabled} onChange={e=>onChange(e.target.value)} style={style}>
+            <option value="">{field.placeholder||'None'}</option>
+            {references.map(r=><option key={r.id} value={r.id}>{r.resourceName||r.config?.name} · {r.environment} · {r.status}</option>)}
+          </select>
+        : field.type==='select'
+        ? <select value={value??''} disabled={disabled} onChange={e=>onChange(e.target.value)} style={style}>
+            <option value="">Select...</option>
+            {field.options.map(o=><option key={o}>{o}</option>)}
+          </select>
+        : <input type={field.type||'text'} value={value??''} disabled={disabled} onChange={e=>onChange(e.target.value)} placeholder={field.placeholder||''} min={field.min} max={field.max} pattern={field.pattern} title={field.patternHint} style={style}/>
+      }
+      {error && <div style={{fontSize:10,color:'#f85149',marginTop:3}}>{error.join(' · ')}</div>}
+    </div>
+  )
+}
+
+const cardStyle = {background:'#161b22',border:'1px solid #30363d',borderRadius:10,padding:16,marginBottom:12}
+const sectionTitleStyle = {fontSize:10,color:'#8b949e',textTransform:'uppercase',letterSpacing:'.5px',marginBottom:8}
+const MODE_COLORS = { 'in-place':'#3fb950', replace:'#f0883e', forbidden:'#f85149' }
+const ACTION_COLORS = { create:'#3fb950', update:'#58a6ff', replace:'#f0883e', delete:'#f85149' }
+
+// Per-address changes from a saved plan (terraform show -json, or synthetic in demo mode)
+function PlanChanges({ plan }) {
+  return (
+    <div style={{marginTop:10}}>
+      <div style={{...sectionTitleStyle,marginBottom:4}}>Terraform plan · {plan.source} · {Object.entries(plan.summary).map(([a,n])=>`${n} to ${a}`).join(', ')}</div>
+      {plan.hash && <div style={{fontSize:10,color:'#6b7280',marginBottom:4}} title={plan.hash}>sha256 {plan.hash.slice(0,16)}… · expires {new Date(plan.expiresAt).toLocaleString()}</div>}
+      {plan.changes.map(c=>(
+        <div key={c.address} style={{fontSize:11,padding:'6px 0',borderBottom:'1px solid #21262d'}}>
+          <div><span style={{color:ACTION_COLORS[c.action],fontWeight:700,marginRight:8}}>{c.action}</span><span style={{color:'#e6edf3'}}>{c.address}</span></div>
+          {Object.entries(c.attributes).map(([k,a])=>(
+            <div key={k} style={{color:'#8b949e',paddingLeft:12}}>
+              {k}: {JSON.stringify(a.from)} → {JSON.stringify(a.to)}{a.forcesReplacement && <span style={{color:'#f0883e'}}> (forces replacement)</span>}
+            </div>
+          ))}
+          {c.notes.map((n,i)=><div key={i} style={{color:'#f0883e',paddingLeft:12}}>⚠ {n}</div>)}
+        </div>
+      ))}
+    </div>
+  )
+}
+const IN_PROGRESS = ['provisioning','adopting','updating','replacing','reconciling','rolling-back','decommissioning']
+// Change history entries a resource can be rolled back to, and the statuses it can be rolled back from
+const ROLLBACK_TARGETS = ['provision','adopt','update','replace','rollback']
+const ROLLBACK_FROM = ['deployed','drifted','update-failed']
+// Statuses a failed or interrupted job leaves behind (admins can retry or clean up)
+const RECOVERABLE = ['failed','adopt-failed','update-failed','replace-failed','reconcile-failed']
+
+function resourceLabel(r) {
+  return `${r.resourceName||r.config?.name||r.id} (${r.resourceType}, ${r.status})`
+}
+
+function timeRemaining(expiresAt) {
+  const ms = new Date(expiresAt) - Date.now()
+  if (ms <= 0) return 'expired'
+  const hours = Math.floor(ms / 3600000)
+  return hours >= 24 ? `${Math.floor(hours / 24)}d ${hours % 24}h left` : hours > 0 ? `${hours}h ${Math.floor(ms / 60000) % 60}m left` : `${Math.ceil(ms / 60000)}m left`
+}
+
+function driftedAttributes(drift) {
+  return (drift?.changes || []).flatMap(c=>Object.keys(c.attributes).map(a=>`${c.address}.${a}`))
+}
+const SEVERITY_COLORS = { deny:'#f85149', warn:'#f0883e', advise:'#58a6ff' }
+
+// Guardrail results from the backend's policy engine, most severe first
+function PolicyResults({ results }) {
+  if (!results) return null
+  if (results.length === 0) return <div style={{fontSize:11,color:'#3fb950'}}>✓ All policy checks pass</div>
+  return results.map(r=>(
+    <div key={r.rule} style={{fontSize:11,padding:'4px 0',borderBottom:'1px solid #21262d'}}>
+      <span style={{color:SEVERITY_COLORS[r.severity],fontWeight:700,marginRight:8}}>{r.severity.toUpperCase()}</span>
+      <span style={{color:'#c9d1d9'}}>{r.message}</span>
+      <span style={{color:'#6b7280',marginLeft:6}}>({r.rule})</span>
+    </div>
+  ))
+}
+
+function formatCost(amount, currency = 'USD') {
+  return new Intl.NumberFormat(undefined, { style:'currency', currency }).format(amount || 0)
+}
+
+function formatCostDelta(cost) {
+  return `${cost.delta >= 0 ? '+' : '−'}${formatCost(Math.abs(cost.delta), cost.currency)}/mo`
+}
+
+// The backend lets requests through with a warning when TICKET_ON_FAILURE=warn
+function ticketWarning(d) {
+  return d.ticket?.warning ? ` — ⚠ ${d.ticket.warning}` : ''
+}
+
+// Monthly estimate from the backend's price catalog, with the environment's budget cap if it has one
+function CostEstimate({ estimate, budget }) {
+  if (!estimate) return null
+  return (
+    <div>
+      {estimate.breakdown.map(b=>(
+        <div key={b.component} style={{display:'flex',justifyContent:'space-between',fontSize:11,padding:'3px 0',borderBottom:'1px solid #21262d'}}>
+          <span style={{color:'#8b949e'}}>{b.component} · {b.sku}{b.quantity !== 1 ? ` × ${b.quantity}` : ''}</span>
+          <span style={{color:'#c9d1d9'}}>{formatCost(b.monthly, estimate.currency)}</span>
+        </div>
+      ))}
+      {estimate.unpriced?.map(u=><div key={u} style={{fontSize:11,color:'#f0883e',padding:'3px 0'}}>⚠ No catalog price for {u}</div>)}
+      {budget && (
+        <div style={{fontSize:11,marginTop:8,color:budget.exceeded?'#f85149':'#8b949e'}}>
+          {budget.environment} budget: {formatCost(budget.projected, estimate.currency)} of {formatCost(budget.cap, estimate.currency)} a month{budget.exceeded ? ' — over the cap' : ''}
+        </div>
+      )}
+      <div style={{fontSize:10,color:'#6b7280',marginTop:6}}>Price catalog {estimate.catalogVersion} · {estimate.region}</div>
+    </div>
+  )
+}
+
+// Tails a running job over SSE; the backend replays earlier lines first and
+// closes the stream with a final status event
+function LiveLog({ id, onDone, maxHeight = 160 }) {
+  const [lines, setLines] = useState([])
+  const boxRef = useRef(null)
+
+  useEffect(() => {
+    setLines([])
+    const es = new EventSource(`${API}/api/resources/${id}/logs/stream?access_token=${encodeURIComponent(sessionStorage.getItem(TOKEN_KEY) || '')}`)
+    es.addEventListener('log', e => setLines(l => [...l, JSON.parse(e.data).line]))
+    es.addEventListener('status', e => { es.close(); onDone?.(JSON.parse(e.data).status) })
+    return () => es.close()
+  }, [id])
+
+  useEffect(() => { if (boxRef.current) boxRef.current.scrollTop = boxRef.current.scrollHeight }, [lines])
+
+  return (
+    <div ref={boxRef} style={{background:'#0d1117',borderRadius:5,padding:'8px 10px',fontSize:10,color:'#8b949e',maxHeight,overflow:'auto',fontFamily:'monospace'}}>
+      {lines.map((l,i)=><div key={i}>{l}</div>)}
+      <div style={{color:'#a371f7'}}>▍ streaming...</div>
+    </div>
+  )
+}
+
+function KeyValues({ data }) {
+  const entries = Object.entries(data || {})
+  if (entries.length === 0) return <div style={{fontSize:11,color:'#6b7280'}}>—</div>
+  return entries.map(([k,v])=>(
+    <div key={k} style={{display:'flex',justifyContent:'space-between',gap:12,fontSize:11,padding:'3px 0',borderBottom:'1px solid #21262d'}}>
+      <span style={{color:'#8b949e'}}>{k}</span>
+      <span style={{color:'#e6edf3',wordBreak:'break-all',textAlign:'right'}}>{typeof v==='object' ? JSON.stringify(v) : String(v)}</span>
+    </div>
+  ))
+}
+
+// Detail page for one inventory entry, with an in-place update form limited
+// to the type's updatableFields and a plan preview before submitting
+function ResourceDetail({ id, typeDef, user, leasePolicy, inventory, onBack, onMessage }) {
+  const [resource, setResource] = useState(null)
+  const [extendHours, setExtendHours] = useState('24')
+  const [edits, setEdits] = useState({})
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [plan, setPlan] = useState(null)
+  const [ticket, setTicket] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [rollback, setRollback] = useState(null)
+  const [stateVersions, setStateVersions] = useState(null)
+  const [stateVersion, setStateVersion] = useState('')
+  const [secrets, setSecrets] = useState([])
+  const [revealed, setRevealed] = useState({})
+
+  useEffect(() => { load(); loadSecrets() }, [id])
+
+  async function load() {
+    try {
+      const r = await api(`/api/inventory/${id}`)
+      if (r.ok) setResource(await r.json())
+    } catch(e) { console.error('API error:', e) }
+  }
+
+  function edit(name, value) {
+    setEdits({...edits,[name]:value})
+    setPlan(null)
+  }
+
+  function editTicket(value) {
+    setTicket(value)
+    setPlan(null)
+  }
+
+  async function previewPlan() {
+    setBusy(true)
+    try {
+      const res = await api(`/api/resources/${id}/plan`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ config: edits, ticketNumber: ticket || undefined }),
+      })
+      const d = await res.json()
+      if (res.ok) { setPlan(d); setFieldErrors({}) }
+      else if (res.status === 422) setFieldErrors(d.errors || {})
+      else onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  async function submitUpdate() {
+    const changes = Object.keys(plan.diff)
+    if (!window.confirm(`Apply ${changes.length} change(s) to ${resource.resourceName}?\n\n${changes.map(k=>`${k}: ${plan.diff[k].from} → ${plan.diff[k].to}`).join('\n')}`)) return
+    setBusy(true)
+    try {
+      const res = await api(`/api/resources/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ config: edits, ticketNumber: ticket || undefined, planHash: plan.plan?.hash }),
+      })
+      const d = await res.json()
+      if (res.ok) {
+        onMessage({ type:'success', text:`✓ ${d.message} for ${resource.resourceName}${ticketWarning(d)}` })
+        setEdits({}); setPlan(null)
+        load()
+      } else if (res.status === 422 && d.policy) {
+        setPlan({ ...plan, policy:{ denied:true, results:d.policy } })
+      } else if (res.status === 422 && d.budget) {
+        setPlan({ ...plan, budget:d.budget })
+      } else if (res.status === 422 && d.ticket) {
+        onMessage({ type:'error', text:`Ticket check failed: ${d.error}` })
+      } else if (res.status === 422) {
+        setFieldErrors(d.errors || {})
+      } else {
+        onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+      }
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  // check, reconcile or (demo mode, admins) inject drift
+  async function driftAction(action) {
+    setBusy(true)
+    try {
+      const res = await api(`/api/resources/${id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ ticketNumber: ticket || undefined }),
+      })
+      const d = await res.json()
+      if (!res.ok) onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+      else if (action === 'reconcile') onMessage({ type:'success', text:`✓ ${d.message} for ${resource.resourceName}${ticketWarning(d)}` })
+      else onMessage({ type:d.drift?.drifted ? 'error' : 'success', text:d.drift?.error ? `Drift check failed: ${d.drift.error}` : d.drift?.drifted ? `⚠ ${resource.resourceName} has drifted: ${driftedAttributes(d.drift).join(', ')}` : `✓ No drift on ${resource.resourceName}` })
+      load()
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  // historyIndex counts from the oldest change history entry
+  async function previewRollback(historyIndex) {
+    setBusy(true)
+    try {
+      const res = await api(`/api/resources/${id}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ historyIndex, preview: true, ticketNumber: ticket || undefined }),
+      })
+      const d = await res.json()
+      if (res.ok) { setRollback(d); setStateVersion('') }
+      else onMessage({ type:'error', text:`Error: ${d.error || Object.values(d.errors || {}).flat().join(' · ') || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  async function loadStateVersions() {
+    const res = await api(`/api/resources/${id}/state/versions`)
+    const d = await res.json()
+    if (res.ok) setStateVersions(d.versions)
+    else onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+  }
+
+  async function submitRollback() {
+    const { rollbackTo } = rollback
+    let confirm
+    if (rollback.requiresReplace) {
+      confirm = window.prompt(`This rollback destroys and recreates ${resource.resourceName}. Type the resource name to confirm:`)
+      if (confirm !== resource.resourceName) return
+    } else if (!window.confirm(`Roll ${resource.resourceName} back to the ${rollbackTo.action} of ${new Date(rollbackTo.timestamp).toLocaleString()}?${stateVersion ? `\n\nThe Terraform state is restored to version ${stateVersion} first.` : ''}`)) return
+    setBusy(true)
+    try {
+      const res = await api(`/api/resources/${id}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({
+          historyIndex: rollbackTo.historyIndex,
+          ticketNumber: ticket || undefined,
+          planHash: stateVersion ? undefined : rollback.plan?.hash,
+          stateVersionId: stateVersion || undefined,
+          confirm,
+        }),
+      })
+      const d = await res.json()
+      if (res.ok) {
+        onMessage({ type:'success', text:`✓ ${d.message} for ${resource.resourceName}${ticketWarning(d)}` })
+        setRollback(null)
+        load()
+      } else if (res.status === 422 && d.policy) {
+        setRollback({ ...rollback, policy:{ denied:true, results:d.policy } })
+      } else if (res.status === 422 && d.budget) {
+        setRollback({ ...rollback, budget:d.budget })
+      } else {
+        onMessage({ type:'error', text:`Error: ${d.error || Object.values(d.errors || {}).flat().join(' · ') || 'Unknown error'}` })
+      }
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  // retry, force-unlock or cleanup (admins)
+  async function recoveryAction(action, question) {
+    if (question && !window.confirm(question)) return
+    setBusy(true)
+    try {
+      const res = await api(`/api/resources/${id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({}),
+      })
+      const d = await res.json()
+      if (res.ok) { onMessage({ type:'success', text:`✓ ${d.message} for ${resource.resourceName}` }); load() }
+      else onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  async function loadSecrets() {
+    try {
+      const r = await api(`/api/resources/${id}/secrets`)
+      if (r.ok) setSecrets((await r.json()).secrets)
+    } catch(e) { console.error('API error:', e) }
+  }
+
+  // every retrieval is audited, so values are only fetched on request
+  async function revealSecret(name) {
+    try {
+      const res = await api(`/api/resources/${id}/secrets/${name}`)
+      const d = await res.json()
+      if (res.ok) setRevealed({ ...revealed, [name]: d })
+      else onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+  }
+
+  // Plans the rotation first, so the confirmation shows exactly what changes
+  async function rotateSecret(secret) {
+    setBusy(true)
+    try {
+      const p = await api(`/api/resources/${id}/secrets/${secret.name}/rotate/plan`, { method:'POST' })
+      const { plan, error } = await p.json()
+      if (!p.ok) { setBusy(false); return onMessage({ type:'error', text:`Error: ${error || 'Unknown error'}` }) }
+      const summary = `Plan ${plan.hash.slice(0,16)}…\n${plan.changes.map(c=>`${c.action} ${c.address}`).join('\n')}`
+      let confirm
+      if (resource.resourceType === 'vm') {
+        confirm = window.prompt(`A new SSH key recreates ${resource.resourceName}. Type the resource name to confirm:\n\n${summary}`)
+        if (confirm !== resource.resourceName) return setBusy(false)
+      } else if (!window.confirm(`Apply a new ${secret.label} to ${resource.resourceName}?\n\n${summary}`)) return setBusy(false)
+      const res = await api(`/api/resources/${id}/secrets/${secret.name}/rotate`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ confirm, planHash: plan.hash }),
+      })
+      const d = await res.json()
+      if (res.ok) {
+        onMessage({ type:'success', text:`✓ ${d.message} for ${resource.resourceName}` })
+        const { [secret.name]: _, ...rest } = revealed
+        setRevealed(rest)
+        load(); loadSecrets()
+      } else onMessage({ type:'error', text:`Error: ${d.error || Object.values(d.errors || {}).flat().join(' · ') || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  async function extendLease() {
+    setBusy(true)
+    try {
+      const res = await api(`/api/resources/${id}/lease/extend`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ hours: Number(extendHours) }),
+      })
+      const d = await res.json()
+      if (res.ok) { onMessage({ type:'success', text:`✓ ${d.message}` }); load() }
+      else onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  if (!resource) return <div style={{textAlign:'center',padding:40,color:'#8b949e',fontSize:13}}>Loading...</div>
+
+  const dependents = inventory.filter(r=>r.dependsOn?.includes(resource.id) && !['decommissioned','rejected'].includes(r.status))
+  const leaseActive = resource.expiresAt && !['decommissioning','decommissioned','rejected'].includes(resource.status)
+  const mayExtend = leaseActive && (resource.requestedBy === user.actor || hasRole(user, 'admin'))
+  const updatable = (typeDef?.fields || []).filter(f=>typeDef.updatableFields?.includes(f.name))
+  const canUpdate = ['deployed','drifted'].includes(resource.status)
+  const mayUpdate = hasRole(user, 'requester')
+  const history = resource.changeHistory || []
+  const mayRollback = mayUpdate && ROLLBACK_FROM.includes(resource.status)
+  const mayRevealSecrets = resource.requestedBy === user.actor || hasRole(user, 'admin')
+  const buttonStyle = {background:'#21262d',border:'1px solid #30363d',color:'#8b949e',padding:'5px 12px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}
+
+  return (
+    <div>
+      <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:16}}>
+        <div style={{display:'flex',alignItems:'center',gap:10}}>
+          <button onClick={onBack} style={buttonStyle}>← Back</button>
+          <span style={{fontSize:18}}>{typeDef?.icon||'📦'}</span>
+          <div>
+            <div style={{fontSize:16,fontWeight:700,color:'#e6edf3'}}>{resource.resourceName || resource.config?.name}</div>
+            <div style={{fontSize:11,color:'#8b949e'}}>{resource.resourceType} · {resource.environment} · {resource.status}{resource.adopted && <span title={resource.adopted.azureResourceId}> · adopted from {resource.adopted.resourceGroup}</span>}{resource.cost ? ` · ${formatCost(resource.cost.monthly, resource.cost.currency)}/mo` : ''} · {resource.id}</div>
+          </div>
+        </div>
+        <button onClick={load} style={buttonStyle}>↻ Refresh</button>
+      </div>
+
+      <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:12}}>
+        <div>
+          <div style={cardStyle}><div style={sectionTitleStyle}>Configuration</div><KeyValues data={resource.config}/></div>
+          <div style={cardStyle}><div style={sectionTitleStyle}>Tags</div><KeyValues data={resource.tags}/></div>
+          <div style={cardStyle}><div style={sectionTitleStyle}>Outputs</div><KeyValues data={resource.outputs}/></div>
+          {secrets.length > 0 && (
+            <div style={cardStyle}>
+              <div style={sectionTitleStyle}>🔑 Secrets</div>
+              {secrets.map(s=>(
+                <div key={s.name} style={{fontSize:11,padding:'4px 0',borderBottom:'1px solid #21262d'}}>
+                  <div style={{display:'flex',justifyContent:'space-between',alignItems:'center'}}>
+                    <span style={{color:'#c9d1d9'}}>{s.label} <span style={{color:'#6b7280'}}>· TF_VAR_{s.variable}</span></span>
+                    <span style={{display:'flex',gap:6}}>
+                      {mayRevealSecrets && s.version && (revealed[s.name]
+                        ? <button onClick={()=>{ const { [s.name]: _, ...rest } = revealed; setRevealed(rest) }} style={{...buttonStyle,padding:'1px 8px'}}>Hide</button>
+                        : <button onClick={()=>revealSecret(s.name)} style={{...buttonStyle,padding:'1px 8px'}}>👁 Retrieve</button>)}
+                      {hasRole(user, 'admin') && ['deployed','drifted'].includes(resource.status) && <button onClick={()=>rotateSecret(s)} disabled={busy} style={{...buttonStyle,padding:'1px 8px',color:'#f0883e',borderColor:'#f0883e'}}>↻ Rotate</button>}
+                    </span>
+                  </div>
+                  <div style={{color:'#6b7280'}}>{s.version ? `${s.generated ? 'Generated' : 'Supplied'} ${new Date(s.createdAt).toLocaleString()} · version ${s.version.slice(0,8)}` : 'Not stored'}</div>
+                  {revealed[s.name] && (
+                    <div style={{marginTop:6}}>
+                      <div style={{background:'#0d1117',borderRadius:5,padding:'6px 8px',fontSize:10,color:'#c9d1d9',fontFamily:'monospace',wordBreak:'break-all'}}>{revealed[s.name].value}</div>
+                      {revealed[s.name].privateKey && (
+                        <details style={{marginTop:6}}>
+                          <summary style={{fontSize:10,color:'#8b949e',cursor:'pointer'}}>Private key</summary>
+                          <pre style={{background:'#0d1117',borderRadius:5,padding:'6px 8px',fontSize:10,color:'#c9d1d9',overflow:'auto',margin:'6px 0 0'}}>{revealed[s.name].privateKey}</pre>
+                        </details>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          {(resource.dependsOn?.length > 0 || dependents.length > 0) && (
+            <div style={cardStyle}>
+              <div style={sectionTitleStyle}>🔗 Dependencies{resource.stackId ? ` · stack ${resource.stackId}` : ''}</div>
+              {resource.dependsOn?.map(d=>(
+                <div key={d} style={{fontSize:11,color:'#c9d1d9',padding:'2px 0'}}>→ depends on {inventory.find(r=>r.id===d) ? resourceLabel(inventory.find(r=>r.id===d)) : d}</div>
+              ))}
+              {dependents.map(r=>(
+                <div key={r.id} style={{fontSize:11,color:'#c9d1d9',padding:'2px 0'}}>← used by {resourceLabel(r)}</div>
+              ))}
+              {resource.status==='waiting' && <div style={{fontSize:11,color:'#d29922',marginTop:6}}>Provisioning starts once every dependency is deployed.</div>}
+              {dependents.length > 0 && <div style={{fontSize:11,color:'#6b7280',marginTop:6}}>Cannot be decommissioned or replaced while other deployments depend on it.</div>}
+            </div>
+          )}
+        </div>
+
+        <div>
+          {mayUpdate && <div style={cardStyle}>
+            <div style={sectionTitleStyle}>✏️ Update</div>
+            {!canUpdate
+              ? <div style={{fontSize:11,color:'#6b7280'}}>Updates are only possible while the resource is deployed or drifted.</div>
+              : updatable.length === 0
+              ? <div style={{fontSize:11,color:'#6b7280'}}>This resource type has no updatable fields.</div>
+              : <>
+                  <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:8,marginBottom:8}}>
+                    {updatable.map(f=>(
+                      <FieldInput key={f.name} field={f} value={edits[f.name] ?? resource.config?.[f.name]} error={fieldErrors[f.name]} onChange={v=>edit(f.name,v)}/>
+                    ))}
+                    <div>
+                      <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Ticket</div>
+                      <input value={ticket} onChange={e=>editTicket(e.target.value)} placeholder={resource.ticketNumber} style={inputStyle}/>
+                    </div>
+                  </div>
+                  <button onClick={previewPlan} disabled={busy || Object.keys(edits).length === 0} style={{...buttonStyle,color:'#58a6ff',borderColor:'#1f6feb'}}>🔍 Preview plan</button>
+                  {plan && (
+                    <div style={{marginTop:10}}>
+                      {Object.keys(plan.diff).length === 0
+                        ? <div style={{fontSize:11,color:'#6b7280'}}>No changes detected.</div>
+                        : <>
+                            {Object.entries(plan.diff).map(([k,c])=>(
+                              <div key={k} style={{display:'flex',justifyContent:'space-between',fontSize:11,padding:'3px 0',borderBottom:'1px solid #21262d'}}>
+                                <span style={{color:'#8b949e'}}>{k}</span>
+                                <span><span style={{color:'#f85149'}}>{String(c.from)}</span> → <span style={{color:'#3fb950'}}>{String(c.to)}</span> <span style={{color:MODE_COLORS[c.mode],marginLeft:6}}>{c.mode}</span></span>
+                              </div>
+                            ))}
+                            {plan.policy && <div style={{marginTop:10}}><div style={{...sectionTitleStyle,marginBottom:4}}>Policy checks</div><PolicyResults results={plan.policy.results}/></div>}
+                            {plan.cost && (
+                              <div style={{marginTop:10}}>
+                                <div style={{...sectionTitleStyle,marginBottom:4}}>Monthly cost · {formatCost(plan.cost.from, plan.cost.currency)} → {formatCost(plan.cost.to, plan.cost.currency)} <span style={{color:plan.cost.delta > 0 ? '#f0883e' : '#3fb950'}}>({formatCostDelta(plan.cost)})</span></div>
+                                <CostEstimate estimate={{ ...plan.cost, region: resource.config?.location || 'East US' }} budget={plan.budget}/>
+                              </div>
+                            )}
+                            {plan.plan && <PlanChanges plan={plan.plan}/>}
+                            <button onClick={submitUpdate} disabled={busy || plan.requiresReplace || plan.forbidden?.length > 0 || plan.policy?.denied || plan.budget?.exceeded} style={{marginTop:10,width:'100%',background:'#1f6feb',border:'none',borderRadius:6,color:'#fff',padding:'8px',fontSize:12,fontFamily:'inherit',cursor:'pointer',fontWeight:600}}>
+                              ✓ Confirm &amp; apply update
+                            </button>
+                          </>
+                      }
+                    </div>
+                  )}
+                </>
+            }
+          </div>}
+
+          {leaseActive && (
+            <div style={cardStyle}>
+              <div style={sectionTitleStyle}>⏳ Lease</div>
+              <div style={{fontSize:11,color:'#c9d1d9'}}>
+                Decommissioned automatically {new Date(resource.expiresAt).toLocaleString()} · <span style={{color:new Date(resource.expiresAt) - Date.now() < 86400000 ? '#f0883e' : '#8b949e'}}>{timeRemaining(resource.expiresAt)}</span>
+              </div>
+              {mayExtend && (
+                <div style={{display:'flex',gap:8,marginTop:10,alignItems:'center'}}>
+                  <input type="number" min="1" value={extendHours} onChange={e=>setExtendHours(e.target.value)} style={{...inputStyle,width:90}}/>
+                  <span style={{fontSize:11,color:'#6b7280'}}>hours{leasePolicy?.[resource.environment] ? ` (at most ${leasePolicy[resource.environment].maxHours}h from now)` : ''}</span>
+                  <button onClick={extendLease} disabled={busy || !(Number(extendHours) > 0)} style={{...buttonStyle,color:'#58a6ff',borderColor:'#1f6feb'}}>Extend lease</button>
+                </div>
+              )}
+            </div>
+          )}
+          {hasRole(user, 'admin') && (RECOVERABLE.includes(resource.status) || resource.failedJob) && (
+            <div style={{...cardStyle,borderColor:'#f85149'}}>
+              <div style={sectionTitleStyle}>🛠 Recovery</div>
+              {resource.failedJob && (
+                <div style={{fontSize:11,color:'#c9d1d9',marginBottom:6}}>
+                  {resource.failedJob.interrupted ? 'Interrupted' : 'Failed'}: <span style={{color:'#f85149'}}>{resource.failedJob.action}</span>
+                  <span style={{color:'#6b7280'}}> · {new Date(resource.failedJob.at).toLocaleString()}</span>
+                  <div style={{color:'#8b949e',whiteSpace:'pre-wrap'}}>{resource.failedJob.error}</div>
+                </div>
+              )}
+              <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+                {RECOVERABLE.includes(resource.status) && resource.status !== 'adopt-failed' && <button onClick={()=>recoveryAction('retry', `Retry the ${resource.failedJob?.action || 'failed'} job for ${resource.resourceName} with its current config?`)} disabled={busy} style={{...buttonStyle,color:'#58a6ff',borderColor:'#1f6feb'}}>↻ Retry</button>}
+                <button onClick={()=>recoveryAction('force-unlock', `Break the state lock on ${resource.resourceName}? Only do this when no Terraform run is using the state.`)} disabled={busy || IN_PROGRESS.includes(resource.status)} style={buttonStyle}>🔓 Force-unlock state</button>
+                {RECOVERABLE.includes(resource.status) && <button onClick={()=>recoveryAction('cleanup', resource.status === 'adopt-failed' ? `Release ${resource.resourceName} from the inventory? The Azure resource is left alone.` : `Destroy whatever ${resource.resourceName} left in Azure and mark it decommissioned?`)} disabled={busy} style={{...buttonStyle,color:'#f85149',borderColor:'#f85149'}}>🧹 Clean up orphan</button>}
+              </div>
+            </div>
+          )}
+          {(resource.drift || ['deployed','drifted','reconcile-failed'].includes(resource.status)) && (
+            <div style={{...cardStyle,borderColor:resource.drift?.drifted?'#f0883e':'#30363d'}}>
+              <div style={sectionTitleStyle}>🧭 Drift</div>
+              {!resource.drift
+                ? <div style={{fontSize:11,color:'#6b7280'}}>Not checked yet.</div>
+                : <>
+                    <div style={{fontSize:11,color:resource.drift.drifted?'#f0883e':'#3fb950',marginBottom:6}}>
+                      {resource.drift.drifted ? '⚠ Changed outside Terraform' : '✓ Matches Terraform state'}
+                      <span style={{color:'#6b7280'}}> · checked {new Date(resource.drift.checkedAt).toLocaleString()}</span>
+                    </div>
+                    {resource.drift.error && <div style={{fontSize:11,color:'#f85149',marginBottom:6,whiteSpace:'pre-wrap'}}>Last check failed: {resource.drift.error}</div>}
+                    {resource.drift.changes?.map(c=>Object.entries(c.attributes).map(([k,a])=>(
+                      <div key={`${c.address}.${k}`} style={{display:'flex',justifyContent:'space-between',fontSize:11,padding:'3px 0',borderBottom:'1px solid #21262d'}}>
+                        <span style={{color:'#8b949e'}}>{c.address}.{k}{c.action === 'delete' ? ' (deleted)' : ''}</span>
+                        <span><span style={{color:'#3fb950'}}>{JSON.stringify(a.from)}</span> → <span style={{color:'#f0883e'}}>{JSON.stringify(a.to)}</span></span>
+                      </div>
+                    )))}
+                  </>
+              }
+              {mayUpdate && (
+                <div style={{display:'flex',gap:8,marginTop:10}}>
+                  {['deployed','drifted'].includes(resource.status) && <button onClick={()=>driftAction('drift/check')} disabled={busy} style={buttonStyle}>🔍 Check now</button>}
+                  {['drifted','reconcile-failed'].includes(resource.status) && <button onClick={()=>driftAction('reconcile')} disabled={busy} style={{...buttonStyle,color:'#f0883e',borderColor:'#f0883e'}}>↺ Reconcile to portal config</button>}
+                  {hasRole(user, 'admin') && ['deployed','drifted'].includes(resource.status) && <button onClick={()=>driftAction('drift/inject')} disabled={busy} title="Demo execution mode only" style={buttonStyle}>🧪 Inject drift</button>}
+                </div>
+              )}
+            </div>
+          )}
+          {rollback && (
+            <div style={{...cardStyle,borderColor:'#1f6feb'}}>
+              <div style={{display:'flex',justifyContent:'space-between'}}>
+                <div style={sectionTitleStyle}>↶ Rollback to {rollback.rollbackTo.action} of {new Date(rollback.rollbackTo.timestamp).toLocaleString()}</div>
+                <button onClick={()=>setRollback(null)} style={{...buttonStyle,padding:'2px 8px'}}>✕</button>
+              </div>
+              {Object.keys(rollback.diff).length === 0
+                ? <div style={{fontSize:11,color:'#6b7280'}}>The configuration already matches — only a state restore would change anything.</div>
+                : Object.entries(rollback.diff).map(([k,c])=>(
+                    <div key={k} style={{display:'flex',justifyContent:'space-between',fontSize:11,padding:'3px 0',borderBottom:'1px solid #21262d'}}>
+                      <span style={{color:'#8b949e'}}>{k}</span>
+                      <span><span style={{color:'#f85149'}}>{String(c.from)}</span> → <span style={{color:'#3fb950'}}>{String(c.to)}</span> <span style={{color:MODE_COLORS[c.mode],marginLeft:6}}>{c.mode}</span></span>
+                    </div>
+                  ))
+              }
+              {rollback.requiresReplace && <div style={{fontSize:11,color:'#f0883e',marginTop:6}}>⚠ This rollback destroys and recreates the resource.</div>}
+              {rollback.policy && <div style={{marginTop:10}}><div style={{...sectionTitleStyle,marginBottom:4}}>Policy checks</div><PolicyResults results={rollback.policy.results}/></div>}
+              {rollback.cost && (
+                <div style={{marginTop:10}}>
+                  <div style={{...sectionTitleStyle,marginBottom:4}}>Monthly cost · {formatCost(rollback.cost.from, rollback.cost.currency)} → {formatCost(rollback.cost.to, rollback.cost.currency)} <span style={{color:rollback.cost.delta > 0 ? '#f0883e' : '#3fb950'}}>({formatCostDelta(rollback.cost)})</span></div>
+                  <CostEstimate estimate={{ ...rollback.cost, region: rollback.newConfig?.location || 'East US' }} budget={rollback.budget}/>
+                </div>
+              )}
+              {rollback.plan && !stateVersion && <PlanChanges plan={rollback.plan}/>}
+              {hasRole(user, 'admin') && (
+                <div style={{marginTop:10}}>
+                  <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Restore Terraform state first (only if the state itself is broken)</div>
+                  {stateVersions === null
+                    ? <button onClick={loadStateVersions} style={buttonStyle}>List state versions</button>
+                    : <select value={stateVersion} onChange={e=>setStateVersion(e.target.value)} style={inputStyle}>
+                        <option value="">Keep the current state</option>
+                        {stateVersions.filter(v=>!v.current).map(v=>(
+                          <option key={v.versionId} value={v.versionId}>{new Date(v.lastModified).toLocaleString()} · {v.versionId}{v.action ? ` (${v.action})` : ''}</option>
+                        ))}
+                      </select>
+                  }
+                </div>
+              )}
+              <button onClick={submitRollback} disabled={busy || rollback.policy?.denied || rollback.budget?.exceeded || (Object.keys(rollback.diff).length === 0 && !stateVersion)} style={{marginTop:10,width:'100%',background:'#1f6feb',border:'none',borderRadius:6,color:'#fff',padding:'8px',fontSize:12,fontFamily:'inherit',cursor:'pointer',fontWeight:600}}>
+                ↶ Confirm &amp; roll back
+              </button>
+            </div>
+          )}
+          <div style={cardStyle}>
+            <div style={sectionTitleStyle}>Change History</div>
+            {history.map((c,index)=>({ ...c, index })).reverse().map(c=>(
+              <div key={c.index} style={{fontSize:11,padding:'6px 0',borderBottom:'1px solid #21262d'}}>
+                <div style={{display:'flex',justifyContent:'space-between'}}>
+                  <span style={{color:'#58a6ff',fontWeight:700}}>{c.action?.toUpperCase()}</span>
+                  <span style={{color:'#8b949e'}}>
+                    {new Date(c.timestamp).toLocaleString()}
+                    {mayRollback && ROLLBACK_TARGETS.includes(c.action) && c.index < history.length - 1 && (
+                      <button onClick={()=>previewRollback(c.index)} disabled={busy} style={{...buttonStyle,padding:'1px 8px',marginLeft:8}}>↶ Roll back here</button>
+                    )}
+                  </span>
+                </div>
+                <div style={{color:'#8b949e'}}>by {c.actor} · {c.ticket}{c.reason ? ` · ${c.reason}` : ''}{c.stateVersionId ? ` · state restored to ${c.stateVersionId}` : ''}{c.cost ? ` · ${formatCostDelta(c.cost)}` : ''}</div>
+                {c.diff && Object.entries(c.diff).map(([k,d])=>(
+                  <div key={k} style={{color:'#c9d1d9'}}>{k}: {String(d.from ?? '(not set)')} → {String(d.to ?? '(not set)')}</div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div style={cardStyle}>
+        <div style={sectionTitleStyle}>Logs</div>
+        {IN_PROGRESS.includes(resource.status)
+          ? <LiveLog id={resource.id} onDone={load} maxHeight={320}/>
+          : <div style={{background:'#0d1117',borderRadius:5,padding:'8px 10px',fontSize:10,color:'#8b949e',maxHeight:320,overflow:'auto',fontFamily:'monospace'}}>
+              {(resource.logs || []).length === 0 ? '—' : resource.logs.map((l,i)=><div key={i}>{l}</div>)}
+            </div>
+        }
+      </div>
+    </div>
+  )
+}
+
+// Brings an existing Azure resource under portal management: a dry run shows
+// the config mapped from Azure, the fields that could not be mapped and the
+// import plan; fields set here override what was read from Azure
+function Adopt({ resourceTypes, onMessage, onChange }) {
+  const [form, setForm] = useState({ azureResourceId:'', resourceType:'vm', environment:'dev', ticket:'' })
+  const [overrides, setOverrides] = useState({})
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  function editForm(patch) {
+    setForm({ ...form, ...patch })
+    setResult(null)
+    if (patch.resourceType) setOverrides({})
+  }
+
+  async function submit(dryRun) {
+    setBusy(true)
+    try {
+      const res = await api('/api/adopt', {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ azureResourceId: form.azureResourceId.trim(), resourceType: form.resourceType, environment: form.environment, ticketNumber: form.ticket, config: overrides, dryRun }),
+      })
+      const d = await res.json()
+      if (res.ok && dryRun) setResult(d)
+      else if (res.ok) {
+        onMessage({ type:'success', text:`✓ ${d.message}. Deployment ID: ${d.deploymentId}${ticketWarning(d)}` })
+        setResult(null)
+        setOverrides({})
+        onChange?.()
+      } else {
+        if (d.plan || d.errors) setResult({ ...(result || {}), plan: d.plan || result?.plan, errors: d.errors || {}, unmapped: d.unmapped || result?.unmapped || {} })
+        onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+      }
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(false)
+  }
+
+  const typeDef = resourceTypes[form.resourceType]
+  const problems = { ...(result?.unmapped || {}), ...(result?.errors || {}) }
+  const editable = (typeDef?.fields || []).filter(f=>f.type!=='ref' && (problems[f.name] || overrides[f.name] !== undefined))
+  const ready = result?.plan && !Object.keys(result.errors || {}).length && !result.blocking?.length
+  const buttonStyle = {background:'#21262d',border:'1px solid #30363d',color:'#8b949e',padding:'7px 14px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}
+
+  return (
+    <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:20}}>
+      <div style={cardStyle}>
+        <div style={{fontSize:16,fontWeight:700,color:'#e6edf3',marginBottom:18}}>📥 Adopt Existing Resource</div>
+        <div style={{display:'grid',gap:8}}>
+          <div>
+            <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Azure resource ID *</div>
+            <input value={form.azureResourceId} onChange={e=>editForm({ azureResourceId:e.target.value })} placeholder="/subscriptions/…/resourceGroups/…/providers/Microsoft.Compute/virtualMachines/…" style={inputStyle}/>
+          </div>
+          <div style={{display:'grid',gridTemplateColumns:'1fr 1fr 1fr',gap:8}}>
+            <div>
+              <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Resource type</div>
+              <select value={form.resourceType} onChange={e=>editForm({ resourceType:e.target.value })} style={inputStyle}>
+                {Object.entries(resourceTypes).map(([id,rt])=><option key={id} value={id}>{rt.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Environment</div>
+              <select value={form.environment} onChange={e=>editForm({ environment:e.target.value })} style={inputStyle}>
+                {ENVIRONMENTS.map(e=><option key={e}>{e}</option>)}
+              </select>
+            </div>
+            <div>
+              <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Ticket *</div>
+              <input value={form.ticket} onChange={e=>editForm({ ticket:e.target.value })} placeholder="CHG-1234" style={inputStyle}/>
+            </div>
+          </div>
+          {editable.length > 0 && (
+            <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:8}}>
+              {editable.map(f=>(
+                <FieldInput key={f.name} field={f} value={overrides[f.name]} error={result?.errors?.[f.name]} onChange={v=>{ setOverrides({ ...overrides, [f.name]:v }); setResult(r=>r && { ...r, plan:null }) }}/>
+              ))}
+            </div>
+          )}
+          <div style={{display:'flex',gap:8}}>
+            <button onClick={()=>submit(true)} disabled={busy || !form.azureResourceId.trim()} style={{...buttonStyle,color:'#58a6ff',borderColor:'#1f6feb'}}>🔍 Dry run</button>
+            <button onClick={()=>submit(false)} disabled={busy || !ready || !form.ticket} style={{...buttonStyle,color:'#3fb950',borderColor:'#238636'}}>📥 Adopt</button>
+          </div>
+          <div style={{fontSize:10,color:'#6b7280'}}>Adopting applies the import plan from the dry run: the resource joins the inventory as deployed and gets the portal's tags. Nothing is replaced or deleted.</div>
+        </div>
+      </div>
+
+      <div>
+        {result && (
+          <div style={cardStyle}>
+            <div style={sectionTitleStyle}>Mapped configuration{result.resourceGroup ? ` · resource group ${result.resourceGroup}` : ''}</div>
+            <KeyValues data={result.config || {}}/>
+            {Object.keys(problems).length > 0 && (
+              <div style={{marginTop:10}}>
+                <div style={{...sectionTitleStyle,marginBottom:4}}>Not mapped</div>
+                {Object.entries(problems).map(([k,v])=>(
+                  <div key={k} style={{fontSize:11,padding:'2px 0'}}><span style={{color:result.errors?.[k]?'#f85149':'#f0883e'}}>{k}</span> <span style={{color:'#8b949e'}}>— {Array.isArray(v) ? v.join(' · ') : v}</span></div>
+                ))}
+              </div>
+            )}
+            {result.blocking?.length > 0 && <div style={{fontSize:11,color:'#f85149',marginTop:10}}>✗ The plan would replace or delete {result.blocking.join(', ')} — set fields to match the resource.</div>}
+            {result.policy?.length > 0 && <div style={{marginTop:10}}><div style={{...sectionTitleStyle,marginBottom:4}}>Policy checks</div><PolicyResults results={result.policy}/></div>}
+            {result.plan && <PlanChanges plan={result.plan}/>}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Pending prod/dr requests with their diff and generated Terraform; approvers
+// can sign off on anything they did not request themselves
+function Approvals({ onMessage, onChange }) {
+  const [approvals, setApprovals] = useState([])
+  const [comments, setComments] = useState({})
+  const [busy, setBusy] = useState(null)
+
+  useEffect(() => { load() }, [])
+
+  async function load() {
+    try {
+      const r = await api('/api/approvals')
+      if (r.ok) setApprovals((await r.json()).approvals)
+    } catch(e) { console.error('API error:', e) }
+  }
+
+  async function decide(a, decision) {
+    setBusy(a.id)
+    try {
+      const res = await api(`/api/resources/${a.id}/${decision}`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ comment: comments[a.id] || '' }),
+      })
+      const d = await res.json()
+      if (res.ok) { onMessage({ type:'success', text:`✓ ${a.resourceName}: ${d.message}` }); load(); onChange?.() }
+      else onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(null)
+  }
+
+  const buttonStyle = {border:'none',borderRadius:6,color:'#fff',padding:'7px 14px',fontSize:11,fontFamily:'inherit',cursor:'pointer',fontWeight:600}
+
+  return (
+    <div>
+      <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:16}}>
+        <div style={{fontSize:16,fontWeight:700,color:'#e6edf3'}}>✅ Pending Approvals</div>
+        <button onClick={load} style={{background:'#21262d',border:'1px solid #30363d',color:'#8b949e',padding:'5px 12px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>↻ Refresh</button>
+      </div>
+      {approvals.length === 0
+        ? <div style={{textAlign:'center',padding:40,color:'#8b949e',fontSize:13}}>Nothing is awaiting approval.</div>
+        : approvals.map(a=>(
+          <div key={a.id} style={cardStyle}>
+            <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:8}}>
+              <div>
+                <span style={{padding:'2px 8px',borderRadius:3,fontSize:10,fontWeight:700,marginRight:8,background:'#3d2e1a',color:'#d29922'}}>{a.request.action.toUpperCase()}</span>
+                <span style={{fontSize:14,fontWeight:700,color:'#e6edf3'}}>{a.resourceName}</span>
+                <span style={{fontSize:11,color:'#8b949e',marginLeft:8}}>{a.resourceType} · {a.environment}</span>
+              </div>
+              <div style={{fontSize:11,color:'#8b949e'}}>by {a.request.requestedBy} · {a.request.ticket} · {new Date(a.request.requestedAt).toLocaleString()}</div>
+            </div>
+            {a.request.reason && <div style={{fontSize:11,color:'#8b949e',marginBottom:6}}>Reason: {a.request.reason}</div>}
+            {a.request.diff
+              ? Object.entries(a.request.diff).map(([k,c])=>(
+                  <div key={k} style={{display:'flex',justifyContent:'space-between',fontSize:11,padding:'3px 0',borderBottom:'1px solid #21262d'}}>
+                    <span style={{color:'#8b949e'}}>{k}</span>
+                    <span><span style={{color:'#f85149'}}>{String(c.from ?? '(not set)')}</span> → <span style={{color:'#3fb950'}}>{String(c.to ?? '(not set)')}</span></span>
+                  </div>
+                ))
+              : <KeyValues data={a.request.config || a.config}/>
+            }
+            {(a.request.cost || a.cost) && (
+              <div style={{fontSize:11,color:'#8b949e',marginTop:6}}>
+                Monthly cost: {a.request.cost
+                  ? <>{formatCost(a.request.cost.from, a.request.cost.currency)} → {formatCost(a.request.cost.to, a.request.cost.currency)} ({formatCostDelta(a.request.cost)})</>
+                  : formatCost(a.cost.monthly, a.cost.currency)}
+              </div>
+            )}
+            {a.request.policy?.length > 0 && <div style={{marginTop:8}}><PolicyResults results={a.request.policy}/></div>}
+            {a.plan && (a.plan.missing
+              ? <div style={{fontSize:11,color:'#f85149',marginTop:8}}>The saved plan {a.plan.hash.slice(0,16)}… is gone — reject this request.</div>
+              : <>
+                  <PlanChanges plan={a.plan}/>
+                  {a.plan.expired && <div style={{fontSize:11,color:'#f85149',marginTop:4}}>This plan has expired — reject the request so it can be planned again.</div>}
+                  <details style={{marginTop:8}}>
+                    <summary style={{fontSize:11,color:'#58a6ff',cursor:'pointer'}}>Plan summary (what will be applied)</summary>
+                    <pre style={{background:'#0d1117',borderRadius:5,padding:'8px 10px',fontSize:10,color:'#c9d1d9',maxHeight:320,overflow:'auto'}}>{a.plan.text}</pre>
+                  </details>
+                </>
+            )}
+            <details style={{marginTop:8}}>
+              <summary style={{fontSize:11,color:'#58a6ff',cursor:'pointer'}}>Generated Terraform</summary>
+              <pre style={{background:'#0d1117',borderRadius:5,padding:'8px 10px',fontSize:10,color:'#c9d1d9',maxHeight:320,overflow:'auto'}}>{a.terraform}</pre>
+            </details>
+            <div style={{display:'flex',gap:8,marginTop:10,alignItems:'center'}}>
+              <input value={comments[a.id]||''} onChange={e=>setComments({...comments,[a.id]:e.target.value})} placeholder="Comment (required to reject)" style={{...inputStyle,flex:1}}/>
+              <button onClick={()=>decide(a,'approve')} disabled={!a.canApprove || busy===a.id} title={a.canApprove ? '' : 'You cannot approve your own request'} style={{...buttonStyle,background:a.canApprove?'#238636':'#23863655',cursor:a.canApprove?'pointer':'not-allowed'}}>✓ Approve</button>
+              <button onClick={()=>decide(a,'reject')} disabled={busy===a.id} style={{...buttonStyle,background:'#da3633'}}>✕ Reject</button>
+            </div>
+            {!a.canApprove && <div style={{fontSize:10,color:'#6b7280',marginTop:4}}>You requested this change — someone else has to approve it.</div>}
+          </div>
+        ))
+      }
+    </div>
+  )
+}
+
+// The Terraform job queue, refreshed every few seconds while open; requesters
+// can cancel queued or running jobs
+const JOB_COLORS = { queued:'#d29922', running:'#58a6ff', succeeded:'#3fb950', failed:'#f85149', cancelled:'#8b949e' }
+
+function jobDuration(job) {
+  if (!job.startedAt) return ''
+  const seconds = Math.round(((job.finishedAt ? new Date(job.finishedAt) : Date.now()) - new Date(job.startedAt)) / 1000)
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds/60)}m ${seconds%60}s`
+}
+
+function Jobs({ user, onMessage, onChange }) {
+  const [jobs, setJobs] = useState([])
+  const [queue, setQueue] = useState(null)
+  const [status, setStatus] = useState('')
+  const [busy, setBusy] = useState(null)
+
+  useEffect(() => {
+    load()
+    const timer = setInterval(load, 3000)
+    return () => clearInterval(timer)
+  }, [status])
+
+  async function load() {
+    try {
+      const r = await api(`/api/jobs?limit=100${status ? `&status=${status}` : ''}`)
+      if (r.ok) { const d = await r.json(); setJobs(d.jobs); setQueue(d.queue) }
+    } catch(e) { console.error('API error:', e) }
+  }
+
+  async function cancel(job) {
+    if (!window.confirm(`Cancel the ${job.status} ${job.action} job for ${job.resourceName}?`)) return
+    setBusy(job.id)
+    try {
+      const res = await api(`/api/jobs/${job.id}/cancel`, { method:'POST', headers:{ 'Content-Type':'application/json' }, body:'{}' })
+      const d = await res.json()
+      if (res.ok) { onMessage({ type:'success', text:`✓ ${job.resourceName}: ${d.message}` }); load(); onChange?.() }
+      else onMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+    } catch(e) {
+      onMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setBusy(null)
+  }
+
+  return (
+    <div>
+      <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:16}}>
+        <div>
+          <div style={{fontSize:16,fontWeight:700,color:'#e6edf3'}}>⚙️ Jobs</div>
+          {queue && (
+            <div style={{fontSize:11,color:'#8b949e'}}>
+              {queue.running} of {queue.concurrency} running · {queue.queued} queued
+              {Object.keys(queue.environmentConcurrency).length > 0 && ` · limits ${Object.entries(queue.environmentConcurrency).map(([e,n])=>`${e}=${n}`).join(', ')}`}
+            </div>
+          )}
+        </div>
+        <select value={status} onChange={e=>setStatus(e.target.value)} style={{...inputStyle,width:160}}>
+          <option value="">All statuses</option>
+          {Object.keys(JOB_COLORS).map(s=><option key={s} value={s}>{s}</option>)}
+        </select>
+      </div>
+      {jobs.length === 0
+        ? <div style={{textAlign:'center',padding:40,color:'#8b949e',fontSize:13}}>No jobs{status ? ` ${status}` : ''}.</div>
+        : jobs.map(j=>(
+          <div key={j.id} style={{background:'#161b22',border:'1px solid #30363d',borderRadius:8,padding:12,marginBottom:8}}>
+            <div style={{display:'flex',justifyContent:'space-between',alignItems:'center'}}>
+              <div>
+                <span style={{padding:'2px 8px',borderRadius:3,fontSize:10,fontWeight:700,marginRight:8,background:'#21262d',color:JOB_COLORS[j.status]}}>{j.status.toUpperCase()}{j.position ? ` #${j.position}` : ''}</span>
+                <span style={{fontSize:12,color:'#e6edf3',fontWeight:700}}>{j.action}</span>
+                <span style={{fontSize:12,color:'#c9d1d9',marginLeft:8}}>{j.resourceName}</span>
+                <span style={{fontSize:11,color:'#8b949e',marginLeft:8}}>{j.resourceType} · {j.environment} · by {j.requestedBy}</span>
+              </div>
+              <div style={{display:'flex',alignItems:'center',gap:10,fontSize:11,color:'#8b949e'}}>
+                <span title={j.id}>{new Date(j.createdAt).toLocaleString()}{j.startedAt ? ` · ${jobDuration(j)}` : ''}</span>
+                {hasRole(user, 'requester') && ['queued','running'].includes(j.status) && (
+                  <button onClick={()=>cancel(j)} disabled={busy===j.id || j.cancelRequestedBy} style={{background:'#21262d',border:'1px solid #f85149',color:'#f85149',padding:'3px 10px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>
+                    {j.cancelRequestedBy ? 'Cancelling…' : '✕ Cancel'}
+                  </button>
+                )}
+              </div>
+            </div>
+            {j.error && <div style={{fontSize:11,color:JOB_COLORS[j.status],marginTop:6,whiteSpace:'pre-wrap'}}>{j.error}{j.cancelRequestedBy ? ` (cancelled by ${j.cancelRequestedBy})` : ''}</div>}
+          </div>
+        ))
+      }
+    </div>
+  )
+}
+
+// Sign-in screen: username + role against the backend's dev issuer, or a
+// redirect to the OIDC provider
+function Login({ authConfig, onLogin, error }) {
+  const [username, setUsername] = useState('')
+  const [role, setRole] = useState('requester')
+  const [message, setMessage] = useState(error)
+  const [busy, setBusy] = useState(false)
+
+  async function devLogin() {
+    setBusy(true)
+    try {
+      const res = await fetch(`${API}/api/auth/dev/login`, {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ username, role }),
+      })
+      const d = await res.json()
+      if (res.ok) onLogin(d.token)
+      else setMessage(d.error || 'Login failed')
+    } catch(e) {
+      setMessage(`Network error: ${e.message}`)
+    }
+    setBusy(false)
+  }
+
+  return (
+    <div style={{fontFamily:"'IBM Plex Mono',monospace",background:'#0d1117',color:'#c9d1d9',minHeight:'100vh',display:'flex',alignItems:'center',justifyContent:'center'}}>
+      <div style={{...cardStyle,width:340,padding:24}}>
+        <div style={{fontSize:17,fontWeight:700,color:'#58a6ff',marginBottom:4}}>⚡ TerraPortal</div>
+        <div style={{fontSize:11,color:'#8b949e',marginBottom:18}}>Sign in to manage Azure resources</div>
+        {message && <div style={{fontSize:11,color:'#f85149',marginBottom:12}}>{message}</div>}
+        {!authConfig
+          ? <div style={{fontSize:11,color:'#8b949e'}}>Loading...</div>
+          : authConfig.mode === 'dev'
+          ? <>
+              <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Username</div>
+              <input value={username} onChange={e=>setUsername(e.target.value)} placeholder="your.name" style={{...inputStyle,marginBottom:10}}/>
+              <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Role</div>
+              <select value={role} onChange={e=>setRole(e.target.value)} style={{...inputStyle,marginBottom:14}}>
+                {authConfig.roles.map(r=><option key={r}>{r}</option>)}
+              </select>
+              <button onClick={devLogin} disabled={busy || !username} style={{width:'100%',background:'#1f6feb',border:'none',borderRadius:6,color:'#fff',padding:'9px',fontSize:12,fontFamily:'inherit',cursor:'pointer',fontWeight:600}}>Sign in (local test issuer)</button>
+            </>
+          : <button onClick={()=>startOidcLogin(authConfig)} style={{width:'100%',background:'#1f6feb',border:'none',borderRadius:6,color:'#fff',padding:'9px',fontSize:12,fontFamily:'inherit',cursor:'pointer',fontWeight:600}}>Sign in with Microsoft</button>
+        }
+      </div>
+    </div>
+  )
 }
 
 export default function App() {
   const [view, setView] = useState('provision')
   const [inventory, setInventory] = useState([])
   const [history, setHistory] = useState([])
+  const [resourceTypes, setResourceTypes] = useState({})
   const [resourceType, setResourceType] = useState('vnet')
-  const [form, setForm] = useState({ ticket:'', environment:'prod', requestedBy:'' })
+  const [form, setForm] = useState({ ticket:'', environment:'prod' })
+  const [config, setConfig] = useState({})
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [policy, setPolicy] = useState(null)
+  const [estimate, setEstimate] = useState(null)
   const [provisioning, setProvisioning] = useState(false)
+  const [provisionPlan, setProvisionPlan] = useState(null)
+  const [secretInputs, setSecretInputs] = useState({})
   const [message, setMessage] = useState(null)
   const [selected, setSelected] = useState(null)
+  const [driftedOnly, setDriftedOnly] = useState(false)
+  const [leasePolicy, setLeasePolicy] = useState({})
+  const [authConfig, setAuthConfig] = useState(null)
+  const [user, setUser] = useState(null)
+  const [loginError, setLoginError] = useState(null)
+
+  onUnauthorized = signOut
+
+  useEffect(() => { initAuth() }, [])
+  useEffect(() => {
+    if (!user) return
+    if (!hasRole(user, 'requester')) setView('resources')
+    loadResourceTypes(); loadInventory()
+  }, [user])
+
+  // Re-check guardrails and the cost estimate as the form changes (debounced)
+  useEffect(() => {
+    if (!user || !hasRole(user, 'requester') || !resourceType) return
+    const timer = setTimeout(() => {
+      // the preview renders the Terraform, which needs every required field
+      if (fields.every(f=>!f.required || config[f.name])) checkPolicy()
+      else setPolicy(null)
+      checkEstimate()
+    }, 400)
+    return () => clearTimeout(timer)
+  }, [user, resourceType, config, form.environment, form.ticket])
+  // a saved plan only applies to the request it was made for
+  useEffect(() => { setProvisionPlan(null) }, [resourceType, config, form, secretInputs])
+
+  async function checkPolicy() {
+    try {
+      const r = await api('/api/preview', {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ resourceType, config, ticketNumber: form.ticket, environment: form.environment || 'prod' }),
+      })
+      if (r.ok) setPolicy((await r.json()).policy)
+    } catch(e) {}
+  }
+
+  async function checkEstimate() {
+    try {
+      const r = await api('/api/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ resourceType, config, environment: form.environment || 'prod' }),
+      })
+      if (r.ok) setEstimate(await r.json())
+    } catch(e) {}
+  }
+
+  async function initAuth() {
+    try {
+      const r = await fetch(`${API}/api/auth/config`)
+      const cfg = await r.json()
+      setAuthConfig(cfg)
+      const token = cfg.mode === 'oidc' && await completeOidcLogin(cfg)
+      if (token) sessionStorage.setItem(TOKEN_KEY, token)
+      if (sessionStorage.getItem(TOKEN_KEY)) await loadUser()
+    } catch(e) { setLoginError(e.message) }
+  }
+
+  async function loadUser() {
+    const r = await api('/api/auth/me')
+    if (r.ok) setUser(await r.json())
+  }
+
+  function signIn(token) {
+    sessionStorage.setItem(TOKEN_KEY, token)
+    setLoginError(null)
+    loadUser()
+  }
+
+  function signOut() {
+    sessionStorage.removeItem(TOKEN_KEY)
+    setUser(null)
+  }
 
-  useEffect(() => { loadInventory() }, [])
+  async function loadResourceTypes() {
+    try {
+      const r = await api('/api/resource-types')
+      const d = await r.json()
+      setResourceTypes(d)
+      if (!d[resourceType]) setResourceType(Object.keys(d)[0])
+      const l = await api('/api/leases/policy')
+      if (l.ok) setLeasePolicy((await l.json()).environments)
+    } catch(e) { console.error('API error:', e) }
+  }
+
+  function selectResourceType(id) {
+    setResourceType(id)
+    setConfig({})
+    setSecretInputs({})
+    setFieldErrors({})
+  }
 
   async function loadInventory() {
     try {
-      const r = await fetch(`${API}/api/inventory`)
+      const r = await api('/api/inventory')
       const d = await r.json()
       setInventory(d.resources || [])
     } catch(e) { console.error('API error:', e) }
@@ -44,33 +1226,93 @@ export default function App() {
 
   async function loadHistory() {
     try {
-      const r = await fetch(`${API}/api/history`)
+      const r = await api('/api/history')
       const d = await r.json()
       setHistory(d.history || [])
     } catch(e) {}
   }
 
+  function provisionRequest() {
+    return {
+      resourceType,
+      config,
+      ticketNumber: form.ticket,
+      environment: form.environment || 'prod',
+      ttlHours: leasePolicy[form.environment || 'prod'] && form.ttlHours ? Number(form.ttlHours) : undefined,
+      secrets: Object.values(secretInputs).some(Boolean) ? secretInputs : undefined,
+    }
+  }
+
+  function requiredFilled() {
+    const missing = fields.filter(f=>f.required && !config[f.name])
+    if (!form.ticket || missing.length) {
+      setFieldErrors(Object.fromEntries(missing.map(f=>[f.name, [`${f.label} is required`]])))
+      setMessage({ type:'error', text:'Ticket and all required fields must be filled in' })
+      return false
+    }
+    setFieldErrors({})
+    return true
+  }
+
+  // Plan stage: the saved plan is shown for review and applied as-is by provision()
+  async function planProvision() {
+    if (!requiredFilled()) return
+    setProvisioning(true)
+    try {
+      const res = await api('/api/provision/plan', {
+        method: 'POST',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify(provisionRequest()),
+      })
+      const d = await res.json()
+      if (res.ok && d.plan) {
+        setProvisionPlan({ deploymentId: d.deploymentId, plan: d.plan })
+        setMessage({ type:'info', text:'Plan saved — review it, then apply' })
+      } else if (res.ok) {
+        setPolicy(d.policy)
+        setEstimate({ ...d.cost, budget: d.budget })
+        setMessage({ type:'error', text:d.policy.denied ? 'Blocked by policy — see the policy checks' : 'Over the environment budget' })
+      } else if (res.status === 422) {
+        setFieldErrors(d.errors || {})
+        setMessage({ type:'error', text:'Validation failed — check the highlighted fields' })
+      } else {
+        setMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
+      }
+    } catch(e) {
+      setMessage({ type:'error', text:`Network error: ${e.message}` })
+    }
+    setProvisioning(false)
+  }
+
   async function provision() {
-    if (!form.ticket || !form.name) return setMessage({ type:'error', text:'Ticket and resource name are required' })
+    if (!requiredFilled()) return
     setProvisioning(true)
     setMessage({ type:'info', text:'Provisioning started...' })
     try {
-      const res = await fetch(`${API}/api/provision`, {
+      const res = await api('/api/provision', {
         method: 'POST',
         headers: { 'Content-Type':'application/json' },
-        body: JSON.stringify({
-          resourceType,
-          config: form,
-          ticket: form.ticket,
-          environment: form.environment || 'prod',
-          requestedBy: form.requestedBy || 'anonymous',
-        })
+        // a saved plan already carries the secrets given at the plan stage
+        body: JSON.stringify({ ...provisionRequest(), ...(provisionPlan && { deploymentId: provisionPlan.deploymentId, planHash: provisionPlan.plan.hash, secrets: undefined }) }),
       })
       const d = await res.json()
       if (res.ok) {
-        setMessage({ type:'success', text:`✓ Provisioning started! Deployment ID: ${d.deploymentId}` })
+        setMessage({ type:'success', text:`✓ ${d.message}. Deployment ID: ${d.deploymentId}${ticketWarning(d)}` })
+        setProvisionPlan(null)
         setTimeout(loadInventory, 3000)
+      } else if (res.status === 422 && d.policy) {
+        setPolicy({ denied: true, results: d.policy })
+        setMessage({ type:'error', text:'Blocked by policy — see the policy checks' })
+      } else if (res.status === 422 && d.budget) {
+        setEstimate({ ...estimate, budget: d.budget })
+        setMessage({ type:'error', text:d.error })
+      } else if (res.status === 422 && d.ticket) {
+        setMessage({ type:'error', text:`Ticket check failed: ${d.error}` })
+      } else if (res.status === 422) {
+        setFieldErrors(d.errors || {})
+        setMessage({ type:'error', text:'Validation failed — check the highlighted fields' })
       } else {
+        if (res.status === 409) setProvisionPlan(null)
         setMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
       }
     } catch(e) {
@@ -79,11 +1321,21 @@ export default function App() {
     setProvisioning(false)
   }
 
+  // Plans the destroy first, so the confirmation shows exactly what goes
   async function decommission(id, name) {
-    if (!window.confirm(`Type the resource name to confirm decommission:\n\n${name}`)) return
     try {
-      await fetch(`${API}/api/resources/${id}`, { method:'DELETE' })
-      setMessage({ type:'success', text:`Decommission started for ${name}` })
+      const p = await api(`/api/resources/${id}/decommission/plan`, { method:'POST' })
+      const { plan, error } = await p.json()
+      if (!p.ok) return setMessage({ type:'error', text:`Error: ${error || 'Unknown error'}` })
+      if (!window.confirm(`Type the resource name to confirm decommission:\n\n${name}\n\nPlan ${plan.hash.slice(0,16)}…\n${plan.changes.map(c=>`${c.action} ${c.address}`).join('\n')}`)) return
+      const res = await api(`/api/resources/${id}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ planHash: plan.hash }),
+      })
+      const d = await res.json()
+      if (res.ok) setMessage({ type:'success', text:`${d.message} for ${name}${ticketWarning(d)}` })
+      else setMessage({ type:'error', text:`Error: ${d.error || 'Unknown error'}` })
       loadInventory()
     } catch(e) {}
   }
@@ -93,9 +1345,23 @@ export default function App() {
     provisioning: inventory.filter(r=>r.status==='provisioning').length,
     failed: inventory.filter(r=>r.status==='failed').length,
     decommissioned: inventory.filter(r=>r.status==='decommissioned').length,
+    pendingApproval: inventory.filter(r=>r.status==='pending-approval').length,
+    drifted: inventory.filter(r=>r.status==='drifted').length,
+    monthlyCost: inventory.filter(r=>!['decommissioned','rejected'].includes(r.status)).reduce((sum,r)=>sum+(r.cost?.monthly||0),0),
   }
+  const blocked = policy?.denied || estimate?.budget?.exceeded
+
+  const typeDef = resourceTypes[resourceType]
+  const fields = typeDef?.fields || []
+  const views = [
+    ...(hasRole(user, 'requester') ? ['provision', 'adopt'] : []),
+    'resources',
+    ...(hasRole(user, 'approver') ? ['approvals'] : []),
+    'jobs',
+    'history',
+  ]
 
-  const fields = FIELDS[resourceType] || []
+  if (!user) return <Login authConfig={authConfig} onLogin={signIn} error={loginError}/>
 
   return (
     <div style={{fontFamily:"'IBM Plex Mono',monospace",background:'#0d1117',color:'#c9d1d9',minHeight:'100vh'}}>
@@ -109,14 +1375,22 @@ export default function App() {
           <span><b style={{color:'#f0883e'}}>{stats.provisioning}</b> provisioning</span>
           <span><b style={{color:'#f85149'}}>{stats.failed}</b> failed</span>
           <span><b style={{color:'#8b949e'}}>{stats.decommissioned}</b> decommissioned</span>
+          <span><b style={{color:'#d29922'}}>{stats.pendingApproval}</b> awaiting approval</span>
+          <span><b style={{color:'#f0883e'}}>{stats.drifted}</b> drifted</span>
+          <span><b style={{color:'#c9d1d9'}}>{formatCost(stats.monthlyCost)}</b> / month</span>
         </div>
         <div style={{display:'flex',gap:4}}>
-          {['provision','resources','history'].map(v=>(
-            <button key={v} onClick={()=>{ setView(v); if(v==='history') loadHistory() }} style={{background:view===v?'#1f6feb22':'transparent',border:`1px solid ${view===v?'#1f6feb':'transparent'}`,color:view===v?'#58a6ff':'#8b949e',padding:'5px 13px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>
-              {v==='provision'?'🚀 Provision':v==='resources'?`📦 Resources (${inventory.length})`:'📋 History'}
+          {views.map(v=>(
+            <button key={v} onClick={()=>{ setView(v); setSelected(null); if(v==='history') loadHistory() }} style={{background:view===v?'#1f6feb22':'transparent',border:`1px solid ${view===v?'#1f6feb':'transparent'}`,color:view===v?'#58a6ff':'#8b949e',padding:'5px 13px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>
+              {v==='provision'?'🚀 Provision':v==='adopt'?'📥 Adopt':v==='resources'?`📦 Resources (${inventory.length})`:v==='approvals'?`✅ Approvals (${stats.pendingApproval})`:v==='jobs'?'⚙️ Jobs':'📋 History'}
             </button>
           ))}
         </div>
+        <div style={{display:'flex',alignItems:'center',gap:8,fontSize:11,color:'#8b949e',borderLeft:'1px solid #30363d',paddingLeft:12}}>
+          <span title={user.name}>{user.actor}</span>
+          <span style={{padding:'2px 8px',borderRadius:10,background:'#21262d',color:'#58a6ff'}}>{user.roles.join(', ') || 'no role'}</span>
+          <button onClick={signOut} style={{background:'transparent',border:'1px solid #30363d',color:'#8b949e',padding:'3px 8px',borderRadius:5,cursor:'pointer',fontSize:10,fontFamily:'inherit'}}>Sign out</button>
+        </div>
       </div>
 
       <main style={{padding:20,maxWidth:1400,margin:'0 auto'}}>
@@ -129,7 +1403,7 @@ export default function App() {
         )}
 
         {/* Provision View */}
-        {view==='provision' && (
+        {view==='provision' && hasRole(user, 'requester') && (
           <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:20}}>
             <div style={{background:'#161b22',border:'1px solid #30363d',borderRadius:10,padding:20}}>
               <div style={{fontSize:16,fontWeight:700,color:'#e6edf3',marginBottom:18}}>🚀 Provision New Resource</div>
@@ -138,8 +1412,8 @@ export default function App() {
               <div style={{marginBottom:16}}>
                 <div style={{fontSize:10,color:'#8b949e',textTransform:'uppercase',letterSpacing:'.5px',marginBottom:8}}>Resource Type</div>
                 <div style={{display:'grid',gridTemplateColumns:'repeat(3,1fr)',gap:8}}>
-                  {RESOURCE_TYPES.map(rt=>(
-                    <button key={rt.id} onClick={()=>setResourceType(rt.id)} style={{background:resourceType===rt.id?'#1f6feb22':'#0d1117',border:`1px solid ${resourceType===rt.id?'#1f6feb':'#30363d'}`,borderRadius:7,padding:'10px 6px',cursor:'pointer',display:'flex',flexDirection:'column',alignItems:'center',gap:3,fontFamily:'inherit',color:resourceType===rt.id?'#e6edf3':'#8b949e',fontSize:11}}>
+                  {Object.entries(resourceTypes).map(([id,rt])=>(
+                    <button key={id} onClick={()=>selectResourceType(id)} style={{background:resourceType===id?'#1f6feb22':'#0d1117',border:`1px solid ${resourceType===id?'#1f6feb':'#30363d'}`,borderRadius:7,padding:'10px 6px',cursor:'pointer',display:'flex',flexDirection:'column',alignItems:'center',gap:3,fontFamily:'inherit',color:resourceType===id?'#e6edf3':'#8b949e',fontSize:11}}>
                       <span style={{fontSize:18}}>{rt.icon}</span>{rt.label}
                     </button>
                   ))}
@@ -149,50 +1423,78 @@ export default function App() {
               {/* Request Details */}
               <div style={{marginBottom:16}}>
                 <div style={{fontSize:10,color:'#8b949e',textTransform:'uppercase',letterSpacing:'.5px',marginBottom:8}}>Request Details</div>
-                <div style={{display:'grid',gridTemplateColumns:'1fr 1fr 1fr',gap:8}}>
+                <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:8}}>
                   <div>
                     <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Ticket *</div>
-                    <input value={form.ticket||''} onChange={e=>setForm({...form,ticket:e.target.value})} placeholder="JIRA-1234" style={{width:'100%',background:'#0d1117',border:'1px solid #30363d',borderRadius:5,color:'#e6edf3',padding:'7px 10px',fontSize:12,fontFamily:'inherit',outline:'none',boxSizing:'border-box'}}/>
+                    <input value={form.ticket||''} onChange={e=>setForm({...form,ticket:e.target.value})} placeholder="JIRA-1234" style={inputStyle}/>
                   </div>
                   <div>
                     <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Environment</div>
-                    <select value={form.environment||'prod'} onChange={e=>setForm({...form,environment:e.target.value})} style={{width:'100%',background:'#0d1117',border:'1px solid #30363d',borderRadius:5,color:'#e6edf3',padding:'7px 10px',fontSize:12,fontFamily:'inherit',outline:'none'}}>
-                      {['dev','staging','prod','dr'].map(e=><option key={e}>{e}</option>)}
+                    <select value={form.environment||'prod'} onChange={e=>setForm({...form,environment:e.target.value})} style={inputStyle}>
+                      {ENVIRONMENTS.map(e=><option key={e}>{e}</option>)}
                     </select>
                   </div>
-                  <div>
-                    <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Requested By</div>
-                    <input value={form.requestedBy||''} onChange={e=>setForm({...form,requestedBy:e.target.value})} placeholder="your.name" style={{width:'100%',background:'#0d1117',border:'1px solid #30363d',borderRadius:5,color:'#e6edf3',padding:'7px 10px',fontSize:12,fontFamily:'inherit',outline:'none',boxSizing:'border-box'}}/>
-                  </div>
+                  {leasePolicy[form.environment||'prod'] && (
+                    <div>
+                      <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>Lease (hours, max {leasePolicy[form.environment||'prod'].maxHours})</div>
+                      <input type="number" min="1" value={form.ttlHours||''} onChange={e=>setForm({...form,ttlHours:e.target.value})} placeholder={String(leasePolicy[form.environment||'prod'].defaultHours)} style={{...inputStyle,borderColor:fieldErrors.ttlHours?'#f85149':'#30363d'}}/>
+                      {fieldErrors.ttlHours && <div style={{fontSize:10,color:'#f85149',marginTop:3}}>{fieldErrors.ttlHours.join(' · ')}</div>}
+                    </div>
+                  )}
                 </div>
               </div>
 
+              {/* Secrets — generated unless supplied */}
+              {typeDef?.secrets?.length > 0 && (
+                <div style={{marginBottom:16}}>
+                  <div style={{fontSize:10,color:'#8b949e',textTransform:'uppercase',letterSpacing:'.5px',marginBottom:8}}>Secrets</div>
+                  <div style={{display:'grid',gridTemplateColumns:'1fr',gap:8}}>
+                    {typeDef.secrets.map(s=>(
+                      <div key={s.input}>
+                        <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>{s.label} (optional)</div>
+                        <input type={s.input === 'sqlAdminPassword' ? 'password' : 'text'} value={secretInputs[s.input]||''} onChange={e=>setSecretInputs({...secretInputs,[s.input]:e.target.value})} placeholder={s.input === 'sshPublicKey' ? 'ssh-rsa AAAA… public key — blank to generate a key pair' : 'Blank to generate one'} autoComplete="off" style={{...inputStyle,borderColor:fieldErrors[s.input]?'#f85149':'#30363d'}}/>
+                        {fieldErrors[s.input] && <div style={{fontSize:10,color:'#f85149',marginTop:3}}>{fieldErrors[s.input].join(' · ')}</div>}
+                      </div>
+                    ))}
+                  </div>
+                  <div style={{fontSize:10,color:'#6b7280',marginTop:8}}>Kept in the secret store and passed to Terraform as TF_VAR_* — retrieve them from the resource view.</div>
+                </div>
+              )}
+
               {/* Resource Fields */}
               <div style={{marginBottom:16}}>
                 <div style={{fontSize:10,color:'#8b949e',textTransform:'uppercase',letterSpacing:'.5px',marginBottom:8}}>Configuration</div>
                 <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:8}}>
                   {fields.map(f=>(
-                    <div key={f.name}>
-                      <div style={{fontSize:10,color:'#6b7280',marginBottom:3}}>{f.label}{f.required?' *':''}</div>
-                      {f.type==='select'
-                        ? <select value={form[f.name]||''} onChange={e=>setForm({...form,[f.name]:e.target.value})} style={{width:'100%',background:'#0d1117',border:'1px solid #30363d',borderRadius:5,color:'#e6edf3',padding:'7px 10px',fontSize:12,fontFamily:'inherit',outline:'none'}}>
-                            <option value="">Select...</option>
-                            {f.options.map(o=><option key={o}>{o}</option>)}
-                          </select>
-                        : <input type={f.type||'text'} value={form[f.name]||''} onChange={e=>setForm({...form,[f.name]:e.target.value})} placeholder={f.placeholder||''} style={{width:'100%',background:'#0d1117',border:'1px solid #30363d',borderRadius:5,color:'#e6edf3',padding:'7px 10px',fontSize:12,fontFamily:'inherit',outline:'none',boxSizing:'border-box'}}/>
-                      }
-                    </div>
+                    <FieldInput key={f.name} field={f} value={config[f.name]} error={fieldErrors[f.name]} onChange={v=>setConfig({...config,[f.name]:v})} references={inventory.filter(r=>r.resourceType===f.refType && REFERENCEABLE.includes(r.status))}/>
                   ))}
                 </div>
+                {typeDef?.updatableFields?.length > 0 && (
+                  <div style={{fontSize:10,color:'#6b7280',marginTop:8}}>
+                    Updatable after provisioning: {typeDef.updatableFields.map(n=>fields.find(f=>f.name===n)?.label||n).join(', ')}
+                  </div>
+                )}
               </div>
 
-              <button onClick={provision} disabled={provisioning} style={{width:'100%',background:provisioning?'#1f6feb88':'#1f6feb',border:'none',borderRadius:6,color:'#fff',padding:'10px',fontSize:13,fontFamily:'inherit',cursor:provisioning?'not-allowed':'pointer',fontWeight:600}}>
-                {provisioning ? '⏳ Provisioning...' : '🚀 Provision with Terraform'}
+              {provisionPlan && <div style={{marginBottom:12}}><PlanChanges plan={provisionPlan.plan}/></div>}
+              <button onClick={provisionPlan ? provision : planProvision} disabled={provisioning || blocked} title={policy?.denied ? 'Blocked by policy' : blocked ? 'Over the environment budget' : ''} style={{width:'100%',background:provisioning||blocked?'#1f6feb88':'#1f6feb',border:'none',borderRadius:6,color:'#fff',padding:'10px',fontSize:13,fontFamily:'inherit',cursor:provisioning||blocked?'not-allowed':'pointer',fontWeight:600}}>
+                {provisioning ? '⏳ Working...' : provisionPlan ? '🚀 Apply saved plan' : '📋 Plan with Terraform'}
               </button>
             </div>
 
             {/* Right panel */}
             <div style={{display:'flex',flexDirection:'column',gap:16}}>
+              <div style={{background:'#161b22',border:`1px solid ${policy?.denied?'#f85149':'#30363d'}`,borderRadius:10,padding:20}}>
+                <div style={{fontSize:14,fontWeight:700,color:'#e6edf3',marginBottom:12}}>🛡️ Policy Checks</div>
+                {policy ? <PolicyResults results={policy.results}/> : <div style={{fontSize:11,color:'#6b7280'}}>{fields.some(f=>f.required && !config[f.name]) ? 'Fill in the required fields to run the policy checks.' : 'Checking...'}</div>}
+              </div>
+              <div style={{background:'#161b22',border:`1px solid ${estimate?.budget?.exceeded?'#f85149':'#30363d'}`,borderRadius:10,padding:20}}>
+                <div style={{display:'flex',justifyContent:'space-between',alignItems:'baseline',marginBottom:12}}>
+                  <div style={{fontSize:14,fontWeight:700,color:'#e6edf3'}}>💰 Estimated Cost</div>
+                  {estimate && <div style={{fontSize:16,fontWeight:700,color:'#3fb950'}}>{formatCost(estimate.monthly, estimate.currency)}<span style={{fontSize:11,color:'#8b949e',fontWeight:400}}> / month</span></div>}
+                </div>
+                {estimate ? <CostEstimate estimate={estimate} budget={estimate.budget}/> : <div style={{fontSize:11,color:'#6b7280'}}>Estimating...</div>}
+              </div>
               <div style={{background:'#161b22',border:'1px solid #30363d',borderRadius:10,padding:20}}>
                 <div style={{fontSize:14,fontWeight:700,color:'#e6edf3',marginBottom:12}}>☁️ Terraform State — Azure Blob</div>
                 <div style={{fontSize:11,color:'#8b949e',lineHeight:2}}>
@@ -219,36 +1521,50 @@ export default function App() {
         )}
 
         {/* Resources View */}
-        {view==='resources' && (
+        {view==='resources' && selected && (
+          <ResourceDetail id={selected} user={user} leasePolicy={leasePolicy} inventory={inventory} typeDef={resourceTypes[inventory.find(r=>r.id===selected)?.resourceType]} onMessage={setMessage} onBack={()=>{ setSelected(null); loadInventory() }}/>
+        )}
+
+        {view==='resources' && !selected && (
           <div>
             <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:16}}>
               <div style={{fontSize:16,fontWeight:700,color:'#e6edf3'}}>📦 Resource Inventory</div>
-              <button onClick={loadInventory} style={{background:'#21262d',border:'1px solid #30363d',color:'#8b949e',padding:'5px 12px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>↻ Refresh</button>
+              <div style={{display:'flex',gap:8}}>
+                <button onClick={()=>setDriftedOnly(!driftedOnly)} style={{background:driftedOnly?'#3d2a1a':'#21262d',border:`1px solid ${driftedOnly?'#f0883e':'#30363d'}`,color:driftedOnly?'#f0883e':'#8b949e',padding:'5px 12px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>🧭 Drifted only ({stats.drifted})</button>
+                <button onClick={loadInventory} style={{background:'#21262d',border:'1px solid #30363d',color:'#8b949e',padding:'5px 12px',borderRadius:6,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>↻ Refresh</button>
+              </div>
             </div>
             {inventory.length === 0
               ? <div style={{textAlign:'center',padding:40,color:'#8b949e',fontSize:13}}>No resources yet. Provision one!</div>
-              : inventory.map(r=>(
+              : driftedOnly && stats.drifted === 0
+              ? <div style={{textAlign:'center',padding:40,color:'#8b949e',fontSize:13}}>No drifted resources.</div>
+              : inventory.filter(r=>!driftedOnly || r.status==='drifted').map(r=>(
                 <div key={r.id} style={{background:'#161b22',border:'1px solid #30363d',borderRadius:10,padding:16,marginBottom:12}}>
                   <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:8}}>
                     <div style={{display:'flex',alignItems:'center',gap:10}}>
-                      <span style={{fontSize:18}}>{RESOURCE_TYPES.find(t=>t.id===r.resourceType)?.icon||'📦'}</span>
+                      <span style={{fontSize:18}}>{resourceTypes[r.resourceType]?.icon||'📦'}</span>
                       <div>
-                        <div style={{fontSize:14,fontWeight:700,color:'#e6edf3'}}>{r.name || r.config?.name || r.id}</div>
-                        <div style={{fontSize:11,color:'#8b949e'}}>{r.resourceType} · {r.environment} · {r.id}</div>
+                        <div onClick={()=>setSelected(r.id)} style={{fontSize:14,fontWeight:700,color:'#e6edf3',cursor:'pointer'}}>{r.name || r.config?.name || r.id}</div>
+                        <div style={{fontSize:11,color:'#8b949e'}}>{r.resourceType} · {r.environment}{r.cost ? ` · ${formatCost(r.cost.monthly, r.cost.currency)}/mo` : ''}{r.expiresAt && !['decommissioning','decommissioned','rejected'].includes(r.status) ? ` · ⏳ ${timeRemaining(r.expiresAt)}` : ''} · {r.id}</div>
                       </div>
                     </div>
                     <div style={{display:'flex',alignItems:'center',gap:8}}>
-                      <span style={{padding:'3px 10px',borderRadius:20,fontSize:11,background:r.status==='deployed'?'#1a3d2a':r.status==='provisioning'?'#2a1a3d':r.status==='failed'?'#3d1a1a':'#21262d',color:r.status==='deployed'?'#3fb950':r.status==='provisioning'?'#a371f7':r.status==='failed'?'#f85149':'#8b949e'}}>
+                      <span style={{padding:'3px 10px',borderRadius:20,fontSize:11,background:r.status==='deployed'?'#1a3d2a':r.status==='provisioning'?'#2a1a3d':r.status==='failed'?'#3d1a1a':r.status==='pending-approval'||r.status==='waiting'?'#3d2e1a':r.status==='drifted'?'#3d2a1a':'#21262d',color:r.status==='deployed'?'#3fb950':r.status==='provisioning'?'#a371f7':r.status==='failed'?'#f85149':r.status==='pending-approval'||r.status==='waiting'?'#d29922':r.status==='drifted'?'#f0883e':'#8b949e'}} title={r.status==='drifted' ? `Changed outside Terraform: ${driftedAttributes(r.drift).join(', ')}` : undefined}>
+                        {r.status==='drifted' && '⚠ '}
                         {r.status}
                       </span>
-                      {r.status==='deployed' && (
+                      <button onClick={()=>setSelected(r.id)} style={{background:'transparent',border:'1px solid #30363d',color:'#58a6ff',padding:'3px 10px',borderRadius:5,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>
+                        Details
+                      </button>
+                      {['deployed','drifted'].includes(r.status) && canDestroyIn(user, authConfig, r.environment) && (
                         <button onClick={()=>decommission(r.id, r.name||r.config?.name)} style={{background:'transparent',border:'1px solid #f85149',color:'#f85149',padding:'3px 10px',borderRadius:5,cursor:'pointer',fontSize:11,fontFamily:'inherit'}}>
                           🗑️ Decommission
                         </button>
                       )}
                     </div>
                   </div>
-                  {r.logs && r.logs.length > 0 && (
+                  {IN_PROGRESS.includes(r.status) && <LiveLog id={r.id} onDone={loadInventory}/>}
+                  {!IN_PROGRESS.includes(r.status) && r.logs && r.logs.length > 0 && (
                     <div style={{background:'#0d1117',borderRadius:5,padding:'8px 10px',fontSize:10,color:'#8b949e',maxHeight:80,overflow:'auto',fontFamily:'monospace'}}>
                       {r.logs.slice(-3).map((l,i)=><div key={i}>{l}</div>)}
                     </div>
@@ -259,6 +1575,21 @@ export default function App() {
           </div>
         )}
 
+        {/* Adopt View */}
+        {view==='adopt' && hasRole(user, 'requester') && (
+          <Adopt resourceTypes={resourceTypes} onMessage={setMessage} onChange={loadInventory}/>
+        )}
+
+        {/* Approvals View */}
+        {view==='approvals' && hasRole(user, 'approver') && (
+          <Approvals onMessage={setMessage} onChange={loadInventory}/>
+        )}
+
+        {/* Jobs View */}
+        {view==='jobs' && (
+          <Jobs user={user} onMessage={setMessage} onChange={loadInventory}/>
+        )}
+
         {/* History View */}
         {view==='history' && (
           <div>